@@ -13,6 +13,13 @@ const passport = require("passport");
 const GoogleStrategy = require("passport-google-oauth20").Strategy;
 const createDbPool = require("./db");
 const helmet = require("helmet");
+const { useEnvelope, markDeprecated } = require("./middleware/apiVersion");
+const { recoverInterruptedJobs, startSyncJobLeases } = require("./services/contactSyncQueue");
+const { backfillSearchIndex } = require("./services/contactSearch");
+const { startRemovedContactPurge } = require("./services/contactRetention");
+const { startReminderScheduler } = require("./services/reminderScheduler");
+const { startAttachmentCheck } = require("./services/driveAttachments");
+const { recoverInterruptedMerges, startMergeJobLeases } = require("./services/mailMerge");
 
 const app = express();
 
@@ -34,9 +41,16 @@ app.use(
   cors({
     origin: process.env.FRONTEND_URL,
     credentials: true,
+    exposedHeaders: ["X-Total-Count", "X-Page", "X-Per-Page", "Deprecation", "Link"],
   })
 );
 app.use(logger("dev"));
+// Before the body parsers, so their errors are enveloped too
+app.use("/api/v1", useEnvelope);
+// Outgoing emails carry their attachments base64 encoded (Gmail allows 25 MB)
+app.use(["/api/emails/send", "/api/v1/emails/send"], express.json({ limit: "35mb" }));
+// JSON contact imports ({ content }) get the same limit as raw vCard/CSV bodies
+app.use(["/api/contacts/import", "/api/v1/contacts/import"], express.json({ limit: "5mb" }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
@@ -117,6 +131,36 @@ app.use((req, res, next) => {
   next();
 });
 
+// MySQL has no ADD COLUMN IF NOT EXISTS, so columns added to existing tables
+// are checked against information_schema first. `extra` is appended to the
+// same ALTER (e.g. an index or foreign key for the new column).
+const addColumnIfMissing = async (db, table, column, definition, extra = "") => {
+  const [rows] = await db.execute(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  if (rows.length > 0) return;
+
+  await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}${extra ? `, ${extra}` : ""}`);
+  console.log(`Added column ${table}.${column}`);
+};
+
+/**
+ * Adds an index to an existing table if it isn't there yet.
+ */
+const addIndexIfMissing = async (db, table, index, definition) => {
+  const [rows] = await db.execute(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+  if (rows.length > 0) return;
+
+  await db.execute(`ALTER TABLE ${table} ADD ${definition}`);
+  console.log(`Added index ${table}.${index}`);
+};
+
 // --- Async initialization: DB + Routes ---
 app.initialize = async () => {
   try {
@@ -148,32 +192,462 @@ app.initialize = async () => {
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
       )
     `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS contact_sync_state (
+        user_id INT PRIMARY KEY,
+        sync_token TEXT,
+        last_full_sync_at DATETIME DEFAULT NULL,
+        last_sync_at DATETIME DEFAULT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS contact_sync_jobs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        mode VARCHAR(20) DEFAULT NULL,
+        pages_fetched INT NOT NULL DEFAULT 0,
+        contacts_fetched INT NOT NULL DEFAULT 0,
+        contacts_saved INT NOT NULL DEFAULT 0,
+        contacts_deleted INT NOT NULL DEFAULT 0,
+        errors TEXT,
+        error_code VARCHAR(50) DEFAULT NULL,
+        error_message TEXT,
+        started_at DATETIME DEFAULT NULL,
+        finished_at DATETIME DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_contact_sync_jobs_user_status (user_id, status),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    // Jobs are leased to the instance running them, so a restart only fails its own
+    await addColumnIfMissing(dbPool, "contact_sync_jobs", "claimed_by", "VARCHAR(36) DEFAULT NULL");
+    await addColumnIfMissing(dbPool, "contact_sync_jobs", "claimed_until", "DATETIME DEFAULT NULL");
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS contact_emails (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        contact_id INT NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        value VARCHAR(320) NOT NULL,
+        type VARCHAR(50) DEFAULT NULL,
+        is_primary BOOLEAN DEFAULT FALSE,
+        INDEX idx_contact_emails_contact (contact_id),
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+      )
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS contact_phones (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        contact_id INT NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        value VARCHAR(100) NOT NULL,
+        canonical_value VARCHAR(50) DEFAULT NULL,
+        type VARCHAR(50) DEFAULT NULL,
+        is_primary BOOLEAN DEFAULT FALSE,
+        INDEX idx_contact_phones_contact (contact_id),
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+      )
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS contact_addresses (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        contact_id INT NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        formatted_value TEXT,
+        street_address VARCHAR(255) DEFAULT NULL,
+        city VARCHAR(100) DEFAULT NULL,
+        region VARCHAR(100) DEFAULT NULL,
+        postal_code VARCHAR(30) DEFAULT NULL,
+        country VARCHAR(100) DEFAULT NULL,
+        country_code VARCHAR(10) DEFAULT NULL,
+        type VARCHAR(50) DEFAULT NULL,
+        is_primary BOOLEAN DEFAULT FALSE,
+        INDEX idx_contact_addresses_contact (contact_id),
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+      )
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS contact_organizations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        contact_id INT NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        name VARCHAR(255) DEFAULT NULL,
+        title VARCHAR(255) DEFAULT NULL,
+        department VARCHAR(255) DEFAULT NULL,
+        type VARCHAR(50) DEFAULT NULL,
+        is_primary BOOLEAN DEFAULT FALSE,
+        INDEX idx_contact_organizations_contact (contact_id),
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+      )
+    `);
+    await addColumnIfMissing(
+      dbPool,
+      "contacts",
+      "merged_into_id",
+      "INT DEFAULT NULL",
+      "ADD INDEX idx_contacts_merged_into (merged_into_id)"
+    );
+    await addColumnIfMissing(dbPool, "contacts", "merged_at", "DATETIME DEFAULT NULL");
+    // Google's etag as of the last sync, sent back with edits to detect conflicts
+    await addColumnIfMissing(dbPool, "contacts", "etag", "VARCHAR(255) DEFAULT NULL");
+    await addColumnIfMissing(
+      dbPool,
+      "contacts",
+      "removed_upstream_at",
+      "DATETIME DEFAULT NULL",
+      "ADD INDEX idx_contacts_removed_upstream (removed_upstream_at)"
+    );
+    await addColumnIfMissing(
+      dbPool,
+      "reminders",
+      "contact_id",
+      "INT DEFAULT NULL",
+      "ADD CONSTRAINT fk_reminders_contact FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL"
+    );
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS contact_merges (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        surviving_contact_id INT NOT NULL,
+        merged_contact_id INT NOT NULL,
+        merged_google_contact_id VARCHAR(255) DEFAULT NULL,
+        merged_snapshot TEXT,
+        fields_merged TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_contact_merges_surviving (surviving_contact_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS contact_labels (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        google_group_id VARCHAR(255) DEFAULT NULL,
+        name VARCHAR(255) NOT NULL,
+        source VARCHAR(20) NOT NULL DEFAULT 'local',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_contact_labels_group (user_id, google_group_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS contact_label_members (
+        contact_id INT NOT NULL,
+        label_id INT NOT NULL,
+        source VARCHAR(20) NOT NULL DEFAULT 'local',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (contact_id, label_id),
+        INDEX idx_contact_label_members_label (label_id),
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+        FOREIGN KEY (label_id) REFERENCES contact_labels(id) ON DELETE CASCADE
+      )
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS contact_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        contact_id INT NOT NULL,
+        type VARCHAR(30) NOT NULL,
+        source VARCHAR(20) NOT NULL,
+        details TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_contact_events_contact (contact_id, created_at),
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+      )
+    `);
+    await addIndexIfMissing(dbPool, "notes", "ft_notes_title_content", "FULLTEXT INDEX ft_notes_title_content (title, content)");
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS note_tags (
+        note_id INT NOT NULL,
+        tag VARCHAR(50) NOT NULL,
+        PRIMARY KEY (note_id, tag),
+        INDEX idx_note_tags_tag (tag),
+        FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE
+      )
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS note_revisions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        note_id INT NOT NULL,
+        user_id INT NOT NULL,
+        revision INT NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        content TEXT NOT NULL,
+        restored_from INT DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_note_revision (note_id, revision),
+        FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE
+      )
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS note_contacts (
+        note_id INT NOT NULL,
+        contact_id INT NOT NULL,
+        source VARCHAR(20) NOT NULL DEFAULT 'explicit',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (note_id, contact_id),
+        INDEX idx_note_contacts_contact (contact_id),
+        FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE,
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+      )
+    `);
+    // Denormalized search text and normalized phone digits for contact search
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS contact_search_index (
+        contact_id INT PRIMARY KEY,
+        search_text TEXT,
+        phone_digits TEXT,
+        FULLTEXT INDEX ft_contact_search_text (search_text),
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+      )
+    `);
+    // Reminder delivery: the claim columns are a lease so only one instance sends a due reminder
+    await addColumnIfMissing(dbPool, "reminders", "notified_at", "DATETIME DEFAULT NULL");
+    await addColumnIfMissing(dbPool, "reminders", "delivery_claimed_by", "VARCHAR(36) DEFAULT NULL");
+    await addColumnIfMissing(
+      dbPool,
+      "reminders",
+      "delivery_claimed_until",
+      "DATETIME DEFAULT NULL",
+      "ADD INDEX idx_reminders_due_delivery (notified_at, completed, due_date)"
+    );
+    await addColumnIfMissing(dbPool, "reminders", "completed_at", "DATETIME DEFAULT NULL");
+    await addColumnIfMissing(dbPool, "reminders", "snoozed_until", "DATETIME DEFAULT NULL");
+    // Recurring reminders: an RRULE expanded in `timezone` from recurrence_start (the first occurrence)
+    await addColumnIfMissing(dbPool, "reminders", "rrule", "VARCHAR(500) DEFAULT NULL");
+    await addColumnIfMissing(dbPool, "reminders", "timezone", "VARCHAR(64) DEFAULT NULL");
+    await addColumnIfMissing(dbPool, "reminders", "recurrence_start", "DATETIME DEFAULT NULL");
+    // Reminders imported from .ics files keep their UID for duplicate detection
+    await addColumnIfMissing(
+      dbPool,
+      "reminders",
+      "ical_uid",
+      "VARCHAR(255) DEFAULT NULL",
+      "ADD UNIQUE INDEX uq_reminders_ical_uid (user_id, ical_uid)"
+    );
+    // Secret calendar feed tokens, stored as SHA-256 hashes
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS reminder_feed_tokens (
+        user_id INT PRIMARY KEY,
+        token_hash CHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_accessed_at DATETIME DEFAULT NULL,
+        UNIQUE KEY uq_reminder_feed_tokens_hash (token_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS reminder_deliveries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        reminder_id INT NOT NULL,
+        user_id INT NOT NULL,
+        channel VARCHAR(20) NOT NULL,
+        due_date DATETIME NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        attempts INT NOT NULL DEFAULT 0,
+        error_code VARCHAR(100) DEFAULT NULL,
+        error_message VARCHAR(500) DEFAULT NULL,
+        last_attempt_at DATETIME DEFAULT NULL,
+        sent_at DATETIME DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_reminder_deliveries (reminder_id, channel, due_date),
+        FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    // Browser push subscriptions; endpoints are looked up by their SHA-256 hash
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS push_subscriptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        endpoint TEXT NOT NULL,
+        endpoint_hash CHAR(64) NOT NULL,
+        p256dh VARCHAR(255) NOT NULL,
+        auth VARCHAR(255) NOT NULL,
+        user_agent VARCHAR(255) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_success_at DATETIME DEFAULT NULL,
+        UNIQUE KEY uq_push_subscriptions_endpoint (endpoint_hash),
+        INDEX idx_push_subscriptions_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    // Google Drive files attached to a note or a contact; status is re-checked periodically
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS drive_attachments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        note_id INT DEFAULT NULL,
+        contact_id INT DEFAULT NULL,
+        drive_file_id VARCHAR(255) NOT NULL,
+        name VARCHAR(500) NOT NULL,
+        mime_type VARCHAR(255) DEFAULT NULL,
+        web_view_link TEXT DEFAULT NULL,
+        icon_link TEXT DEFAULT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'ok',
+        checked_at DATETIME DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_drive_attachments_note (note_id, drive_file_id),
+        UNIQUE KEY uq_drive_attachments_contact (contact_id, drive_file_id),
+        INDEX idx_drive_attachments_checked (checked_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE,
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+      )
+    `);
+    // Messages sent through Gmail from the app, linked to the contacts they went to
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS sent_emails (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        gmail_message_id VARCHAR(64) NOT NULL,
+        thread_id VARCHAR(64) DEFAULT NULL,
+        subject TEXT,
+        recipients TEXT NOT NULL,
+        attachment_count INT NOT NULL DEFAULT 0,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_sent_emails_user (user_id, sent_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS sent_email_contacts (
+        sent_email_id INT NOT NULL,
+        contact_id INT NOT NULL,
+        PRIMARY KEY (sent_email_id, contact_id),
+        INDEX idx_sent_email_contacts_contact (contact_id),
+        FOREIGN KEY (sent_email_id) REFERENCES sent_emails(id) ON DELETE CASCADE,
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+      )
+    `);
+    // Reusable emails with {{field}} merge fields
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS email_templates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        subject TEXT NOT NULL,
+        body_text MEDIUMTEXT,
+        body_html MEDIUMTEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_email_template_name (user_id, name),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    // Mail merges keep a copy of the template they were started with
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS mail_merge_jobs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        template_id INT DEFAULT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        subject TEXT NOT NULL,
+        body_text MEDIUMTEXT,
+        body_html MEDIUMTEXT,
+        merge_values TEXT,
+        total INT NOT NULL DEFAULT 0,
+        sent_count INT NOT NULL DEFAULT 0,
+        failed_count INT NOT NULL DEFAULT 0,
+        skipped_count INT NOT NULL DEFAULT 0,
+        error_code VARCHAR(50) DEFAULT NULL,
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME DEFAULT NULL,
+        finished_at DATETIME DEFAULT NULL,
+        INDEX idx_mail_merge_jobs_user (user_id, created_at),
+        INDEX idx_mail_merge_jobs_status (status),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (template_id) REFERENCES email_templates(id) ON DELETE SET NULL
+      )
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS mail_merge_recipients (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        job_id INT NOT NULL,
+        contact_id INT DEFAULT NULL,
+        email VARCHAR(320) DEFAULT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        merge_values TEXT,
+        error_code VARCHAR(50) DEFAULT NULL,
+        error_message TEXT,
+        gmail_message_id VARCHAR(64) DEFAULT NULL,
+        sent_at DATETIME DEFAULT NULL,
+        INDEX idx_mail_merge_recipients_job (job_id, status),
+        INDEX idx_mail_merge_recipients_contact (contact_id),
+        FOREIGN KEY (job_id) REFERENCES mail_merge_jobs(id) ON DELETE CASCADE,
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL
+      )
+    `);
+    await addColumnIfMissing(dbPool, "mail_merge_jobs", "claimed_by", "VARCHAR(36) DEFAULT NULL");
+    await addColumnIfMissing(dbPool, "mail_merge_jobs", "claimed_until", "DATETIME DEFAULT NULL");
+    // Local copy of Gmail list metadata, kept current from the mailbox history
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS gmail_messages (
+        user_id INT NOT NULL,
+        message_id VARCHAR(64) NOT NULL,
+        thread_id VARCHAR(64) DEFAULT NULL,
+        from_header TEXT,
+        subject TEXT,
+        date_header VARCHAR(255) DEFAULT NULL,
+        snippet TEXT,
+        internal_date BIGINT NOT NULL DEFAULT 0,
+        PRIMARY KEY (user_id, message_id),
+        INDEX idx_gmail_messages_date (user_id, internal_date, message_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS gmail_message_labels (
+        user_id INT NOT NULL,
+        message_id VARCHAR(64) NOT NULL,
+        label_id VARCHAR(128) NOT NULL,
+        PRIMARY KEY (user_id, message_id, label_id),
+        INDEX idx_gmail_message_labels_label (user_id, label_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    // complete is false when the cache holds only mail from oldest_internal_date on
+    await dbPool.execute(`
+      CREATE TABLE IF NOT EXISTS gmail_sync_state (
+        user_id INT PRIMARY KEY,
+        history_id VARCHAR(32) DEFAULT NULL,
+        oldest_internal_date BIGINT DEFAULT NULL,
+        complete BOOLEAN NOT NULL DEFAULT FALSE,
+        last_full_sync_at DATETIME DEFAULT NULL,
+        last_sync_at DATETIME DEFAULT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await addColumnIfMissing(dbPool, "gmail_sync_state", "includes_spam_trash", "BOOLEAN NOT NULL DEFAULT FALSE");
+    await recoverInterruptedJobs(dbPool);
+    startSyncJobLeases(dbPool);
+    await recoverInterruptedMerges(dbPool);
+    startMergeJobLeases(dbPool);
+    backfillSearchIndex(dbPool).catch((error) =>
+      console.error("Failed to backfill contact search index:", error.message)
+    );
+    startRemovedContactPurge(dbPool);
+    startReminderScheduler(dbPool);
+    startAttachmentCheck(dbPool);
 
     // Route imports
     const indexRouter = require("./routes/index");
     const authRouter = require("./routes/auth");
+    const v1Router = require("./routes/v1");
     const apiRouter = require("./routes/api");
-    const contactsRouter = require("./routes/contacts");
-    const userRouter = require("./routes/user");
-    const profileRouter = require("./routes/profile");
-    const remindersRouter = require("./routes/reminders");
-    const notesRouter = require("./routes/notes");
-    const emailsRouter = require("./routes/emails");
-    const driveRouter = require("./routes/drive");
-    const photosRouter = require("./routes/photos");
+    const calendarRouter = require("./routes/calendar");
 
     // Route mounting
     app.use("/", indexRouter);
     app.use("/", authRouter);
-    app.use("/api", apiRouter);
-    app.use("/api/contacts", contactsRouter);
-    app.use("/api/user", userRouter);
-    app.use("/api/profile", profileRouter);
-    app.use("/api/reminders", remindersRouter);
-    app.use("/api/notes", notesRouter);
-    app.use("/api/emails", emailsRouter);
-    app.use("/api/drive", driveRouter);
-    app.use("/api/photos", photosRouter);
+    app.use("/api/v1", v1Router);
+    app.use("/api", markDeprecated, apiRouter);
+    app.use("/calendar", calendarRouter);
 
     // 404 handler
     app.use((req, res, next) => {
@@ -0,0 +1,162 @@
+// backend/controllers/contactAttachmentsController.js
+
+const {
+  STALE_HOURS,
+  parseDriveFileId,
+  addAttachment,
+  removeAttachment,
+  loadAttachments,
+  refreshAttachments,
+} = require("../services/driveAttachments");
+
+const unauthorized = (res) =>
+  res.status(401).json({
+    success: false,
+    error: "UNAUTHORIZED",
+    message: "Authentication required.",
+  });
+
+/**
+ * Checks that the contact exists and belongs to the user, or sends the
+ * error response and returns false.
+ */
+const findContact = async (db, contactId, userId, res) => {
+  if (isNaN(contactId)) {
+    res.status(400).json({
+      success: false,
+      error: "INVALID_ID",
+      message: "Invalid contact ID.",
+    });
+    return false;
+  }
+
+  const [rows] = await db.execute(`SELECT id FROM contacts WHERE id = ? AND user_id = ?`, [contactId, userId]);
+  if (rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: "NOT_FOUND",
+      message: "Contact not found.",
+    });
+    return false;
+  }
+  return true;
+};
+
+// Errors thrown by the Drive attachment service carry a status and code
+const sendDriveError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.code,
+      message: error.message,
+    });
+  }
+  console.error(`${fallback}:`, error.message);
+  res.status(500).json({
+    success: false,
+    error: "DATABASE_ERROR",
+    message: `${fallback}.`,
+  });
+};
+
+/**
+ * List a contact's Drive attachments. Attachments not checked for
+ * STALE_HOURS (or all of them with ?refresh=true) are re-checked against
+ * Drive first, so deleted or unshared files are flagged in their `status`.
+ */
+exports.getAttachments = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const contactId = parseInt(req.params.id);
+  const refresh = req.query.refresh === "true";
+
+  if (!userId) return unauthorized(res);
+
+  try {
+    if (!(await findContact(db, contactId, userId, res))) return;
+
+    const attachments = (await loadAttachments(db, { contactIds: [contactId] })).get(contactId);
+    const staleBefore = Date.now() - STALE_HOURS * 60 * 60 * 1000;
+    const stale = attachments.filter(
+      (a) => refresh || !a.checked_at || new Date(a.checked_at).getTime() < staleBefore
+    );
+    const refreshed = new Map(
+      stale.length > 0
+        ? (await refreshAttachments(db, req.user.googleAccessToken, stale)).map((a) => [a.id, a])
+        : []
+    );
+
+    res.status(200).json({
+      success: true,
+      data: attachments.map((a) => refreshed.get(a.id) || a),
+    });
+  } catch (error) {
+    sendDriveError(res, error, "Failed to fetch contact attachments");
+  }
+};
+
+/**
+ * Attach a Drive file to a contact, by `fileId` or by a Drive `url`.
+ * Attaching a file that is already attached refreshes its name and link.
+ */
+exports.addAttachment = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const contactId = parseInt(req.params.id);
+  const fileId = parseDriveFileId(req.body?.fileId || req.body?.url);
+
+  if (!userId) return unauthorized(res);
+
+  if (!fileId) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_INPUT",
+      message: "A Drive file id or link is required.",
+    });
+  }
+
+  try {
+    if (!(await findContact(db, contactId, userId, res))) return;
+
+    const attachment = await addAttachment(db, req.user.googleAccessToken, userId, { contactId }, fileId);
+
+    res.status(201).json({
+      success: true,
+      message: "Drive file attached",
+      data: attachment,
+    });
+  } catch (error) {
+    sendDriveError(res, error, "Failed to attach Drive file");
+  }
+};
+
+/**
+ * Remove an attachment from a contact; the Drive file itself is not touched.
+ */
+exports.removeAttachment = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const contactId = parseInt(req.params.id);
+  const attachmentId = parseInt(req.params.attachmentId);
+
+  if (!userId) return unauthorized(res);
+
+  try {
+    if (!(await findContact(db, contactId, userId, res))) return;
+
+    if (isNaN(attachmentId) || !(await removeAttachment(db, { contactId }, attachmentId))) {
+      return res.status(404).json({
+        success: false,
+        error: "NOT_FOUND",
+        message: "Attachment not found.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Attachment removed",
+    });
+  } catch (error) {
+    sendDriveError(res, error, "Failed to remove attachment");
+  }
+};
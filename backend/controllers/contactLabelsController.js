@@ -0,0 +1,329 @@
+// backend/controllers/contactLabelsController.js
+
+/**
+ * List the user's labels (synced Google groups and local labels) with
+ * member counts.
+ */
+exports.getLabels = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  try {
+    const [rows] = await db.execute(
+      `SELECT cl.id, cl.name, cl.source, cl.google_group_id, cl.created_at, cl.updated_at,
+         COUNT(c.id) AS contact_count
+       FROM contact_labels cl
+       LEFT JOIN contact_label_members clm ON clm.label_id = cl.id
+       LEFT JOIN contacts c ON c.id = clm.contact_id AND c.merged_into_id IS NULL AND c.removed_upstream_at IS NULL
+       WHERE cl.user_id = ?
+       GROUP BY cl.id
+       ORDER BY cl.name ASC`,
+      [userId]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: rows,
+    });
+  } catch (error) {
+    console.error("Failed to fetch labels:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to fetch labels.",
+    });
+  }
+};
+
+/**
+ * Create a local-only label.
+ */
+exports.createLabel = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const name = typeof req.body?.name === "string" ? req.body.name.trim() : "";
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  if (!name) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_INPUT",
+      message: "Label name is required and must be a string.",
+    });
+  }
+
+  try {
+    const [result] = await db.execute(
+      `INSERT INTO contact_labels (user_id, name, source) VALUES (?, ?, 'local')`,
+      [userId, name]
+    );
+    const [rows] = await db.execute(`SELECT * FROM contact_labels WHERE id = ?`, [result.insertId]);
+
+    res.status(201).json({
+      success: true,
+      message: "Label created successfully",
+      data: rows[0],
+    });
+  } catch (error) {
+    console.error("Failed to create label:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to create label.",
+    });
+  }
+};
+
+/**
+ * Loads a label owned by the user, or sends the error response and returns null.
+ * Google-synced labels can't be renamed or deleted locally.
+ */
+const findEditableLabel = async (db, labelId, userId, res) => {
+  if (isNaN(labelId)) {
+    res.status(400).json({
+      success: false,
+      error: "INVALID_ID",
+      message: "Invalid label ID.",
+    });
+    return null;
+  }
+
+  const [rows] = await db.execute(
+    `SELECT * FROM contact_labels WHERE id = ? AND user_id = ?`,
+    [labelId, userId]
+  );
+
+  if (rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: "NOT_FOUND",
+      message: "Label not found.",
+    });
+    return null;
+  }
+
+  if (rows[0].source === "google") {
+    res.status(409).json({
+      success: false,
+      error: "GOOGLE_LABEL_READ_ONLY",
+      message: "Labels synced from Google must be changed in Google Contacts.",
+    });
+    return null;
+  }
+
+  return rows[0];
+};
+
+/**
+ * Rename a local label.
+ */
+exports.updateLabel = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const labelId = parseInt(req.params.labelId);
+  const name = typeof req.body?.name === "string" ? req.body.name.trim() : "";
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  if (!name) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_INPUT",
+      message: "Label name is required and must be a string.",
+    });
+  }
+
+  try {
+    const label = await findEditableLabel(db, labelId, userId, res);
+    if (!label) return;
+
+    await db.execute(`UPDATE contact_labels SET name = ? WHERE id = ?`, [name, labelId]);
+
+    res.status(200).json({
+      success: true,
+      message: "Label updated successfully",
+      data: { ...label, name },
+    });
+  } catch (error) {
+    console.error("Failed to update label:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to update label.",
+    });
+  }
+};
+
+/**
+ * Delete a local label and its memberships.
+ */
+exports.deleteLabel = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const labelId = parseInt(req.params.labelId);
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  try {
+    const label = await findEditableLabel(db, labelId, userId, res);
+    if (!label) return;
+
+    await db.execute(`DELETE FROM contact_labels WHERE id = ?`, [labelId]);
+
+    res.status(200).json({
+      success: true,
+      message: "Label deleted successfully",
+    });
+  } catch (error) {
+    console.error("Failed to delete label:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to delete label.",
+    });
+  }
+};
+
+/**
+ * Add a label to a contact. Body: { labelId }
+ */
+exports.addContactLabel = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const contactId = parseInt(req.params.id);
+  const labelId = parseInt(req.body?.labelId);
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  if (isNaN(contactId) || isNaN(labelId)) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_ID",
+      message: "Invalid contact or label ID.",
+    });
+  }
+
+  try {
+    const [contacts] = await db.execute(
+      `SELECT id FROM contacts WHERE id = ? AND user_id = ?`,
+      [contactId, userId]
+    );
+    const [labels] = await db.execute(
+      `SELECT id FROM contact_labels WHERE id = ? AND user_id = ?`,
+      [labelId, userId]
+    );
+
+    if (contacts.length === 0 || labels.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "NOT_FOUND",
+        message: "Contact or label not found.",
+      });
+    }
+
+    await db.execute(
+      `INSERT IGNORE INTO contact_label_members (contact_id, label_id, source) VALUES (?, ?, 'local')`,
+      [contactId, labelId]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Label added to contact",
+    });
+  } catch (error) {
+    console.error("Failed to add label to contact:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to add label to contact.",
+    });
+  }
+};
+
+/**
+ * Remove a label from a contact.
+ */
+exports.removeContactLabel = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const contactId = parseInt(req.params.id);
+  const labelId = parseInt(req.params.labelId);
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  if (isNaN(contactId) || isNaN(labelId)) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_ID",
+      message: "Invalid contact or label ID.",
+    });
+  }
+
+  try {
+    const [result] = await db.execute(
+      `DELETE clm FROM contact_label_members clm
+       JOIN contact_labels cl ON cl.id = clm.label_id
+       WHERE clm.contact_id = ? AND clm.label_id = ? AND cl.user_id = ?`,
+      [contactId, labelId, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "NOT_FOUND",
+        message: "Contact does not have this label.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Label removed from contact",
+    });
+  } catch (error) {
+    console.error("Failed to remove label from contact:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to remove label from contact.",
+    });
+  }
+};
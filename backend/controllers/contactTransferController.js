@@ -0,0 +1,170 @@
+// backend/controllers/contactTransferController.js
+
+const { formatVCard, parseVCards } = require("../utils/vcard");
+const { toCsv, parseCsv } = require("../utils/csv");
+const { buildContactFilter } = require("../services/contactQuery");
+const { loadContactDetails } = require("../services/contactDetails");
+const { loadContactLabels } = require("../services/contactLabels");
+const { MAX_IMPORT_ROWS, contactsFromCsv, planImport, applyImport } = require("../services/contactImport");
+
+const DETAIL_CHUNK_SIZE = 500;
+
+const CSV_COLUMNS = [
+  { key: "name", header: "Name" },
+  { key: "email", header: "Email" },
+  { key: "phone", header: "Phone", phone: true },
+  { key: "company", header: "Company" },
+  { key: "job_title", header: "Job Title" },
+  { key: "notes", header: "Notes" },
+  { key: "other_emails", header: "Other Emails" },
+  { key: "other_phones", header: "Other Phones", phone: true },
+  { key: "address", header: "Address" },
+  { key: "label_names", header: "Labels" },
+  { key: "is_favorite", header: "Favorite" },
+];
+
+/**
+ * Export the user's contacts as vCard 4.0 (default) or CSV.
+ * Accepts the same q, search, favorites and label filters as getContacts.
+ */
+exports.exportContacts = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const format = req.query.format === "csv" ? "csv" : "vcard";
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  try {
+    const { join, whereClause, params } = buildContactFilter(userId, req.query);
+    const [rows] = await db.execute(`SELECT contacts.* FROM contacts ${join} ${whereClause} ORDER BY name ASC`, params);
+
+    const contacts = [];
+    for (let i = 0; i < rows.length; i += DETAIL_CHUNK_SIZE) {
+      const chunk = rows.slice(i, i + DETAIL_CHUNK_SIZE);
+      const ids = chunk.map((r) => r.id);
+      const details = await loadContactDetails(db, ids);
+      const labels = await loadContactLabels(db, ids);
+      chunk.forEach((r) => contacts.push({ ...r, ...details.get(r.id), labels: labels.get(r.id) }));
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === "csv") {
+      const csvRows = contacts.map((c) => ({
+        ...c,
+        other_emails: c.emails.map((e) => e.value).filter((v) => v !== c.email).join("; "),
+        other_phones: c.phones.map((p) => p.value).filter((v) => v !== c.phone).join("; "),
+        address: c.addresses[0]?.formatted_value || "",
+        label_names: c.labels.map((l) => l.name).join("; "),
+        is_favorite: c.is_favorite ? "yes" : "",
+      }));
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="contacts-${stamp}.csv"`);
+      return res.status(200).send(toCsv(csvRows, CSV_COLUMNS));
+    }
+
+    res.setHeader("Content-Type", "text/vcard; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="contacts-${stamp}.vcf"`);
+    res.status(200).send(contacts.map(formatVCard).join(""));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.code, message: error.message });
+    }
+    console.error("Failed to export contacts:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to export contacts.",
+    });
+  }
+};
+
+/**
+ * Import contacts from a vCard or CSV file.
+ * The file is sent as the raw request body (text/vcard, text/csv) or as
+ * JSON { content, format }. With ?dryRun=true nothing is written and the
+ * response previews which rows are new, updates, conflicts or unchanged.
+ */
+exports.importContacts = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const content = typeof req.body === "string" ? req.body : req.body?.content;
+  const dryRun = req.query.dryRun === "true" || req.body?.dryRun === true;
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  if (typeof content !== "string" || !content.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_INPUT",
+      message: "Import file content is required as a string.",
+    });
+  }
+
+  const requestedFormat = req.query.format || req.body?.format;
+  const format =
+    requestedFormat === "csv" || requestedFormat === "vcard"
+      ? requestedFormat
+      : /^\s*(\uFEFF)?BEGIN:VCARD/i.test(content) || req.is("text/vcard") || req.is("text/x-vcard")
+        ? "vcard"
+        : "csv";
+
+  try {
+    const contacts = format === "vcard" ? parseVCards(content) : contactsFromCsv(parseCsv(content));
+
+    if (contacts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "EMPTY_IMPORT",
+        message: `No contacts found in the ${format === "vcard" ? "vCard" : "CSV"} file.`,
+      });
+    }
+
+    if (contacts.length > MAX_IMPORT_ROWS) {
+      return res.status(413).json({
+        success: false,
+        error: "IMPORT_TOO_LARGE",
+        message: `Imports are limited to ${MAX_IMPORT_ROWS} contacts.`,
+      });
+    }
+
+    const plan = await planImport(db, userId, contacts);
+    const rows = plan.rows.map(({ contact, ...row }) => ({ ...row, labels: contact.labels }));
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: "Import preview",
+        data: { dryRun: true, format, summary: plan.summary, rows },
+      });
+    }
+
+    const { created, updated } = await applyImport(db, userId, plan);
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${created.length} new and updated ${updated.length} existing contacts`,
+      data: { dryRun: false, format, summary: plan.summary, created, updated, rows },
+    });
+  } catch (error) {
+    console.error("Failed to import contacts:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "IMPORT_FAILED",
+      message: "Failed to import contacts.",
+    });
+  }
+};
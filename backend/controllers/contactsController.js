@@ -1,14 +1,20 @@
 // backend/controllers/contactsController.js
 
-const { google } = require("googleapis");
 require("dotenv").config();
-
-const BATCH_SIZE = 100; // Insert contacts in batches for better performance
-const PAGE_SIZE = 1000; // Google API page size
+const { enqueueContactSync, formatJob } = require("../services/contactSyncQueue");
+const { loadContactDetails } = require("../services/contactDetails");
+const { findDuplicateClusters, mergeContacts } = require("../services/contactDuplicates");
+const { loadContactLabels } = require("../services/contactLabels");
+const { loadAttachments } = require("../services/driveAttachments");
+const { buildContactFilter, encodeCursor, decodeCursor } = require("../services/contactQuery");
+const contactWriteback = require("../services/contactWriteback");
+const { RETENTION_DAYS } = require("../services/contactRetention");
+const { diffContact, recordContactEvents } = require("../services/contactEvents");
+const { TIMELINE_TYPES, decodeCursor: decodeTimelineCursor, loadTimeline } = require("../services/contactTimeline");
 
 /**
- * Fetches ALL contacts from Google People API (handles pagination)
- * and saves them to the database.
+ * Queues a background sync of the user's Google contacts and responds with
+ * the job straight away. Progress is available from getSyncJob.
  */
 exports.syncContacts = async (req, res) => {
   console.log("\n--- Contacts Controller: syncContacts Start ---");
@@ -33,161 +39,91 @@ exports.syncContacts = async (req, res) => {
     });
   }
 
-  const userId = req.user.userId;
-  let totalFetched = 0;
-  let totalSaved = 0;
-  let pageToken = null;
-
   try {
-    const oauth2Client = new google.auth.OAuth2();
-    oauth2Client.setCredentials({ access_token: req.user.googleAccessToken });
-
-    const people = google.people({
-      version: "v1",
-      auth: oauth2Client,
+    const { job, alreadyQueued } = await enqueueContactSync(db, {
+      userId: req.user.userId,
+      forceFull: req.query.full === "true" || req.body?.full === true,
     });
 
-    const allContacts = [];
-
-    // Fetch all pages of contacts
-    do {
-      const response = await people.people.connections.list({
-        resourceName: "people/me",
-        personFields: "names,emailAddresses,phoneNumbers,photos,organizations,biographies",
-        pageSize: PAGE_SIZE,
-        pageToken: pageToken || undefined,
-      });
-
-      const connections = response.data.connections || [];
-      totalFetched += connections.length;
-      pageToken = response.data.nextPageToken || null;
-
-      for (const contact of connections) {
-        allContacts.push({
-          googleContactId: contact.resourceName || null,
-          name: contact.names?.[0]?.displayName || null,
-          email: contact.emailAddresses?.[0]?.value || null,
-          phone: contact.phoneNumbers?.[0]?.value || null,
-          photoUrl: contact.photos?.[0]?.url || null,
-          company: contact.organizations?.[0]?.name || null,
-          jobTitle: contact.organizations?.[0]?.title || null,
-          notes: contact.biographies?.[0]?.value || null,
-        });
-      }
-
-      console.log(`Fetched page: ${connections.length} contacts (total: ${totalFetched})`);
-    } while (pageToken);
-
-    console.log(`Total contacts fetched from Google: ${totalFetched}`);
-
-    // Save contacts in batches
-    const syncTimestamp = new Date();
-
-    for (let i = 0; i < allContacts.length; i += BATCH_SIZE) {
-      const batch = allContacts.slice(i, i + BATCH_SIZE);
-
-      const values = batch.map((c) => [
-        userId,
-        c.googleContactId,
-        c.name,
-        c.email,
-        c.phone,
-        c.photoUrl,
-        c.company,
-        c.jobTitle,
-        c.notes,
-        syncTimestamp,
-      ]);
-
-      const placeholders = batch.map(() => "(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)").join(", ");
-
-      await db.execute(
-        `INSERT INTO contacts 
-         (user_id, google_contact_id, name, email, phone, photo_url, company, job_title, notes, last_synced_at)
-         VALUES ${placeholders}
-         ON DUPLICATE KEY UPDATE
-           name = VALUES(name),
-           email = VALUES(email),
-           phone = VALUES(phone),
-           photo_url = VALUES(photo_url),
-           company = VALUES(company),
-           job_title = VALUES(job_title),
-           notes = VALUES(notes),
-           last_synced_at = VALUES(last_synced_at),
-           updated_at = NOW()`,
-        values.flat()
-      );
-
-      totalSaved += batch.length;
-      console.log(`Saved batch: ${batch.length} contacts (total saved: ${totalSaved})`);
-    }
-
-    // Clean up contacts that no longer exist in Google
-    const googleIds = allContacts
-      .map((c) => c.googleContactId)
-      .filter((id) => id !== null);
-
-    if (googleIds.length > 0) {
-      const placeholders = googleIds.map(() => "?").join(", ");
-      const [deleteResult] = await db.execute(
-        `DELETE FROM contacts 
-         WHERE user_id = ? 
-         AND google_contact_id IS NOT NULL 
-         AND google_contact_id NOT IN (${placeholders})`,
-        [userId, ...googleIds]
-      );
-      console.log(`Removed ${deleteResult.affectedRows} stale contacts`);
-    }
-
+    console.log(`Contact sync job ${job.id} ${alreadyQueued ? "already active" : "queued"}`);
     console.log("--- Contacts Controller: syncContacts End ---\n");
 
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: "Contacts synced successfully",
+      message: alreadyQueued ? "A contact sync is already in progress" : "Contact sync queued",
       data: {
-        totalFetched,
-        totalSaved,
-        syncedAt: syncTimestamp.toISOString(),
+        job,
+        statusUrl: `${req.baseUrl}/sync/jobs/${job.id}`,
       },
     });
   } catch (error) {
-    console.error("Error syncing contacts:", error.message);
+    console.error("Error queueing contact sync:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "SYNC_FAILED",
+      message: "Failed to start contact sync.",
+      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
 
-    if (error.code === 401 || error.response?.status === 401) {
-      return res.status(401).json({
-        success: false,
-        error: "GOOGLE_TOKEN_EXPIRED",
-        message: "Google access token expired. Please re-authenticate.",
-      });
-    }
+/**
+ * Get a single sync job with its progress.
+ */
+exports.getSyncJob = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const jobId = parseInt(req.params.jobId);
 
-    if (error.code === 403 || error.response?.status === 403) {
-      return res.status(403).json({
-        success: false,
-        error: "GOOGLE_PERMISSION_DENIED",
-        message: "Permission denied. Please grant contacts access.",
-      });
-    }
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  if (isNaN(jobId)) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_ID",
+      message: "Invalid job ID.",
+    });
+  }
+
+  try {
+    const [rows] = await db.execute(
+      `SELECT * FROM contact_sync_jobs WHERE id = ? AND user_id = ?`,
+      [jobId, userId]
+    );
 
-    if (error.code === 429 || error.response?.status === 429) {
-      return res.status(429).json({
+    if (rows.length === 0) {
+      return res.status(404).json({
         success: false,
-        error: "RATE_LIMIT_EXCEEDED",
-        message: "Too many requests. Please try again later.",
+        error: "NOT_FOUND",
+        message: "Sync job not found.",
       });
     }
 
+    res.status(200).json({
+      success: true,
+      data: formatJob(rows[0]),
+    });
+  } catch (error) {
+    console.error("Failed to fetch sync job:", error.message);
     res.status(500).json({
       success: false,
-      error: "SYNC_FAILED",
-      message: "Failed to sync contacts from Google.",
-      details: process.env.NODE_ENV === "development" ? error.message : undefined,
+      error: "DATABASE_ERROR",
+      message: "Failed to fetch sync job.",
     });
   }
 };
 
 /**
  * Gets contacts from database with pagination, search, and filtering.
+ * `q` runs a ranked full-text search (sorted by relevance unless sortBy is
+ * given). Passing `cursor` (empty for the first page) switches from
+ * page/limit to keyset pagination; follow `pagination.nextCursor` for more.
  */
 exports.getContacts = async (req, res) => {
   const db = req.app.locals.db;
@@ -202,63 +138,114 @@ exports.getContacts = async (req, res) => {
   }
 
   try {
-    const page = Math.max(1, parseInt(req.query.page) || 1);
-    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
-    const offset = (page - 1) * limit;
-    const search = req.query.search?.trim() || "";
+    const { join, whereClause, params, relevance } = buildContactFilter(userId, req.query);
     const sortBy = ["name", "email", "created_at", "updated_at"].includes(req.query.sortBy)
       ? req.query.sortBy
-      : "name";
-    const sortOrder = req.query.sortOrder?.toUpperCase() === "DESC" ? "DESC" : "ASC";
-    const favoritesOnly = req.query.favorites === "true";
+      : relevance
+        ? "relevance"
+        : "name";
+    const sortOrder =
+      String(req.query.sortOrder).toUpperCase() === "DESC" || (sortBy === "relevance" && !req.query.sortOrder)
+        ? "DESC"
+        : "ASC";
+    const sortKey = `${sortBy}:${sortOrder}`;
+    // NULL names/emails sort as empty strings so keyset comparisons stay well defined
+    const sortExpr = sortBy === "name" || sortBy === "email" ? `COALESCE(results.${sortBy}, '')` : `results.${sortBy}`;
+    const sortValue = (row) =>
+      sortBy === "name" || sortBy === "email" ? row[sortBy] || "" : row[sortBy];
+
+    const useCursor = req.query.cursor !== undefined;
+    const cursor = useCursor && req.query.cursor ? decodeCursor(req.query.cursor, sortKey) : null;
+
+    if (useCursor && req.query.cursor && !cursor) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_CURSOR",
+        message: "Invalid or expired cursor for this sort order.",
+      });
+    }
 
-    let whereClause = "WHERE user_id = ?";
-    const params = [userId];
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const offset = (page - 1) * limit;
 
-    if (search) {
-      whereClause += " AND (name LIKE ? OR email LIKE ? OR phone LIKE ? OR company LIKE ?)";
-      const searchPattern = `%${search}%`;
-      params.push(searchPattern, searchPattern, searchPattern, searchPattern);
+    let keysetClause = "";
+    const keysetParams = [];
+    if (cursor) {
+      const comparison = sortOrder === "DESC" ? "<" : ">";
+      const value = sortBy === "created_at" || sortBy === "updated_at" ? new Date(cursor.v) : cursor.v;
+      keysetClause = `WHERE ${sortExpr} ${comparison} ? OR (${sortExpr} = ? AND results.id ${comparison} ?)`;
+      keysetParams.push(value, value, cursor.id);
     }
 
-    if (favoritesOnly) {
-      whereClause += " AND is_favorite = TRUE";
+    const [rows] = await db.execute(
+      `SELECT * FROM (
+         SELECT 
+          contacts.id,
+          google_contact_id,
+          name,
+          email,
+          phone,
+          photo_url,
+          company,
+          job_title,
+          notes,
+          is_favorite,
+          last_synced_at,
+          removed_upstream_at,
+          created_at,
+          updated_at${relevance ? `,
+          ${relevance.sql} AS relevance` : ""}
+         FROM contacts
+         ${join}
+         ${whereClause}
+       ) AS results
+       ${keysetClause}
+       ORDER BY ${sortExpr} ${sortOrder}, results.id ${sortOrder}
+       LIMIT ?${useCursor ? "" : " OFFSET ?"}`,
+      [
+        ...(relevance ? relevance.params : []),
+        ...params,
+        ...keysetParams,
+        ...(useCursor ? [limit + 1] : [limit, offset]),
+      ]
+    );
+
+    if (useCursor) {
+      // One extra row tells us whether there is another page
+      const hasMore = rows.length > limit;
+      const pageRows = rows.slice(0, limit);
+      const last = pageRows[pageRows.length - 1];
+      const labels = await loadContactLabels(db, pageRows.map((r) => r.id));
+      const attachments = await loadAttachments(db, { contactIds: pageRows.map((r) => r.id) });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          contacts: pageRows.map((r) => ({ ...r, labels: labels.get(r.id), attachments: attachments.get(r.id) })),
+          pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(sortKey, sortValue(last), last.id) : null,
+          },
+        },
+      });
     }
 
     // Get total count
     const [countResult] = await db.execute(
-      `SELECT COUNT(*) as total FROM contacts ${whereClause}`,
+      `SELECT COUNT(*) as total FROM contacts ${join} ${whereClause}`,
       params
     );
     const total = countResult[0].total;
 
-    // Get paginated results
-    const [rows] = await db.execute(
-      `SELECT 
-        id,
-        google_contact_id,
-        name,
-        email,
-        phone,
-        photo_url,
-        company,
-        job_title,
-        notes,
-        is_favorite,
-        last_synced_at,
-        created_at,
-        updated_at
-       FROM contacts
-       ${whereClause}
-       ORDER BY ${sortBy} ${sortOrder}
-       LIMIT ? OFFSET ?`,
-      [...params, limit, offset]
-    );
+    const labels = await loadContactLabels(db, rows.map((r) => r.id));
+    const attachments = await loadAttachments(db, { contactIds: rows.map((r) => r.id) });
 
     res.status(200).json({
       success: true,
       data: {
-        contacts: rows,
+        contacts: rows.map((r) => ({ ...r, labels: labels.get(r.id), attachments: attachments.get(r.id) })),
         pagination: {
           page,
           limit,
@@ -269,6 +256,9 @@ exports.getContacts = async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.code, message: error.message });
+    }
     console.error("Failed to fetch contacts:", error.message);
     res.status(500).json({
       success: false,
@@ -316,9 +306,18 @@ exports.getContactById = async (req, res) => {
       });
     }
 
+    const details = await loadContactDetails(db, [contactId]);
+    const labels = await loadContactLabels(db, [contactId]);
+    const attachments = await loadAttachments(db, { contactIds: [contactId] });
+
     res.status(200).json({
       success: true,
-      data: rows[0],
+      data: {
+        ...rows[0],
+        ...details.get(contactId),
+        labels: labels.get(contactId),
+        attachments: attachments.get(contactId),
+      },
     });
   } catch (error) {
     console.error("Failed to fetch contact:", error.message);
@@ -330,14 +329,95 @@ exports.getContactById = async (req, res) => {
   }
 };
 
+// Picks the Google-backed fields present in a request body; blank strings clear a field
+const pickGoogleEdits = (body) => {
+  const edits = {};
+  for (const field of Object.keys(contactWriteback.GOOGLE_FIELDS)) {
+    if (body[field] === undefined) continue;
+    const value = typeof body[field] === "string" ? body[field].trim() : body[field];
+    edits[field] = value || null;
+  }
+  return edits;
+};
+
+/**
+ * Create a contact. It is created in Google first and then stored locally.
+ */
+exports.createContact = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const { notes, is_favorite } = req.body;
+  const fields = pickGoogleEdits(req.body);
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  if (!req.user.googleAccessToken) {
+    return res.status(401).json({
+      success: false,
+      error: "GOOGLE_AUTH_REQUIRED",
+      message: "Not authenticated with Google. Please reconnect your Google account.",
+    });
+  }
+
+  if (!fields.name && !fields.email && !fields.phone) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_INPUT",
+      message: "A name, email or phone number is required.",
+    });
+  }
+
+  try {
+    const contactId = await contactWriteback.createContact(db, userId, req.user.googleAccessToken, {
+      ...fields,
+      notes,
+      is_favorite,
+    });
+
+    const [rows] = await db.execute(`SELECT * FROM contacts WHERE id = ?`, [contactId]);
+    const details = await loadContactDetails(db, [contactId]);
+
+    res.status(201).json({
+      success: true,
+      message: "Contact created successfully",
+      data: { ...rows[0], ...details.get(contactId), labels: [] },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.code,
+        message: error.message,
+      });
+    }
+
+    console.error("Failed to create contact:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to create contact.",
+    });
+  }
+};
+
 /**
- * Update a contact (local fields only - notes, favorite status).
+ * Update a contact. Local fields (notes, is_favorite) are saved directly;
+ * name, email, phone, company and job_title of Google contacts are written
+ * to Google first and fail with 409 CONTACT_CONFLICT if the Google copy
+ * changed since the last sync.
  */
 exports.updateContact = async (req, res) => {
   const db = req.app.locals.db;
   const userId = req.user?.userId;
   const contactId = parseInt(req.params.id);
   const { notes, is_favorite } = req.body;
+  const edits = pickGoogleEdits(req.body);
 
   if (!userId) {
     return res.status(401).json({
@@ -358,7 +438,7 @@ exports.updateContact = async (req, res) => {
   try {
     // Verify ownership
     const [existing] = await db.execute(
-      `SELECT id FROM contacts WHERE id = ? AND user_id = ?`,
+      `SELECT * FROM contacts WHERE id = ? AND user_id = ? AND merged_into_id IS NULL`,
       [contactId, userId]
     );
 
@@ -383,7 +463,9 @@ exports.updateContact = async (req, res) => {
       values.push(Boolean(is_favorite));
     }
 
-    if (updates.length === 0) {
+    const hasEdits = Object.keys(edits).length > 0;
+
+    if (updates.length === 0 && !hasEdits) {
       return res.status(400).json({
         success: false,
         error: "NO_UPDATES",
@@ -391,12 +473,26 @@ exports.updateContact = async (req, res) => {
       });
     }
 
-    values.push(contactId, userId);
+    if (hasEdits && existing[0].google_contact_id && !req.user.googleAccessToken) {
+      return res.status(401).json({
+        success: false,
+        error: "GOOGLE_AUTH_REQUIRED",
+        message: "Not authenticated with Google. Please reconnect your Google account.",
+      });
+    }
 
-    await db.execute(
-      `UPDATE contacts SET ${updates.join(", ")} WHERE id = ? AND user_id = ?`,
-      values
-    );
+    if (hasEdits) {
+      await contactWriteback.updateContact(db, req.user.googleAccessToken, existing[0], edits);
+    }
+
+    if (updates.length > 0) {
+      values.push(contactId, userId);
+
+      await db.execute(
+        `UPDATE contacts SET ${updates.join(", ")} WHERE id = ? AND user_id = ?`,
+        values
+      );
+    }
 
     // Fetch updated contact
     const [rows] = await db.execute(
@@ -404,12 +500,26 @@ exports.updateContact = async (req, res) => {
       [contactId, userId]
     );
 
+    const changes = diffContact(existing[0], rows[0]);
+    if (changes) {
+      await recordContactEvents(db, [{ userId, contactId, type: "updated", source: "local", details: { changes } }]);
+    }
+
     res.status(200).json({
       success: true,
       message: "Contact updated successfully",
       data: rows[0],
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.code,
+        message: error.message,
+        ...(error.data && { data: error.data }),
+      });
+    }
+
     console.error("Failed to update contact:", error.message);
     res.status(500).json({
       success: false,
@@ -420,7 +530,8 @@ exports.updateContact = async (req, res) => {
 };
 
 /**
- * Delete a contact.
+ * Delete a contact. Google contacts are deleted in Google as well, unless
+ * the Google copy changed since the last sync (409 CONTACT_CONFLICT).
  */
 exports.deleteContact = async (req, res) => {
   const db = req.app.locals.db;
@@ -444,12 +555,12 @@ exports.deleteContact = async (req, res) => {
   }
 
   try {
-    const [result] = await db.execute(
-      `DELETE FROM contacts WHERE id = ? AND user_id = ?`,
+    const [existing] = await db.execute(
+      `SELECT * FROM contacts WHERE id = ? AND user_id = ?`,
       [contactId, userId]
     );
 
-    if (result.affectedRows === 0) {
+    if (existing.length === 0) {
       return res.status(404).json({
         success: false,
         error: "NOT_FOUND",
@@ -457,11 +568,33 @@ exports.deleteContact = async (req, res) => {
       });
     }
 
+    // Merged duplicates are already gone from the list; only the local row remains
+    const contact = existing[0].merged_into_id ? { ...existing[0], google_contact_id: null } : existing[0];
+
+    if (contact.google_contact_id && !req.user.googleAccessToken) {
+      return res.status(401).json({
+        success: false,
+        error: "GOOGLE_AUTH_REQUIRED",
+        message: "Not authenticated with Google. Please reconnect your Google account.",
+      });
+    }
+
+    await contactWriteback.deleteContact(db, req.user.googleAccessToken, contact);
+
     res.status(200).json({
       success: true,
       message: "Contact deleted successfully",
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.code,
+        message: error.message,
+        ...(error.data && { data: error.data }),
+      });
+    }
+
     console.error("Failed to delete contact:", error.message);
     res.status(500).json({
       success: false,
@@ -471,6 +604,253 @@ exports.deleteContact = async (req, res) => {
   }
 };
 
+/**
+ * Restore a contact that was removed from Google. It is kept as a local-only
+ * contact (unlinked from Google) with its notes, favorite and local labels.
+ */
+exports.restoreContact = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const contactId = parseInt(req.params.id);
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  if (isNaN(contactId)) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_ID",
+      message: "Invalid contact ID.",
+    });
+  }
+
+  try {
+    const [result] = await db.execute(
+      `UPDATE contacts
+       SET removed_upstream_at = NULL, google_contact_id = NULL, etag = NULL, updated_at = NOW()
+       WHERE id = ? AND user_id = ? AND removed_upstream_at IS NOT NULL`,
+      [contactId, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "NOT_FOUND",
+        message: "No removed contact with this ID.",
+      });
+    }
+
+    // Google group memberships no longer apply to a local-only contact
+    await db.execute(
+      `DELETE FROM contact_label_members WHERE contact_id = ? AND source = 'google'`,
+      [contactId]
+    );
+    await recordContactEvents(db, [{ userId, contactId, type: "restored", source: "local" }]);
+
+    const [rows] = await db.execute(`SELECT * FROM contacts WHERE id = ?`, [contactId]);
+
+    res.status(200).json({
+      success: true,
+      message: "Contact restored successfully",
+      data: rows[0],
+    });
+  } catch (error) {
+    console.error("Failed to restore contact:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to restore contact.",
+    });
+  }
+};
+
+/**
+ * Permanently delete a contact that was removed from Google.
+ */
+exports.purgeContact = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const contactId = parseInt(req.params.id);
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  if (isNaN(contactId)) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_ID",
+      message: "Invalid contact ID.",
+    });
+  }
+
+  try {
+    const [result] = await db.execute(
+      `DELETE FROM contacts WHERE id = ? AND user_id = ? AND removed_upstream_at IS NOT NULL`,
+      [contactId, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "NOT_FOUND",
+        message: "No removed contact with this ID.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Contact purged successfully",
+    });
+  } catch (error) {
+    console.error("Failed to purge contact:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to purge contact.",
+    });
+  }
+};
+
+/**
+ * Permanently delete every contact of the user that was removed from Google.
+ */
+exports.purgeRemovedContacts = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  try {
+    const [result] = await db.execute(
+      `DELETE FROM contacts WHERE user_id = ? AND removed_upstream_at IS NOT NULL`,
+      [userId]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Purged ${result.affectedRows} removed contacts`,
+      data: { purged: result.affectedRows },
+    });
+  } catch (error) {
+    console.error("Failed to purge removed contacts:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to purge removed contacts.",
+    });
+  }
+};
+
+/**
+ * Get a contact's interaction timeline, newest first: linked notes and reminders,
+ * Gmail messages exchanged with any of the contact's email addresses, and
+ * local edit/sync events. `types` filters by item type (comma separated);
+ * follow `nextCursor` for older items.
+ */
+exports.getContactTimeline = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const contactId = parseInt(req.params.id);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 25));
+  const types = req.query.types
+    ? [...new Set(String(req.query.types).split(",").map((t) => t.trim()).filter(Boolean))]
+    : TIMELINE_TYPES;
+  const cursor = req.query.cursor ? decodeTimelineCursor(req.query.cursor) : null;
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  if (isNaN(contactId)) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_ID",
+      message: "Invalid contact ID.",
+    });
+  }
+
+  const unknownTypes = types.filter((t) => !TIMELINE_TYPES.includes(t));
+  if (unknownTypes.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_TYPE",
+      message: `Unknown timeline types: ${unknownTypes.join(", ")}. Expected any of ${TIMELINE_TYPES.join(", ")}.`,
+    });
+  }
+
+  if (req.query.cursor && !cursor) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_CURSOR",
+      message: "Invalid timeline cursor.",
+    });
+  }
+
+  try {
+    const [rows] = await db.execute(
+      `SELECT * FROM contacts WHERE id = ? AND user_id = ?`,
+      [contactId, userId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "NOT_FOUND",
+        message: "Contact not found.",
+      });
+    }
+
+    const details = (await loadContactDetails(db, [contactId])).get(contactId);
+    const emails = [rows[0].email, ...details.emails.map((e) => e.value)].filter(Boolean);
+
+    const timeline = await loadTimeline(db, {
+      userId,
+      contact: rows[0],
+      emails,
+      accessToken: req.user.googleAccessToken,
+      types,
+      cursor,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        items: timeline.items,
+        pagination: { limit, hasMore: timeline.hasMore, nextCursor: timeline.nextCursor },
+        warnings: timeline.warnings,
+      },
+    });
+  } catch (error) {
+    console.error("Failed to load contact timeline:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to load contact timeline.",
+    });
+  }
+};
+
 /**
  * Get sync status for the user.
  */
@@ -488,7 +868,10 @@ exports.getSyncStatus = async (req, res) => {
 
   try {
     const [countResult] = await db.execute(
-      `SELECT COUNT(*) as total FROM contacts WHERE user_id = ?`,
+      `SELECT
+         SUM(removed_upstream_at IS NULL) as total,
+         SUM(removed_upstream_at IS NOT NULL) as removed
+       FROM contacts WHERE user_id = ? AND merged_into_id IS NULL`,
       [userId]
     );
 
@@ -497,11 +880,23 @@ exports.getSyncStatus = async (req, res) => {
       [userId]
     );
 
+    const [jobRows] = await db.execute(
+      `SELECT * FROM contact_sync_jobs WHERE user_id = ? ORDER BY id DESC LIMIT 10`,
+      [userId]
+    );
+    const jobs = jobRows.map(formatJob);
+
     res.status(200).json({
       success: true,
       data: {
-        totalContacts: countResult[0].total,
+        totalContacts: Number(countResult[0].total) || 0,
+        removedUpstreamContacts: Number(countResult[0].removed) || 0,
+        removedRetentionDays: RETENTION_DAYS,
         lastSyncedAt: lastSyncResult[0].lastSync,
+        activeJob: jobs.find((j) => j.status === "queued" || j.status === "running") || null,
+        lastSucceededJob: jobs.find((j) => j.status === "succeeded") || null,
+        lastFailedJob: jobs.find((j) => j.status === "failed") || null,
+        recentJobs: jobs,
       },
     });
   } catch (error) {
@@ -513,3 +908,147 @@ exports.getSyncStatus = async (req, res) => {
     });
   }
 };
+
+/**
+ * List clusters of likely duplicate contacts, highest score first.
+ */
+exports.getDuplicates = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  try {
+    const minScore = Math.min(1, Math.max(0, parseFloat(req.query.minScore) || 0.75));
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 100));
+
+    const clusters = await findDuplicateClusters(db, userId, { minScore });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        clusters: clusters.slice(0, limit),
+        total: clusters.length,
+        minScore,
+      },
+    });
+  } catch (error) {
+    console.error("Failed to find duplicate contacts:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to find duplicate contacts.",
+    });
+  }
+};
+
+/**
+ * Merge duplicate contacts into one surviving contact.
+ * Body: { primaryId, duplicateIds: [] }
+ */
+exports.mergeContacts = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const primaryId = parseInt(req.body?.primaryId);
+  const duplicateIds = Array.isArray(req.body?.duplicateIds)
+    ? [...new Set(req.body.duplicateIds.map((id) => parseInt(id)))]
+    : [];
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  if (isNaN(primaryId) || duplicateIds.length === 0 || duplicateIds.some((id) => isNaN(id) || id === primaryId)) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_INPUT",
+      message: "primaryId and a non-empty list of other duplicateIds are required.",
+    });
+  }
+
+  try {
+    const result = await mergeContacts(db, userId, primaryId, duplicateIds);
+
+    res.status(200).json({
+      success: true,
+      message: "Contacts merged successfully",
+      data: result,
+    });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({
+        success: false,
+        error: error.code,
+        message: error.message,
+      });
+    }
+
+    console.error("Failed to merge contacts:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to merge contacts.",
+    });
+  }
+};
+
+/**
+ * List the contacts that were merged into a contact.
+ */
+exports.getMergeHistory = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const contactId = parseInt(req.params.id);
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: "UNAUTHORIZED",
+      message: "Authentication required.",
+    });
+  }
+
+  if (isNaN(contactId)) {
+    return res.status(400).json({
+      success: false,
+      error: "INVALID_ID",
+      message: "Invalid contact ID.",
+    });
+  }
+
+  try {
+    const [rows] = await db.execute(
+      `SELECT id, merged_contact_id, merged_google_contact_id, merged_snapshot, fields_merged, created_at
+       FROM contact_merges
+       WHERE surviving_contact_id = ? AND user_id = ?
+       ORDER BY created_at DESC`,
+      [contactId, userId]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: rows.map((row) => ({
+        ...row,
+        merged_snapshot: row.merged_snapshot ? JSON.parse(row.merged_snapshot) : null,
+        fields_merged: row.fields_merged ? JSON.parse(row.fields_merged) : null,
+      })),
+    });
+  } catch (error) {
+    console.error("Failed to fetch merge history:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "DATABASE_ERROR",
+      message: "Failed to fetch merge history.",
+    });
+  }
+};
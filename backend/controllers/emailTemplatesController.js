@@ -0,0 +1,185 @@
+// backend/controllers/emailTemplatesController.js
+
+const { renderEmailTemplate, formatTemplate } = require("../services/mailMerge");
+const { templateFields } = require("../utils/template");
+const { sanitizeEmailHtml } = require("../utils/mime");
+
+const MAX_NAME_LENGTH = 255;
+const MAX_SUBJECT_LENGTH = 998;
+const MAX_BODY_LENGTH = 1024 * 1024;
+
+/**
+ * Validates the template fields of a request body. With `partial` (updates)
+ * only the fields present are checked. Returns { fields } with columns to
+ * write, or { error }.
+ */
+const parseTemplateBody = (body, { partial = false } = {}) => {
+  const fields = {};
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim()) return { error: "name is required." };
+    if (body.name.trim().length > MAX_NAME_LENGTH) {
+      return { error: `name must be at most ${MAX_NAME_LENGTH} characters.` };
+    }
+    fields.name = body.name.trim();
+  }
+  if (!partial || body.subject !== undefined) {
+    if (typeof body.subject !== "string") return { error: "subject must be a string." };
+    if (body.subject.length > MAX_SUBJECT_LENGTH) {
+      return { error: `subject must be at most ${MAX_SUBJECT_LENGTH} characters.` };
+    }
+    fields.subject = body.subject;
+  }
+  for (const [key, column] of [["bodyText", "body_text"], ["bodyHtml", "body_html"]]) {
+    if (body[key] === undefined) continue;
+    if (body[key] !== null && typeof body[key] !== "string") return { error: `${key} must be a string.` };
+    if (body[key] && body[key].length > MAX_BODY_LENGTH) return { error: `${key} is too long.` };
+    fields[column] = body[key] && body[key].trim() ? body[key] : null;
+  }
+
+  return { fields };
+};
+
+const findTemplate = async (db, userId, templateId) => {
+  const [rows] = await db.execute(`SELECT * FROM email_templates WHERE id = ? AND user_id = ?`, [templateId, userId]);
+  return rows[0] || null;
+};
+
+// Template responses also list the merge fields they use
+const templateResponse = (row) => ({
+  ...formatTemplate(row),
+  fields: templateFields(row.subject, row.body_text, row.body_html),
+});
+
+exports.getTemplates = async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const [rows] = await db.execute(`SELECT * FROM email_templates WHERE user_id = ? ORDER BY name`, [req.user.userId]);
+    res.json(rows.map(templateResponse));
+  } catch (error) {
+    console.error("Email Templates Controller: Error fetching templates:", error.message);
+    res.status(500).json({ message: "Failed to fetch email templates." });
+  }
+};
+
+exports.getTemplate = async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const template = await findTemplate(db, req.user.userId, req.params.templateId);
+    if (!template) return res.status(404).json({ message: "Email template not found." });
+    res.json(templateResponse(template));
+  } catch (error) {
+    console.error("Email Templates Controller: Error fetching template:", error.message);
+    res.status(500).json({ message: "Failed to fetch email template." });
+  }
+};
+
+exports.createTemplate = async (req, res) => {
+  const db = req.app.locals.db;
+  const { fields, error } = parseTemplateBody(req.body || {});
+  if (error) return res.status(400).json({ message: error });
+  if (!fields.body_text && !fields.body_html) {
+    return res.status(400).json({ message: "A bodyText or bodyHtml is required." });
+  }
+
+  try {
+    const [result] = await db.execute(
+      `INSERT INTO email_templates (user_id, name, subject, body_text, body_html) VALUES (?, ?, ?, ?, ?)`,
+      [req.user.userId, fields.name, fields.subject, fields.body_text || null, fields.body_html || null]
+    );
+    const template = await findTemplate(db, req.user.userId, result.insertId);
+    res.status(201).json(templateResponse(template));
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ message: "An email template with this name already exists." });
+    }
+    console.error("Email Templates Controller: Error creating template:", error.message);
+    res.status(500).json({ message: "Failed to create email template." });
+  }
+};
+
+exports.updateTemplate = async (req, res) => {
+  const db = req.app.locals.db;
+  const { fields, error } = parseTemplateBody(req.body || {}, { partial: true });
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const existing = await findTemplate(db, req.user.userId, req.params.templateId);
+    if (!existing) return res.status(404).json({ message: "Email template not found." });
+
+    const merged = { ...existing, ...fields };
+    if (!merged.body_text && !merged.body_html) {
+      return res.status(400).json({ message: "A bodyText or bodyHtml is required." });
+    }
+
+    const columns = Object.keys(fields);
+    if (columns.length > 0) {
+      await db.execute(
+        `UPDATE email_templates SET ${columns.map((c) => `${c} = ?`).join(", ")} WHERE id = ?`,
+        [...columns.map((c) => fields[c]), existing.id]
+      );
+    }
+    res.json(templateResponse(await findTemplate(db, req.user.userId, existing.id)));
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ message: "An email template with this name already exists." });
+    }
+    console.error("Email Templates Controller: Error updating template:", error.message);
+    res.status(500).json({ message: "Failed to update email template." });
+  }
+};
+
+exports.deleteTemplate = async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const [result] = await db.execute(`DELETE FROM email_templates WHERE id = ? AND user_id = ?`, [
+      req.params.templateId,
+      req.user.userId,
+    ]);
+    if (result.affectedRows === 0) return res.status(404).json({ message: "Email template not found." });
+    res.json({ message: "Email template deleted." });
+  } catch (error) {
+    console.error("Email Templates Controller: Error deleting template:", error.message);
+    res.status(500).json({ message: "Failed to delete email template." });
+  }
+};
+
+/**
+ * Renders a template for one of the user's contacts. Body: { contactId,
+ * values } where `values` are custom merge values. The HTML is sanitized
+ * like a received email's, since clients display it as-is.
+ */
+exports.previewTemplate = async (req, res) => {
+  const db = req.app.locals.db;
+  const { contactId, values = {} } = req.body || {};
+
+  if (!contactId) return res.status(400).json({ message: "contactId is required." });
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    return res.status(400).json({ message: "values must be an object." });
+  }
+
+  try {
+    const template = await findTemplate(db, req.user.userId, req.params.templateId);
+    if (!template) return res.status(404).json({ message: "Email template not found." });
+
+    const [contacts] = await db.execute(
+      `SELECT * FROM contacts WHERE id = ? AND user_id = ? AND merged_into_id IS NULL`,
+      [contactId, req.user.userId]
+    );
+    if (contacts.length === 0) return res.status(404).json({ message: "Contact not found." });
+
+    const rendered = renderEmailTemplate(template, contacts[0], values);
+    res.json({
+      templateId: template.id,
+      contactId: contacts[0].id,
+      to: contacts[0].email || null,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html ? sanitizeEmailHtml(rendered.html) : null,
+      missing: rendered.missing,
+    });
+  } catch (error) {
+    console.error("Email Templates Controller: Error previewing template:", error.message);
+    res.status(500).json({ message: "Failed to preview email template." });
+  }
+};
@@ -1,10 +1,119 @@
 // backend/controllers/emailsController.js
 
+const { pipeline } = require("stream");
 const { google } = require("googleapis");
+const { getMessage, openAttachment, getReplyHeaders, sendMessage } = require("../services/gmailMessages");
+const { logSentEmail } = require("../services/sentEmails");
+const { syncMailbox, parsePageToken, gmailPageToken, listCachedMessages } = require("../services/gmailCache");
+const { parseAddress, splitAddressList, buildMimeMessage } = require("../utils/email");
+
+const DEFAULT_MAX_RESULTS = 50;
+// Every listed message costs one messages.get call
+const MAX_RESULTS_LIMIT = 100;
+const MAX_QUERY_LENGTH = 1000;
+const LABEL_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const MAX_RECIPIENTS = 100;
+// Gmail's limit for the attachments of one message
+const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]*={0,2}$/;
 
 /**
- * Fetches emails from Gmail API for the authenticated user.
+ * Reads the list filters from the query string. `labelIds` is a comma
+ * separated list (or repeated parameter) and defaults to INBOX; send it
+ * empty to search all mail. Returns { filters } or { error }.
+ */
+const parseListQuery = (query) => {
+  const maxResults = query.maxResults === undefined ? DEFAULT_MAX_RESULTS : Number(query.maxResults);
+  if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > MAX_RESULTS_LIMIT) {
+    return { error: `maxResults must be between 1 and ${MAX_RESULTS_LIMIT}.` };
+  }
+
+  const labelIds =
+    query.labelIds === undefined
+      ? ["INBOX"]
+      : [].concat(query.labelIds).flatMap((value) => String(value).split(",")).map((id) => id.trim()).filter(Boolean);
+  if (!labelIds.every((id) => LABEL_ID_PATTERN.test(id))) {
+    return { error: "labelIds must be Gmail label ids such as INBOX or Label_12." };
+  }
+
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  if (q.length > MAX_QUERY_LENGTH) {
+    return { error: `q must be at most ${MAX_QUERY_LENGTH} characters.` };
+  }
+
+  const pageToken = typeof query.pageToken === "string" ? query.pageToken : "";
+
+  return {
+    filters: {
+      maxResults,
+      ...(labelIds.length > 0 && { labelIds }),
+      ...(q && { q }),
+      ...(pageToken && { pageToken }),
+    },
+  };
+};
+
+/**
+ * Lists messages live from Gmail: one messages.list call plus a
+ * messages.get per message. Returns { messages, nextPageToken,
+ * resultSizeEstimate }.
+ */
+const listFromGmail = async (accessToken, filters) => {
+  const oauth2Client = new google.auth.OAuth2();
+  oauth2Client.setCredentials({ access_token: accessToken });
+
+  const gmail = google.gmail({ version: "v1", auth: oauth2Client });
+
+  const listResponse = await gmail.users.messages.list({
+    userId: "me",
+    ...filters,
+  });
+
+  const messages = listResponse.data.messages || [];
+  console.log(`Emails Controller: Found ${messages.length} messages.`);
+
+  // Fetch details for each message
+  const emailDetails = await Promise.all(
+    messages.map(async (msg) => {
+      const msgData = await gmail.users.messages.get({
+        userId: "me",
+        id: msg.id,
+        format: "metadata",
+        metadataHeaders: ["From", "Subject", "Date"],
+      });
+
+      const headers = msgData.data.payload?.headers || [];
+      const getHeader = (name) => headers.find((h) => h.name === name)?.value || "";
+
+      return {
+        id: msg.id,
+        threadId: msg.threadId,
+        labelIds: msgData.data.labelIds || [],
+        from: getHeader("From"),
+        subject: getHeader("Subject"),
+        date: getHeader("Date"),
+        snippet: msgData.data.snippet || "",
+      };
+    })
+  );
+
+  return {
+    messages: emailDetails,
+    nextPageToken: listResponse.data.nextPageToken || null,
+    resultSizeEstimate: listResponse.data.resultSizeEstimate || 0,
+  };
+};
+
+/**
+ * Lists the user's emails. Without a search they are served from the local
+ * metadata cache, which is first brought up to date from the Gmail history
+ * (at most every 30 seconds, or now with refresh=true); searches (q) go to
+ * Gmail live, as does paging past the oldest cached message.
  * Requires req.user.googleAccessToken to be set by auth middleware.
+ * Query: pageToken, labelIds (default INBOX), q (Gmail search syntax, e.g.
+ * "from:alice newer_than:7d"), maxResults (1-100, default 50) and refresh.
+ * Responds with { messages, source: "cache" | "gmail", syncedAt,
+ * pagination: { nextPageToken, resultSizeEstimate } }.
  */
 exports.getEmails = async (req, res) => {
   console.log("\n--- Emails Controller: getEmails Start ---");
@@ -16,54 +125,274 @@ exports.getEmails = async (req, res) => {
     return res.status(401).json({ message: "Not authenticated with Google." });
   }
 
-  try {
-    const oauth2Client = new google.auth.OAuth2();
-    oauth2Client.setCredentials({ access_token: req.user.googleAccessToken });
-
-    const gmail = google.gmail({ version: "v1", auth: oauth2Client });
+  const { filters, error: queryError } = parseListQuery(req.query);
+  const page = filters && parsePageToken(filters.pageToken);
+  if (queryError || !page) {
+    console.log("--- Emails Controller: getEmails End ---\n");
+    return res.status(400).json({ message: queryError || "pageToken is invalid." });
+  }
 
-    // List messages (inbox, max 50)
-    const listResponse = await gmail.users.messages.list({
-      userId: "me",
-      maxResults: 50,
-      labelIds: ["INBOX"],
+  const db = req.app.locals.db;
+  const accessToken = req.user.googleAccessToken;
+  const respond = ({ messages, nextPageToken, resultSizeEstimate, source, syncedAt = null }) =>
+    res.status(200).json({
+      messages,
+      source,
+      syncedAt,
+      pagination: {
+        maxResults: filters.maxResults,
+        nextPageToken,
+        resultSizeEstimate,
+        hasMore: Boolean(nextPageToken),
+      },
     });
 
-    const messages = listResponse.data.messages || [];
-    console.log(`Emails Controller: Found ${messages.length} messages.`);
-
-    // Fetch details for each message
-    const emailDetails = await Promise.all(
-      messages.map(async (msg) => {
-        const msgData = await gmail.users.messages.get({
-          userId: "me",
-          id: msg.id,
-          format: "metadata",
-          metadataHeaders: ["From", "Subject", "Date"],
-        });
-
-        const headers = msgData.data.payload?.headers || [];
-        const getHeader = (name) => headers.find((h) => h.name === name)?.value || "";
+  try {
+    if (page.type === "cache" && !filters.q) {
+      let synced = true;
+      try {
+        // Later pages keep reading the cache as it was, so paging stays consistent
+        if (!page.cursor) await syncMailbox(db, req.user.userId, accessToken, { force: req.query.refresh === "true" });
+      } catch (error) {
+        if (error.status === 401) throw error;
+        console.error("Emails Controller: Gmail cache sync failed, listing live:", error.message);
+        synced = false;
+      }
 
-        return {
-          id: msg.id,
-          from: getHeader("From"),
-          subject: getHeader("Subject"),
-          date: getHeader("Date"),
-          snippet: msgData.data.snippet || "",
-        };
-      })
-    );
+      if (synced || page.cursor) {
+        const listed = await listCachedMessages(db, req.user.userId, {
+          labelIds: filters.labelIds,
+          maxResults: filters.maxResults,
+          cursor: page.cursor,
+        });
+        respond({ ...listed, source: "cache" });
+        console.log("Emails Controller: Successfully sent cached emails response.");
+        return;
+      }
+    }
 
-    res.status(200).json(emailDetails);
+    if (page.type === "gmail") {
+      // Mail older than the cache: Gmail's own paging, under a before: search
+      const { before, token } = page.cursor;
+      const listed = await listFromGmail(accessToken, {
+        ...filters,
+        q: [filters.q, `before:${Number(before)}`].filter(Boolean).join(" "),
+        pageToken: typeof token === "string" ? token : undefined,
+      });
+      respond({
+        ...listed,
+        nextPageToken: listed.nextPageToken && gmailPageToken(Number(before), listed.nextPageToken),
+        source: "gmail",
+      });
+    } else {
+      const pageToken = page.type === "raw" ? filters.pageToken : undefined;
+      respond({ ...(await listFromGmail(accessToken, { ...filters, pageToken })), source: "gmail" });
+    }
     console.log("Emails Controller: Successfully sent emails response.");
   } catch (error) {
     console.error("Emails Controller: Error fetching emails:", error.message);
-    if (error.code === 401 || error.code === 403) {
+    if (error.code === 400) {
+      return res.status(400).json({ message: "Gmail rejected the request. Check pageToken, labelIds and q." });
+    }
+    if (error.code === 401 || error.code === 403 || error.status === 401) {
       return res.status(401).json({ message: "Google API authentication failed. Please re-authenticate." });
     }
+    if (error.code === 429 || error.status === 429) {
+      return res.status(429).json({ message: "Too many requests. Please try again later." });
+    }
     res.status(500).json({ message: "Failed to fetch emails from Google.", error: error.message });
   } finally {
     console.log("--- Emails Controller: getEmails End ---\n");
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Fetches one message with its plain-text and sanitized HTML bodies and its
+ * attachments (size, type and the id to download them with). Inline images
+ * in the HTML point at the attachment download route.
+ */
+exports.getEmail = async (req, res) => {
+  const { id } = req.params;
+
+  if (!req.user || !req.user.googleAccessToken) {
+    return res.status(401).json({ message: "Not authenticated with Google." });
+  }
+
+  try {
+    const email = await getMessage(req.user.googleAccessToken, id, {
+      attachmentUrl: (partId) => `${req.baseUrl}/${encodeURIComponent(id)}/attachments/${encodeURIComponent(partId)}`,
+    });
+    res.status(200).json(email);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+    console.error(`Emails Controller: Error fetching email ${id}:`, error.message);
+    res.status(502).json({ message: "Failed to fetch email from Google.", code: error.code });
+  }
+};
+
+/**
+ * Streams an attachment of a message as a download. `attachmentId` is the
+ * attachment id from GET /emails/:id.
+ */
+exports.downloadAttachment = async (req, res) => {
+  const { id, attachmentId } = req.params;
+
+  if (!req.user || !req.user.googleAccessToken) {
+    return res.status(401).json({ message: "Not authenticated with Google." });
+  }
+
+  let attachment;
+  try {
+    attachment = await openAttachment(req.user.googleAccessToken, id, attachmentId);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+    console.error(`Emails Controller: Error opening attachment ${attachmentId} of email ${id}:`, error.message);
+    return res.status(502).json({ message: "Failed to download attachment from Google.", code: error.code });
+  }
+
+  res.attachment(attachment.filename);
+  res.type(attachment.mimeType);
+  if (attachment.size) res.set("Content-Length", String(attachment.size));
+  pipeline(attachment.stream, res, (error) => {
+    if (error) console.error(`Emails Controller: Attachment download of email ${id} failed:`, error.message);
+  });
+};
+
+/**
+ * Reads the to/cc/bcc recipients of a send request. Each field is a comma
+ * separated string or an array of addresses ("Jane <jane@example.com>" or
+ * { name, email }). Returns { recipients } or { error }.
+ */
+const parseRecipients = (body) => {
+  const recipients = {};
+  for (const field of ["to", "cc", "bcc"]) {
+    const entries = splitAddressList(body[field]);
+    const addresses = entries.map(parseAddress);
+    const invalid = addresses.indexOf(null);
+    if (invalid !== -1) {
+      const entry = entries[invalid];
+      return { error: `Invalid ${field} address: ${typeof entry === "string" ? entry : JSON.stringify(entry)}` };
+    }
+    recipients[field] = addresses;
+  }
+
+  const count = recipients.to.length + recipients.cc.length + recipients.bcc.length;
+  if (count === 0) return { error: "At least one recipient (to, cc or bcc) is required." };
+  if (count > MAX_RECIPIENTS) return { error: `An email can have at most ${MAX_RECIPIENTS} recipients.` };
+  return { recipients };
+};
+
+/**
+ * Reads attachments sent as [{ filename, mimeType, content }] with base64
+ * content. Returns { attachments } or { error, status }.
+ */
+const parseAttachments = (value) => {
+  if (value === undefined || value === null) return { attachments: [] };
+  if (!Array.isArray(value)) return { error: "attachments must be an array.", status: 400 };
+
+  const attachments = [];
+  let totalBytes = 0;
+  for (const attachment of value) {
+    const { filename, mimeType, content } = attachment || {};
+    if (typeof filename !== "string" || !filename.trim()) {
+      return { error: "Every attachment needs a filename.", status: 400 };
+    }
+    if (typeof content !== "string" || !BASE64_PATTERN.test(content.replace(/\s/g, ""))) {
+      return { error: `Attachment ${filename} must have base64 content.`, status: 400 };
+    }
+    const bytes = Buffer.from(content, "base64");
+    totalBytes += bytes.length;
+    attachments.push({ filename: filename.trim(), mimeType, content: bytes });
+  }
+
+  if (totalBytes > MAX_ATTACHMENT_BYTES) {
+    return { error: "Attachments can be at most 25 MB in total.", status: 413 };
+  }
+  return { attachments };
+};
+
+/**
+ * Sends an email as the user through Gmail.
+ * Body: to, cc, bcc, subject, text and/or html, attachments
+ * ([{ filename, mimeType, content (base64) }]) and replyToMessageId (a Gmail
+ * message id) to send the email as a reply in that message's thread.
+ * The sent message is logged against the contacts it went to.
+ */
+exports.sendEmail = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user?.userId;
+  const body = req.body || {};
+
+  if (!req.user || !req.user.googleAccessToken) {
+    return res.status(401).json({ message: "Not authenticated with Google." });
+  }
+
+  const { recipients, error: recipientError } = parseRecipients(body);
+  if (recipientError) {
+    return res.status(400).json({ message: recipientError });
+  }
+  if (body.subject !== undefined && typeof body.subject !== "string") {
+    return res.status(400).json({ message: "subject must be a string." });
+  }
+  const text = typeof body.text === "string" && body.text.trim() ? body.text : undefined;
+  const html = typeof body.html === "string" && body.html.trim() ? body.html : undefined;
+  if (!text && !html) {
+    return res.status(400).json({ message: "A text or html body is required." });
+  }
+  const { attachments, error: attachmentError, status } = parseAttachments(body.attachments);
+  if (attachmentError) {
+    return res.status(status).json({ message: attachmentError });
+  }
+  if (body.replyToMessageId !== undefined && (typeof body.replyToMessageId !== "string" || !body.replyToMessageId)) {
+    return res.status(400).json({ message: "replyToMessageId must be a Gmail message id." });
+  }
+
+  try {
+    const reply = body.replyToMessageId
+      ? await getReplyHeaders(req.user.googleAccessToken, body.replyToMessageId)
+      : null;
+    const subject =
+      body.subject ?? (reply ? (/^re:/i.test(reply.subject) ? reply.subject : `Re: ${reply.subject}`) : "");
+
+    const [users] = await db.execute(`SELECT name, email FROM users WHERE id = ?`, [userId]);
+    const from = users[0]?.email ? parseAddress({ name: users[0].name, email: users[0].email }) : null;
+
+    const message = buildMimeMessage({
+      from,
+      ...recipients,
+      subject,
+      text,
+      html,
+      attachments,
+      inReplyTo: reply?.inReplyTo,
+      references: reply?.references,
+    });
+    const sent = await sendMessage(req.user.googleAccessToken, message, { threadId: reply?.threadId });
+
+    // The email is out at this point; a failed log must not report the send as failed
+    let contactIds = [];
+    try {
+      ({ contactIds } = await logSentEmail(db, userId, {
+        gmailMessageId: sent.id,
+        threadId: sent.threadId,
+        subject,
+        recipients,
+        attachmentCount: attachments.length,
+      }));
+    } catch (error) {
+      console.error(`Emails Controller: Failed to log sent email ${sent.id}:`, error.message);
+    }
+
+    res.status(201).json({ id: sent.id, threadId: sent.threadId, contactIds, message: "Email sent." });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+    console.error("Emails Controller: Error sending email:", error.message);
+    res.status(502).json({ message: "Failed to send email through Gmail.", code: error.code });
+  }
+};
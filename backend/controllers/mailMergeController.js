@@ -0,0 +1,128 @@
+// backend/controllers/mailMergeController.js
+
+const { buildContactFilter } = require("../services/contactQuery");
+const { enqueueMailMerge, formatMergeJob } = require("../services/mailMerge");
+
+// Gmail's daily sending limit is 500 for personal accounts
+const MAX_MERGE_RECIPIENTS = 500;
+const FILTER_KEYS = ["q", "search", "favorites", "label"];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Selects the contacts a merge goes to: the ones matching `filter` (the
+ * contact list's q, search, favorites and label parameters), narrowed to
+ * `contactIds` when both are given.
+ */
+const selectRecipients = async (db, userId, { filter, contactIds }) => {
+  const { join, whereClause, params } = buildContactFilter(userId, filter || {});
+  let sql = `SELECT contacts.* FROM contacts ${join} ${whereClause}`;
+  const allParams = [...params];
+
+  if (contactIds) {
+    sql += ` AND contacts.id IN (${contactIds.map(() => "?").join(", ")})`;
+    allParams.push(...contactIds);
+  }
+  sql += ` ORDER BY contacts.name, contacts.id LIMIT ${MAX_MERGE_RECIPIENTS + 1}`;
+
+  const [rows] = await db.execute(sql, allParams);
+  return rows;
+};
+
+/**
+ * Starts a mail merge. Body: { templateId, filter, contactIds, values,
+ * contactValues, allowMissing }; at least one of `filter` and `contactIds`
+ * picks the recipients. Responds 202 with the queued job.
+ */
+exports.startMerge = async (req, res) => {
+  const db = req.app.locals.db;
+  const userId = req.user.userId;
+  const { templateId, filter, contactIds, values = {}, contactValues = {}, allowMissing = false } = req.body || {};
+
+  if (!templateId) return res.status(400).json({ message: "templateId is required." });
+  if (filter === undefined && contactIds === undefined) {
+    return res.status(400).json({ message: "A filter or contactIds is required to choose recipients." });
+  }
+  if (filter !== undefined) {
+    if (!isPlainObject(filter) || Object.keys(filter).some((key) => !FILTER_KEYS.includes(key))) {
+      return res.status(400).json({ message: `filter may only contain ${FILTER_KEYS.join(", ")}.` });
+    }
+    if (Object.values(filter).some((value) => typeof value !== "string")) {
+      return res.status(400).json({ message: "filter values must be strings." });
+    }
+  }
+  if (
+    contactIds !== undefined &&
+    (!Array.isArray(contactIds) || contactIds.length === 0 || !contactIds.every((id) => Number.isInteger(id)))
+  ) {
+    return res.status(400).json({ message: "contactIds must be a non-empty array of contact ids." });
+  }
+  if (!isPlainObject(values) || !isPlainObject(contactValues)) {
+    return res.status(400).json({ message: "values and contactValues must be objects." });
+  }
+
+  try {
+    const [templates] = await db.execute(`SELECT * FROM email_templates WHERE id = ? AND user_id = ?`, [
+      templateId,
+      userId,
+    ]);
+    if (templates.length === 0) return res.status(404).json({ message: "Email template not found." });
+
+    const contacts = await selectRecipients(db, userId, { filter, contactIds });
+    if (contacts.length === 0) {
+      return res.status(400).json({ message: "No contacts match the given recipients." });
+    }
+    if (contacts.length > MAX_MERGE_RECIPIENTS) {
+      return res.status(400).json({ message: `A mail merge can go to at most ${MAX_MERGE_RECIPIENTS} contacts.` });
+    }
+
+    const job = await enqueueMailMerge(db, {
+      userId,
+      template: templates[0],
+      contacts,
+      values,
+      contactValues,
+      allowMissing: allowMissing === true,
+    });
+    res.status(202).json({ job, message: "Mail merge queued." });
+  } catch (error) {
+    console.error("Mail Merge Controller: Error starting mail merge:", error.message);
+    res.status(500).json({ message: "Failed to start mail merge." });
+  }
+};
+
+exports.getMerges = async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const [rows] = await db.execute(
+      `SELECT * FROM mail_merge_jobs WHERE user_id = ? ORDER BY id DESC LIMIT 50`,
+      [req.user.userId]
+    );
+    res.json(rows.map((row) => formatMergeJob(row)));
+  } catch (error) {
+    console.error("Mail Merge Controller: Error fetching mail merges:", error.message);
+    res.status(500).json({ message: "Failed to fetch mail merges." });
+  }
+};
+
+/**
+ * A mail merge with the status of every recipient.
+ */
+exports.getMerge = async (req, res) => {
+  const db = req.app.locals.db;
+  try {
+    const [jobs] = await db.execute(`SELECT * FROM mail_merge_jobs WHERE id = ? AND user_id = ?`, [
+      req.params.jobId,
+      req.user.userId,
+    ]);
+    if (jobs.length === 0) return res.status(404).json({ message: "Mail merge not found." });
+
+    const [recipients] = await db.execute(`SELECT * FROM mail_merge_recipients WHERE job_id = ? ORDER BY id`, [
+      jobs[0].id,
+    ]);
+    res.json(formatMergeJob(jobs[0], recipients));
+  } catch (error) {
+    console.error("Mail Merge Controller: Error fetching mail merge:", error.message);
+    res.status(500).json({ message: "Failed to fetch mail merge." });
+  }
+};
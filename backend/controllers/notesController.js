@@ -1,70 +1,249 @@
 // backend/controllers/notesController.js
 
-// Function to get notes for the authenticated user
+const { setNoteContacts, loadNoteContacts } = require('../services/noteLinks');
+const { ensureBaseRevision, recordRevision } = require('../services/noteRevisions');
+const { normalizeTags, setNoteTags, loadNoteTags } = require('../services/noteTags');
+const { buildNoteSearch, highlightNote } = require('../services/noteSearch');
+const { getGoogleAccessToken } = require('../services/googleAuth');
+const {
+    STALE_HOURS,
+    parseDriveFileId,
+    addAttachment,
+    removeAttachment,
+    loadAttachments,
+    refreshAttachments,
+} = require('../services/driveAttachments');
+const { diffLines } = require('../utils/diff');
+const { renderMarkdown } = require('../utils/markdown');
+
+const NOTE_COLUMNS = 'id, user_id, title, content, created_at, updated_at';
+
+// Adds linked contacts, tags and Drive attachments to each note row, plus search highlights
+// for `q` and rendered Markdown when `html` is set
+const withDetails = async (db, notes, { q = '', html = false } = {}) => {
+    const ids = notes.map((note) => note.id);
+    const contacts = await loadNoteContacts(db, ids);
+    const tags = await loadNoteTags(db, ids);
+    const attachments = await loadAttachments(db, { noteIds: ids });
+
+    return notes.map((note) => ({
+        ...note,
+        tags: tags.get(note.id),
+        contacts: contacts.get(note.id),
+        attachments: attachments.get(note.id),
+        ...(q && { highlights: highlightNote(note, q) }),
+        ...(html && { content_html: renderMarkdown(note.content) }),
+    }));
+};
+
+// Writes a note and its contact links in one transaction. `write` returns the
+// note id; the transaction is rolled back if any explicit contact id is unknown.
+const saveNoteWithContacts = async (db, userId, { contactIds, content }, write) => {
+    const connection = await db.getConnection();
+
+    try {
+        await connection.beginTransaction();
+        const noteId = await write(connection);
+        if (!noteId) {
+            await connection.rollback();
+            return { noteId: null, unknownContactIds: [] };
+        }
+
+        const unknownContactIds = await setNoteContacts(connection, userId, noteId, { explicitIds: contactIds, content });
+        if (unknownContactIds.length > 0) {
+            await connection.rollback();
+            return { noteId, unknownContactIds };
+        }
+
+        await connection.commit();
+        return { noteId, unknownContactIds };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+// Function to get notes for the authenticated user.
+// Filters: ?contactId, ?tag (comma separated, all must match) and ?q (full-text search, ranked by relevance,
+// with highlighted `highlights.title`/`highlights.snippet`). ?format=html adds sanitized `content_html`.
+// ?page/?limit paginate; totals are sent in the X-Total-Count, X-Page and X-Per-Page headers.
 exports.getNotes = async (req, res) => {
     const db = req.app.locals.db;
     const userId = req.userId; // ✅ This is the internal numeric user ID from users.id
+    const contactId = req.query.contactId !== undefined ? parseInt(req.query.contactId) : null;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const tags = req.query.tag ? normalizeTags(String(req.query.tag).split(',')) : [];
+    const paginate = req.query.page !== undefined || req.query.limit !== undefined;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    if (contactId !== null && isNaN(contactId)) {
+        return res.status(400).json({ message: 'contactId must be a number.' });
+    }
 
     try {
-        const [rows] = await db.execute('SELECT id, user_id, title, content, created_at, updated_at FROM notes WHERE user_id = ? ORDER BY created_at DESC', [userId]);
-        res.status(200).json(rows);
+        let where = 'WHERE notes.user_id = ?';
+        const params = [userId];
+        if (contactId !== null) {
+            where += ' AND EXISTS (SELECT 1 FROM note_contacts nc WHERE nc.note_id = notes.id AND nc.contact_id = ?)';
+            params.push(contactId);
+        }
+        for (const tag of tags) {
+            where += ' AND EXISTS (SELECT 1 FROM note_tags nt WHERE nt.note_id = notes.id AND nt.tag = ?)';
+            params.push(tag);
+        }
+
+        let relevance = null;
+        if (q) {
+            const search = buildNoteSearch(q);
+            where += search.condition ? ` AND ${search.condition.sql}` : ' AND FALSE';
+            params.push(...(search.condition?.params || []));
+            relevance = search.relevance;
+        }
+
+        const [countRows] = await db.execute(`SELECT COUNT(*) AS total FROM notes ${where}`, params);
+        const [rows] = await db.execute(
+            `SELECT ${NOTE_COLUMNS}${relevance ? `, ${relevance.sql} AS relevance` : ''}
+            FROM notes
+            ${where}
+            ORDER BY ${relevance ? 'relevance DESC, ' : ''}created_at DESC, id DESC
+            ${paginate ? 'LIMIT ? OFFSET ?' : ''}`,
+            [...(relevance ? relevance.params : []), ...params, ...(paginate ? [limit, (page - 1) * limit] : [])]
+        );
+
+        res.set('X-Total-Count', String(countRows[0].total));
+        if (paginate) {
+            res.set('X-Page', String(page));
+            res.set('X-Per-Page', String(limit));
+        }
+        res.status(200).json(await withDetails(db, rows, { q, html: req.query.format === 'html' }));
     } catch (error) {
         console.error('NotesController: Error fetching notes:', error);
         res.status(500).json({ message: 'Failed to fetch notes.' });
     }
 };
 
-// Function to create a new note
+// Function to list the user's tags with how many notes use each
+exports.getNoteTags = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // ✅ This is the internal numeric user ID from users.id
+
+    try {
+        const [rows] = await db.execute(
+            `SELECT nt.tag, COUNT(*) AS note_count
+            FROM note_tags nt
+            JOIN notes n ON n.id = nt.note_id
+            WHERE n.user_id = ?
+            GROUP BY nt.tag
+            ORDER BY nt.tag ASC`,
+            [userId]
+        );
+        res.status(200).json(rows);
+    } catch (error) {
+        console.error('NotesController: Error fetching note tags:', error);
+        res.status(500).json({ message: 'Failed to fetch note tags.' });
+    }
+};
+
+// Function to create a new note with optional tags. Optional contactIds link it to contacts; @mentions in
+// content are linked too.
 exports.createNote = async (req, res) => {
     const db = req.app.locals.db;
     const userId = req.userId; // ✅ This is the internal numeric user ID from users.id
-    const { title, content } = req.body;
+    const { title, content, contactIds, tags } = req.body;
 
     if (!title || !content) {
         return res.status(400).json({ message: 'Note title and content are required.' });
     }
 
+    if (contactIds !== undefined && !Array.isArray(contactIds)) {
+        return res.status(400).json({ message: 'contactIds must be an array of contact ids.' });
+    }
+
+    if (tags !== undefined && !Array.isArray(tags)) {
+        return res.status(400).json({ message: 'tags must be an array of strings.' });
+    }
+
     try {
-        const [result] = await db.execute(
-            'INSERT INTO notes (user_id, title, content) VALUES (?, ?, ?)',
-            [userId, title, content]
-        );
-        const [newNoteRows] = await db.execute('SELECT id, user_id, title, content, created_at, updated_at FROM notes WHERE id = ?', [result.insertId]);
+        const { noteId, unknownContactIds } = await saveNoteWithContacts(db, userId, { contactIds, content }, async (connection) => {
+            const [result] = await connection.execute(
+                'INSERT INTO notes (user_id, title, content) VALUES (?, ?, ?)',
+                [userId, title, content]
+            );
+            await recordRevision(connection, { noteId: result.insertId, userId, title, content });
+            await setNoteTags(connection, result.insertId, tags || []);
+            return result.insertId;
+        });
+
+        if (unknownContactIds.length > 0) {
+            return res.status(400).json({ message: `Unknown contact ids: ${unknownContactIds.join(', ')}.` });
+        }
+
+        const [newNoteRows] = await db.execute(`SELECT ${NOTE_COLUMNS} FROM notes WHERE id = ?`, [noteId]);
 
-        res.status(201).json(newNoteRows[0]);
+        res.status(201).json((await withDetails(db, newNoteRows))[0]);
     } catch (error) {
         console.error('NotesController: Error creating note:', error);
         res.status(500).json({ message: 'Failed to create note.' });
     }
 };
 
-// Function to update an existing note
+// Locks a note, applies new title/content and appends a revision. Returns the note id, or null if not found.
+const writeNoteRevision = async (connection, userId, noteId, { title, content, restoredFrom }) => {
+    const [notes] = await connection.execute('SELECT * FROM notes WHERE id = ? AND user_id = ? FOR UPDATE', [noteId, userId]);
+    if (notes.length === 0) return null;
+
+    await ensureBaseRevision(connection, notes[0]);
+    await connection.execute(
+        `UPDATE notes SET
+            title = ?,
+            content = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND user_id = ?`,
+        [title, content, noteId, userId]
+    );
+    await recordRevision(connection, { noteId: notes[0].id, userId, title, content, restoredFrom });
+    return notes[0].id;
+};
+
+// Function to update an existing note. contactIds and tags, when sent, replace the linked contacts and tags.
+// Every save that changes the title or content is kept as a revision.
 exports.updateNote = async (req, res) => {
     const db = req.app.locals.db;
     const userId = req.userId; // ✅ This is the internal numeric user ID from users.id
     const noteId = req.params.id;
-    const { title, content } = req.body;
+    const { title, content, contactIds, tags } = req.body;
 
     if (!title || !content) {
         return res.status(400).json({ message: 'Note title and content are required for update.' });
     }
 
+    if (contactIds !== undefined && !Array.isArray(contactIds)) {
+        return res.status(400).json({ message: 'contactIds must be an array of contact ids.' });
+    }
+
+    if (tags !== undefined && !Array.isArray(tags)) {
+        return res.status(400).json({ message: 'tags must be an array of strings.' });
+    }
+
     try {
-        const [result] = await db.execute(
-            `UPDATE notes SET
-                title = ?,
-                content = ?,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = ? AND user_id = ?`,
-            [title, content, noteId, userId]
-        );
+        const result = await saveNoteWithContacts(db, userId, { contactIds, content }, async (connection) => {
+            const updatedId = await writeNoteRevision(connection, userId, noteId, { title, content });
+            if (updatedId && tags !== undefined) await setNoteTags(connection, updatedId, tags);
+            return updatedId;
+        });
 
-        if (result.affectedRows === 0) {
+        if (!result.noteId) {
             return res.status(404).json({ message: 'Note not found or you do not have permission to update it.' });
         }
-        const [updatedNoteRows] = await db.execute('SELECT id, user_id, title, content, created_at, updated_at FROM notes WHERE id = ?', [noteId]);
+        if (result.unknownContactIds.length > 0) {
+            return res.status(400).json({ message: `Unknown contact ids: ${result.unknownContactIds.join(', ')}.` });
+        }
+        const [updatedNoteRows] = await db.execute(`SELECT ${NOTE_COLUMNS} FROM notes WHERE id = ?`, [noteId]);
 
-        res.status(200).json(updatedNoteRows[0]);
+        res.status(200).json((await withDetails(db, updatedNoteRows))[0]);
     } catch (error) {
         console.error('NotesController: Error updating note:', error);
         res.status(500).json({ message: 'Failed to update note.' });
@@ -89,3 +268,207 @@ exports.deleteNote = async (req, res) => {
         res.status(500).json({ message: 'Failed to delete note.' });
     }
 };
+
+// Function to list a note's revisions, newest first. With ?from=&to= (revision numbers) it also
+// returns a line diff between those two revisions.
+exports.getNoteRevisions = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // ✅ This is the internal numeric user ID from users.id
+    const noteId = req.params.id;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : null;
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+
+    if ((from === null) !== (to === null) || Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ message: 'from and to must both be revision numbers.' });
+    }
+
+    try {
+        const [notes] = await db.execute('SELECT * FROM notes WHERE id = ? AND user_id = ?', [noteId, userId]);
+        if (notes.length === 0) {
+            return res.status(404).json({ message: 'Note not found or you do not have permission to view it.' });
+        }
+        await ensureBaseRevision(db, notes[0]);
+
+        const [revisions] = await db.execute(
+            `SELECT revision, title, restored_from, created_at, CHAR_LENGTH(content) AS length
+            FROM note_revisions WHERE note_id = ? ORDER BY revision DESC`,
+            [notes[0].id]
+        );
+
+        if (from === null) {
+            return res.status(200).json({ noteId: notes[0].id, revisions });
+        }
+
+        const [pair] = await db.execute(
+            'SELECT revision, title, content FROM note_revisions WHERE note_id = ? AND revision IN (?, ?)',
+            [notes[0].id, from, to]
+        );
+        const older = pair.find((r) => r.revision === from);
+        const newer = pair.find((r) => r.revision === to);
+        if (!older || !newer) {
+            return res.status(404).json({ message: 'Revision not found.' });
+        }
+
+        const { lines, stats } = diffLines(older.content, newer.content);
+        res.status(200).json({
+            noteId: notes[0].id,
+            revisions,
+            diff: {
+                from,
+                to,
+                title: { from: older.title, to: newer.title, changed: older.title !== newer.title },
+                stats,
+                lines,
+            },
+        });
+    } catch (error) {
+        console.error('NotesController: Error fetching note revisions:', error);
+        res.status(500).json({ message: 'Failed to fetch note revisions.' });
+    }
+};
+
+// Function to get the full text of one revision
+exports.getNoteRevision = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // ✅ This is the internal numeric user ID from users.id
+    const { id: noteId, revision } = req.params;
+
+    try {
+        const [notes] = await db.execute('SELECT * FROM notes WHERE id = ? AND user_id = ?', [noteId, userId]);
+        if (notes.length === 0) {
+            return res.status(404).json({ message: 'Note not found or you do not have permission to view it.' });
+        }
+        await ensureBaseRevision(db, notes[0]);
+
+        const [rows] = await db.execute(
+            'SELECT revision, title, content, restored_from, created_at FROM note_revisions WHERE note_id = ? AND revision = ?',
+            [notes[0].id, revision]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Revision not found.' });
+        }
+
+        res.status(200).json({ noteId: notes[0].id, ...rows[0] });
+    } catch (error) {
+        console.error('NotesController: Error fetching note revision:', error);
+        res.status(500).json({ message: 'Failed to fetch note revision.' });
+    }
+};
+
+// Function to restore an old revision. The note gets that revision's title and content as a new revision,
+// so the restore itself can be undone.
+exports.restoreNoteRevision = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // ✅ This is the internal numeric user ID from users.id
+    const { id: noteId, revision } = req.params;
+
+    try {
+        const [rows] = await db.execute(
+            `SELECT r.revision, r.title, r.content FROM note_revisions r
+            JOIN notes n ON n.id = r.note_id
+            WHERE r.note_id = ? AND r.revision = ? AND n.user_id = ?`,
+            [noteId, revision, userId]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Note or revision not found.' });
+        }
+        const { title, content } = rows[0];
+
+        const result = await saveNoteWithContacts(db, userId, { content }, (connection) =>
+            writeNoteRevision(connection, userId, noteId, { title, content, restoredFrom: rows[0].revision })
+        );
+        if (!result.noteId) {
+            return res.status(404).json({ message: 'Note or revision not found.' });
+        }
+
+        const [restoredRows] = await db.execute(`SELECT ${NOTE_COLUMNS} FROM notes WHERE id = ?`, [noteId]);
+        res.status(200).json((await withDetails(db, restoredRows))[0]);
+    } catch (error) {
+        console.error('NotesController: Error restoring note revision:', error);
+        res.status(500).json({ message: 'Failed to restore note revision.' });
+    }
+};
+
+// Function to list a note's Drive attachments. Attachments not checked for STALE_HOURS (or all of them
+// with ?refresh=true) are re-checked against Drive first, so deleted or unshared files are flagged
+// in their `status`.
+exports.getNoteAttachments = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // ✅ This is the internal numeric user ID from users.id
+    const noteId = Number(req.params.id);
+    const refresh = req.query.refresh === 'true';
+
+    try {
+        const [notes] = await db.execute('SELECT id FROM notes WHERE id = ? AND user_id = ?', [noteId, userId]);
+        if (notes.length === 0) {
+            return res.status(404).json({ message: 'Note not found.' });
+        }
+
+        const attachments = (await loadAttachments(db, { noteIds: [noteId] })).get(noteId);
+        const staleBefore = Date.now() - STALE_HOURS * 60 * 60 * 1000;
+        const stale = attachments.filter(
+            (a) => refresh || !a.checked_at || new Date(a.checked_at).getTime() < staleBefore
+        );
+        if (stale.length === 0) {
+            return res.status(200).json(attachments);
+        }
+
+        const refreshed = new Map(
+            (await refreshAttachments(db, await getGoogleAccessToken(db, userId), stale)).map((a) => [a.id, a])
+        );
+        res.status(200).json(attachments.map((a) => refreshed.get(a.id) || a));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message, code: error.code });
+        }
+        console.error('NotesController: Error fetching note attachments:', error);
+        res.status(500).json({ message: 'Failed to fetch note attachments.' });
+    }
+};
+
+// Function to attach a Drive file to a note, by `fileId` or by a Drive `url`. Attaching a file
+// that is already attached refreshes its name and link.
+exports.addNoteAttachment = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // ✅ This is the internal numeric user ID from users.id
+    const noteId = Number(req.params.id);
+    const fileId = parseDriveFileId(req.body.fileId || req.body.url);
+
+    if (!fileId) {
+        return res.status(400).json({ message: 'A Drive file id or link is required.' });
+    }
+
+    try {
+        const [notes] = await db.execute('SELECT id FROM notes WHERE id = ? AND user_id = ?', [noteId, userId]);
+        if (notes.length === 0) {
+            return res.status(404).json({ message: 'Note not found.' });
+        }
+
+        const attachment = await addAttachment(db, await getGoogleAccessToken(db, userId), userId, { noteId }, fileId);
+        res.status(201).json(attachment);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message, code: error.code });
+        }
+        console.error('NotesController: Error adding note attachment:', error);
+        res.status(500).json({ message: 'Failed to attach Drive file.' });
+    }
+};
+
+// Function to remove an attachment from a note (the Drive file itself is not touched)
+exports.removeNoteAttachment = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // ✅ This is the internal numeric user ID from users.id
+    const { id: noteId, attachmentId } = req.params;
+
+    try {
+        const [notes] = await db.execute('SELECT id FROM notes WHERE id = ? AND user_id = ?', [noteId, userId]);
+        if (notes.length === 0 || !(await removeAttachment(db, { noteId }, attachmentId))) {
+            return res.status(404).json({ message: 'Note or attachment not found.' });
+        }
+        res.status(200).json({ message: 'Attachment removed.' });
+    } catch (error) {
+        console.error('NotesController: Error removing note attachment:', error);
+        res.status(500).json({ message: 'Failed to remove attachment.' });
+    }
+};
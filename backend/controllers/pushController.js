@@ -0,0 +1,116 @@
+// backend/controllers/pushController.js
+
+const {
+  VAPID_PUBLIC_KEY,
+  isPushConfigured,
+  saveSubscription,
+  deleteSubscription,
+  sendPushToUser,
+} = require("../services/pushNotifications");
+
+const BASE64URL = /^[A-Za-z0-9_-]+={0,2}$/;
+
+// Checks the shape of a browser PushSubscription (subscription.toJSON())
+const isValidSubscription = (subscription) => {
+  if (!subscription || typeof subscription.endpoint !== "string") return false;
+  try {
+    if (new URL(subscription.endpoint).protocol !== "https:") return false;
+  } catch (e) {
+    return false;
+  }
+  const { p256dh, auth } = subscription.keys || {};
+  return (
+    typeof p256dh === "string" && BASE64URL.test(p256dh) && p256dh.length <= 255 &&
+    typeof auth === "string" && BASE64URL.test(auth) && auth.length <= 255
+  );
+};
+
+// Get the VAPID public key the browser needs to subscribe
+exports.getPublicKey = (req, res) => {
+  if (!isPushConfigured()) {
+    return res.status(503).json({ message: "Push notifications are not configured on this server." });
+  }
+  res.status(200).json({ publicKey: VAPID_PUBLIC_KEY });
+};
+
+// Register this browser's push subscription for the user
+exports.subscribe = async (req, res) => {
+  const userId = req.userId;
+  const db = req.app.locals.db;
+  const subscription = req.body?.subscription || req.body;
+
+  if (!isPushConfigured()) {
+    return res.status(503).json({ message: "Push notifications are not configured on this server." });
+  }
+  if (!isValidSubscription(subscription)) {
+    return res.status(400).json({ message: "A push subscription with an https endpoint and p256dh/auth keys is required." });
+  }
+
+  try {
+    const id = await saveSubscription(db, userId, subscription, req.get("user-agent"));
+    res.status(201).json({ id, message: "Push subscription saved." });
+  } catch (error) {
+    console.error(`PushController: Error saving push subscription for user ${userId}:`, error);
+    res.status(500).json({ message: "Failed to save push subscription." });
+  }
+};
+
+// Remove a push subscription (e.g. when the user turns notifications off in this browser)
+exports.unsubscribe = async (req, res) => {
+  const userId = req.userId;
+  const db = req.app.locals.db;
+  const endpoint = req.body?.endpoint || req.body?.subscription?.endpoint;
+
+  if (typeof endpoint !== "string" || !endpoint) {
+    return res.status(400).json({ message: "The subscription endpoint is required." });
+  }
+
+  try {
+    if (!(await deleteSubscription(db, userId, endpoint))) {
+      return res.status(404).json({ message: "Push subscription not found." });
+    }
+    res.status(200).json({ message: "Push subscription removed." });
+  } catch (error) {
+    console.error(`PushController: Error removing push subscription for user ${userId}:`, error);
+    res.status(500).json({ message: "Failed to remove push subscription." });
+  }
+};
+
+// List the user's subscribed browsers
+exports.getSubscriptions = async (req, res) => {
+  const userId = req.userId;
+  const db = req.app.locals.db;
+
+  try {
+    const [rows] = await db.execute(
+      `SELECT id, user_agent, created_at, last_success_at FROM push_subscriptions WHERE user_id = ? ORDER BY created_at DESC`,
+      [userId]
+    );
+    res.status(200).json(rows);
+  } catch (error) {
+    console.error(`PushController: Error fetching push subscriptions for user ${userId}:`, error);
+    res.status(500).json({ message: "Failed to fetch push subscriptions." });
+  }
+};
+
+// Send a test notification to all of the user's browsers
+exports.sendTest = async (req, res) => {
+  const userId = req.userId;
+  const db = req.app.locals.db;
+
+  if (!isPushConfigured()) {
+    return res.status(503).json({ message: "Push notifications are not configured on this server." });
+  }
+
+  try {
+    const { sent, removed, failed } = await sendPushToUser(db, userId, {
+      title: "Test notification",
+      body: "Push notifications are working.",
+      tag: "push-test",
+    });
+    res.status(200).json({ sent, removed, failed });
+  } catch (error) {
+    console.error(`PushController: Error sending test push for user ${userId}:`, error);
+    res.status(500).json({ message: "Failed to send test notification." });
+  }
+};
@@ -1,13 +1,106 @@
 // backend/controllers/remindersController.js
 
-// Function to get reminders for the authenticated user
+const { normalizeRRule, occurrencesBetween, nextOccurrence } = require('../services/reminderRecurrence');
+const { rotateFeedToken, getFeedStatus, revokeFeedToken, findFeedUser, importCalendar } = require('../services/reminderCalendar');
+const { isValidTimeZone } = require('../utils/timezone');
+const { formatCalendar } = require('../utils/ical');
+
+const REMINDER_COLUMNS = `id, user_id, contact_id, title, description, due_date, rrule, timezone, recurrence_start,
+    completed, completed_at, snoozed_until, notified_at, ical_uid, created_at, updated_at`;
+
+// ?status filters for the reminder list and how each is ordered. A reminder snoozed into the
+// future only shows up as snoozed; once the snooze passes it is overdue or upcoming again.
+const STATUS_FILTERS = {
+    overdue: {
+        where: 'completed = FALSE AND due_date < NOW() AND (snoozed_until IS NULL OR snoozed_until <= NOW())',
+        orderBy: 'due_date ASC',
+    },
+    upcoming: {
+        where: 'completed = FALSE AND due_date >= NOW() AND (snoozed_until IS NULL OR snoozed_until <= NOW())',
+        orderBy: 'due_date ASC',
+    },
+    snoozed: {
+        where: 'completed = FALSE AND snoozed_until > NOW()',
+        orderBy: 'snoozed_until ASC',
+    },
+    completed: {
+        where: 'completed = TRUE',
+        orderBy: 'completed_at DESC',
+    },
+};
+
+// Longest snooze accepted, in minutes (30 days)
+const MAX_SNOOZE_MINUTES = 30 * 24 * 60;
+
+// Checks that a contact belongs to the user before a reminder is linked to it
+const contactBelongsToUser = async (db, contactId, userId) => {
+    const [rows] = await db.execute('SELECT id FROM contacts WHERE id = ? AND user_id = ?', [contactId, userId]);
+    return rows.length > 0;
+};
+
+// Reads the optional rrule/timezone fields of a request body. Fields that weren't sent are left out;
+// null (or an empty rrule) clears them. Throws a 400 error for an invalid rule or time zone.
+const readRecurrence = (body) => {
+    const recurrence = {};
+    if (body.rrule !== undefined) {
+        recurrence.rrule = body.rrule === null || body.rrule === '' ? null : normalizeRRule(body.rrule);
+    }
+    if (body.timezone !== undefined) {
+        if (body.timezone !== null && !isValidTimeZone(body.timezone)) {
+            throw Object.assign(new Error('timezone must be an IANA time zone such as "Europe/Berlin".'), { status: 400 });
+        }
+        recurrence.timezone = body.timezone;
+    }
+    return recurrence;
+};
+
+// Function to get reminders for the authenticated user, ordered by due date (undated ones last).
+// ?status=overdue|upcoming|snoozed|completed narrows the list (see STATUS_FILTERS).
+// With ?from=&to= it returns the open occurrences due in that window instead, one item per occurrence
+// (recurring reminders expanded from their rrule), each with its `occurrence_date`, ordered by date.
 exports.getReminders = async (req, res) => {
     const db = req.app.locals.db;
     const userId = req.userId; // Use req.userId
+    const { from, to, status } = req.query;
+
+    if ((from !== undefined) !== (to !== undefined)) {
+        return res.status(400).json({ message: 'from and to must be given together.' });
+    }
+    if (status !== undefined && !STATUS_FILTERS[status]) {
+        return res.status(400).json({ message: `status must be one of: ${Object.keys(STATUS_FILTERS).join(', ')}.` });
+    }
 
     try {
-        const [rows] = await db.execute('SELECT id, user_id, title, due_date, created_at FROM reminders WHERE user_id = ? ORDER BY created_at DESC', [userId]);
-        res.status(200).json(rows);
+        if (from === undefined) {
+            const filter = STATUS_FILTERS[status];
+            const [rows] = await db.execute(
+                `SELECT ${REMINDER_COLUMNS} FROM reminders
+                WHERE user_id = ?${filter ? ` AND ${filter.where}` : ''}
+                ORDER BY ${filter ? filter.orderBy : 'due_date IS NULL, due_date ASC'}, created_at DESC`,
+                [userId]
+            );
+            return res.status(200).json(rows);
+        }
+
+        const fromDate = new Date(from);
+        const toDate = new Date(to);
+        if (isNaN(fromDate) || isNaN(toDate) || fromDate > toDate) {
+            return res.status(400).json({ message: 'from and to must be dates with from before to.' });
+        }
+
+        const [rows] = await db.execute(
+            `SELECT ${REMINDER_COLUMNS} FROM reminders
+            WHERE user_id = ? AND completed = FALSE AND due_date <= ?
+            AND (rrule IS NOT NULL OR due_date >= ?)`,
+            [userId, toDate, fromDate]
+        );
+
+        const occurrences = rows
+            .flatMap((reminder) =>
+                occurrencesBetween(reminder, fromDate, toDate).map((date) => ({ ...reminder, occurrence_date: date }))
+            )
+            .sort((a, b) => a.occurrence_date - b.occurrence_date || a.id - b.id);
+        res.status(200).json(occurrences);
     } catch (error) {
         console.error('RemindersController: Error fetching reminders:', error);
         res.status(500).json({ message: 'Failed to fetch reminders.' });
@@ -18,39 +111,99 @@ exports.getReminders = async (req, res) => {
 exports.createReminder = async (req, res) => {
     const db = req.app.locals.db;
     const userId = req.userId; // Use req.userId
-    const { title, due_date } = req.body;
+    const { title, description, due_date, contact_id } = req.body;
 
     if (!title) {
         return res.status(400).json({ message: 'Reminder title is required.' });
     }
 
     try {
+        const { rrule = null, timezone = null } = readRecurrence(req.body);
+        if (rrule && !due_date) {
+            return res.status(400).json({ message: 'A recurring reminder needs a due_date for its first occurrence.' });
+        }
+
+        if (contact_id && !(await contactBelongsToUser(db, contact_id, userId))) {
+            return res.status(400).json({ message: 'Contact not found.' });
+        }
+
         const [result] = await db.execute(
-            'INSERT INTO reminders (user_id, title, due_date) VALUES (?, ?, ?)',
-            [userId, title, due_date || null]
+            `INSERT INTO reminders (user_id, contact_id, title, description, due_date, rrule, timezone, recurrence_start)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, contact_id || null, title, description || null, due_date || null, rrule, timezone, rrule ? due_date : null]
         );
         res.status(201).json({ id: result.insertId, message: 'Reminder created successfully.' });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message, code: error.code });
+        }
         console.error('RemindersController: Error creating reminder:', error);
         res.status(500).json({ message: 'Failed to create reminder.' });
     }
 };
 
-// Function to update an existing reminder
+// Function to update an existing reminder. description, rrule and timezone are only changed when sent;
+// changing the due date or rule re-anchors the recurrence at the new due date and ends any snooze.
 exports.updateReminder = async (req, res) => {
     const db = req.app.locals.db;
     const userId = req.userId; // Use req.userId
     const reminderId = req.params.id;
-    const { title, due_date } = req.body;
+    const { title, description, due_date, contact_id } = req.body;
 
     if (!title) {
         return res.status(400).json({ message: 'Reminder title is required for update.' });
     }
 
     try {
+        const recurrence = readRecurrence(req.body);
+
+        const [existing] = await db.execute('SELECT rrule FROM reminders WHERE id = ? AND user_id = ?', [reminderId, userId]);
+        if (existing.length === 0) {
+            return res.status(404).json({ message: 'Reminder not found or you do not have permission to update it.' });
+        }
+        const rrule = recurrence.rrule !== undefined ? recurrence.rrule : existing[0].rrule;
+        if (rrule && !due_date) {
+            return res.status(400).json({ message: 'A recurring reminder needs a due_date for its first occurrence.' });
+        }
+
+        if (contact_id && !(await contactBelongsToUser(db, contact_id, userId))) {
+            return res.status(400).json({ message: 'Contact not found.' });
+        }
+
+        // contact_id is only changed when sent; null unlinks the contact.
+        // MySQL assigns left to right, so notified_at, snoozed_until and recurrence_start are compared
+        // against the old due date and rrule: a new due date gets notified again and re-anchors the recurrence.
         const [result] = await db.execute(
-            'UPDATE reminders SET title = ?, due_date = ?, created_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
-            [title, due_date || null, reminderId, userId]
+            `UPDATE reminders SET title = ?,
+                description = IF(?, ?, description),
+                notified_at = IF(due_date <=> ?, notified_at, NULL),
+                snoozed_until = IF(due_date <=> ?, snoozed_until, NULL),
+                recurrence_start = IF(? IS NULL, NULL,
+                    IF(due_date <=> ? AND rrule <=> ? AND recurrence_start IS NOT NULL, recurrence_start, ?)),
+                due_date = ?,
+                contact_id = IF(?, ?, contact_id),
+                rrule = ?,
+                timezone = IF(?, ?, timezone)
+            WHERE id = ? AND user_id = ?`,
+            [
+                title,
+                description !== undefined,
+                description || null,
+                due_date || null,
+                due_date || null,
+                rrule,
+                due_date || null,
+                rrule,
+                due_date || null,
+                due_date || null,
+                contact_id !== undefined,
+                contact_id || null,
+                rrule,
+                recurrence.timezone !== undefined,
+                recurrence.timezone ?? null,
+                reminderId,
+                userId,
+            ]
         );
 
         if (result.affectedRows === 0) {
@@ -58,11 +211,137 @@ exports.updateReminder = async (req, res) => {
         }
         res.status(200).json({ message: 'Reminder updated successfully.' });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message, code: error.code });
+        }
         console.error('RemindersController: Error updating reminder:', error);
         res.status(500).json({ message: 'Failed to update reminder.' });
     }
 };
 
+// Function to complete a reminder. A recurring reminder rolls forward to its next occurrence
+// and is only marked completed once its rule has no occurrences left; completed_at always
+// records when the latest occurrence was completed. Completing ends any snooze.
+exports.completeReminder = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // Use req.userId
+    const reminderId = req.params.id;
+
+    try {
+        const [rows] = await db.execute(
+            'SELECT id, due_date, rrule, timezone, recurrence_start, completed FROM reminders WHERE id = ? AND user_id = ?',
+            [reminderId, userId]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Reminder not found or you do not have permission to update it.' });
+        }
+        const reminder = rows[0];
+        if (reminder.completed) {
+            return res.status(409).json({ message: 'Reminder is already completed.' });
+        }
+
+        const next = nextOccurrence(reminder);
+        // The due date guard makes a concurrent completion of the same occurrence a no-op
+        const [result] = await db.execute(
+            `UPDATE reminders SET
+                completed = ?,
+                completed_at = NOW(),
+                due_date = ?,
+                snoozed_until = NULL,
+                notified_at = IF(?, NULL, notified_at)
+            WHERE id = ? AND user_id = ? AND completed = FALSE AND due_date <=> ?`,
+            [!next, next || reminder.due_date, !!next, reminderId, userId, reminder.due_date]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ message: 'Reminder was changed at the same time. Please reload it.' });
+        }
+
+        res.status(200).json({
+            message: next ? 'Occurrence completed; reminder moved to its next occurrence.' : 'Reminder completed.',
+            completed: !next,
+            due_date: next || reminder.due_date,
+        });
+    } catch (error) {
+        console.error('RemindersController: Error completing reminder:', error);
+        res.status(500).json({ message: 'Failed to complete reminder.' });
+    }
+};
+
+// Function to reopen a completed reminder
+exports.uncompleteReminder = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // Use req.userId
+    const reminderId = req.params.id;
+
+    try {
+        const [result] = await db.execute(
+            'UPDATE reminders SET completed = FALSE, completed_at = NULL WHERE id = ? AND user_id = ? AND completed = TRUE',
+            [reminderId, userId]
+        );
+
+        if (result.affectedRows === 0) {
+            const [rows] = await db.execute('SELECT id FROM reminders WHERE id = ? AND user_id = ?', [reminderId, userId]);
+            if (rows.length === 0) {
+                return res.status(404).json({ message: 'Reminder not found or you do not have permission to update it.' });
+            }
+            return res.status(409).json({ message: 'Reminder is not completed.' });
+        }
+        res.status(200).json({ message: 'Reminder reopened.' });
+    } catch (error) {
+        console.error('RemindersController: Error reopening reminder:', error);
+        res.status(500).json({ message: 'Failed to reopen reminder.' });
+    }
+};
+
+// Function to snooze a reminder until a later time, given as `until` (a date) or `minutes` from now.
+// The reminder is notified again when the snooze ends; `until: null` ends the snooze early.
+exports.snoozeReminder = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // Use req.userId
+    const reminderId = req.params.id;
+    const { until, minutes } = req.body;
+
+    let snoozedUntil = null;
+    if (minutes !== undefined) {
+        const count = parseInt(minutes);
+        if (isNaN(count) || count < 1 || count > MAX_SNOOZE_MINUTES) {
+            return res.status(400).json({ message: `minutes must be between 1 and ${MAX_SNOOZE_MINUTES}.` });
+        }
+        snoozedUntil = new Date(Date.now() + count * 60 * 1000);
+    } else if (until !== null) {
+        snoozedUntil = new Date(until);
+        if (until === undefined || isNaN(snoozedUntil) || snoozedUntil <= new Date()) {
+            return res.status(400).json({ message: 'Send `until` as a future date, `minutes`, or `until: null` to end the snooze.' });
+        }
+        if (snoozedUntil - Date.now() > MAX_SNOOZE_MINUTES * 60 * 1000) {
+            return res.status(400).json({ message: 'Reminders can be snoozed for at most 30 days.' });
+        }
+    }
+
+    try {
+        const [rows] = await db.execute('SELECT id, completed FROM reminders WHERE id = ? AND user_id = ?', [reminderId, userId]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Reminder not found or you do not have permission to update it.' });
+        }
+        if (rows[0].completed) {
+            return res.status(409).json({ message: 'Completed reminders cannot be snoozed.' });
+        }
+
+        // Clearing notified_at lets the scheduler send the reminder again when the snooze ends
+        await db.execute(
+            'UPDATE reminders SET snoozed_until = ?, notified_at = IF(?, NULL, notified_at) WHERE id = ? AND user_id = ?',
+            [snoozedUntil, !!snoozedUntil, reminderId, userId]
+        );
+        res.status(200).json({
+            message: snoozedUntil ? 'Reminder snoozed.' : 'Snooze ended.',
+            snoozed_until: snoozedUntil,
+        });
+    } catch (error) {
+        console.error('RemindersController: Error snoozing reminder:', error);
+        res.status(500).json({ message: 'Failed to snooze reminder.' });
+    }
+};
+
 // Function to delete a reminder
 exports.deleteReminder = async (req, res) => {
     const db = req.app.locals.db;
@@ -81,3 +360,137 @@ exports.deleteReminder = async (req, res) => {
         res.status(500).json({ message: 'Failed to delete reminder.' });
     }
 };
+
+// Function to list the delivery attempts of a reminder (one row per channel and due date or snooze end)
+exports.getReminderDeliveries = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // Use req.userId
+    const reminderId = req.params.id;
+
+    try {
+        const [reminders] = await db.execute('SELECT id FROM reminders WHERE id = ? AND user_id = ?', [reminderId, userId]);
+        if (reminders.length === 0) {
+            return res.status(404).json({ message: 'Reminder not found or you do not have permission to view it.' });
+        }
+
+        const [rows] = await db.execute(
+            `SELECT id, channel, due_date, status, attempts, error_code, error_message, last_attempt_at, sent_at
+            FROM reminder_deliveries
+            WHERE reminder_id = ?
+            ORDER BY due_date DESC, channel ASC`,
+            [reminderId]
+        );
+        res.status(200).json(rows);
+    } catch (error) {
+        console.error('RemindersController: Error fetching reminder deliveries:', error);
+        res.status(500).json({ message: 'Failed to fetch reminder deliveries.' });
+    }
+};
+
+// Builds the public subscription URL for a feed token
+const feedUrl = (req, token) =>
+    `${process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`}/calendar/${token}/reminders.ics`;
+
+// Function to show whether the user's calendar feed is enabled (the URL itself is only shown when created)
+exports.getReminderFeed = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // Use req.userId
+
+    try {
+        res.status(200).json(await getFeedStatus(db, userId));
+    } catch (error) {
+        console.error('RemindersController: Error fetching calendar feed:', error);
+        res.status(500).json({ message: 'Failed to fetch calendar feed.' });
+    }
+};
+
+// Function to create the user's secret .ics feed URL. Calling it again replaces the URL,
+// so the old one stops working.
+exports.createReminderFeed = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // Use req.userId
+
+    try {
+        const token = await rotateFeedToken(db, userId);
+        res.status(201).json({
+            message: 'Calendar feed created. Keep this URL private; anyone with it can read your reminders.',
+            url: feedUrl(req, token),
+            todoUrl: `${feedUrl(req, token)}?type=todo`,
+        });
+    } catch (error) {
+        console.error('RemindersController: Error creating calendar feed:', error);
+        res.status(500).json({ message: 'Failed to create calendar feed.' });
+    }
+};
+
+// Function to revoke the user's calendar feed URL
+exports.deleteReminderFeed = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // Use req.userId
+
+    try {
+        if (!(await revokeFeedToken(db, userId))) {
+            return res.status(404).json({ message: 'No calendar feed is enabled.' });
+        }
+        res.status(200).json({ message: 'Calendar feed revoked.' });
+    } catch (error) {
+        console.error('RemindersController: Error revoking calendar feed:', error);
+        res.status(500).json({ message: 'Failed to revoke calendar feed.' });
+    }
+};
+
+// Function to serve a calendar feed to calendar apps. Not behind login: the secret token in the URL
+// is the credential. ?type=todo exports VTODOs instead of VEVENTs.
+exports.serveReminderFeed = async (req, res) => {
+    const db = req.app.locals.db;
+    const type = req.query.type === 'todo' ? 'todo' : 'event';
+
+    try {
+        const userId = await findFeedUser(db, req.params.token);
+        if (!userId) {
+            return res.status(404).json({ message: 'Calendar feed not found.' });
+        }
+
+        const [rows] = await db.execute(
+            `SELECT ${REMINDER_COLUMNS} FROM reminders WHERE user_id = ? ORDER BY due_date IS NULL, due_date ASC`,
+            [userId]
+        );
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Cache-Control', 'private, max-age=300');
+        res.status(200).send(formatCalendar(rows, { type }));
+    } catch (error) {
+        console.error('RemindersController: Error serving calendar feed:', error);
+        res.status(500).json({ message: 'Failed to load calendar feed.' });
+    }
+};
+
+// Function to import reminders from an uploaded .ics file (raw body or JSON { content, timezone }).
+// Entries whose UID was imported (or exported from here) before are reported as duplicates.
+// `timezone` applies to floating times in the file and defaults to UTC.
+exports.importReminders = async (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.userId; // Use req.userId
+    const content = typeof req.body === 'string' ? req.body : req.body?.content;
+    const timezone = req.query.timezone || req.body?.timezone || 'UTC';
+
+    if (!content || !/BEGIN:VCALENDAR/i.test(content)) {
+        return res.status(400).json({ message: 'An iCalendar (.ics) file is required.' });
+    }
+    if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({ message: 'timezone must be an IANA time zone such as "Europe/Berlin".' });
+    }
+
+    try {
+        const summary = await importCalendar(db, userId, content, { defaultTimeZone: timezone });
+        if (summary.total === 0) {
+            return res.status(400).json({ message: 'No events or to-dos found in the calendar file.' });
+        }
+        res.status(summary.imported > 0 ? 201 : 200).json({
+            message: `Imported ${summary.imported} of ${summary.total} reminders.`,
+            ...summary,
+        });
+    } catch (error) {
+        console.error('RemindersController: Error importing reminders:', error);
+        res.status(500).json({ message: 'Failed to import reminders.' });
+    }
+};
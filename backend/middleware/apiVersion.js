@@ -0,0 +1,39 @@
+// backend/middleware/apiVersion.js
+
+const { toEnvelope } = require("../utils/apiEnvelope");
+
+// Unversioned paths whose /api/v1 successor lives under another name
+const RENAMED_PATHS = [
+  [/^\/user\/session\/end$/, "/profile/sessions/end"],
+  [/^\/user\/profile$/, "/profile"],
+  [/^\/user\//, "/profile/"],
+];
+
+/**
+ * Wraps res.json so every JSON response, including errors from body parsing
+ * and the app's error handler, is sent in the /api/v1 envelope. Must be
+ * mounted before the body parsers.
+ */
+const useEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(toEnvelope(res.statusCode, body, (name) => res.get(name)));
+  next();
+};
+
+/**
+ * Marks responses from the unversioned /api paths as deprecated and links
+ * their /api/v1 successor. Those paths keep their old payloads.
+ */
+const markDeprecated = (req, res, next) => {
+  const renamed = RENAMED_PATHS.find(([pattern]) => pattern.test(req.path));
+  const path = renamed ? req.path.replace(...renamed) : req.path;
+
+  res.set("Deprecation", "true");
+  res.set("Link", `</api/v1${path}>; rel="successor-version"`);
+  next();
+};
+
+module.exports = {
+  useEnvelope,
+  markDeprecated,
+};
@@ -0,0 +1,25 @@
+// backend/middleware/googleToken.js
+
+const { getGoogleAccessToken } = require("../services/googleAuth");
+
+/**
+ * Attaches the user's Google access token, refreshed when it has expired,
+ * as req.user.googleAccessToken. Runs after verifyAuthToken (req.userId).
+ */
+const attachGoogleToken = async (req, res, next) => {
+  try {
+    const googleAccessToken = await getGoogleAccessToken(req.app.locals.db, req.userId);
+    req.user = req.user || {};
+    req.user.userId = req.userId;
+    req.user.googleAccessToken = googleAccessToken;
+    next();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+    console.error("Google token middleware error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+module.exports = { attachGoogleToken };
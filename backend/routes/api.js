@@ -3,26 +3,31 @@
 const express = require("express");
 const router = express.Router();
 
-// Auth middleware (JWT-based)
+// Each resource kept the auth middleware it had before /api/v1; routes/v1.js uses one for all
 const { verifyAuthToken } = require("../middleware/authMiddleware");
+const authenticateToken = require("../middleware/auth");
+const verifyProfileToken = require("../middleware/verifyAuthToken");
+const { attachGoogleToken } = require("../middleware/googleToken");
 
-// You can import other controllers here, like notes or reminders
-const notesController = require("../controllers/notesController");
-const remindersController = require("../controllers/remindersController");
+const contactsRouter = require("./contacts");
+const notesRouter = require("./notes");
+const remindersRouter = require("./reminders");
+const userRouter = require("./user");
+const profileRouter = require("./profile");
+const emailsRouter = require("./emails");
+const driveRouter = require("./drive");
+const photosRouter = require("./photos");
 
-// Apply auth middleware to all /api routes
-router.use(verifyAuthToken);
-
-// Example API routes (adjust to your app's needs)
-router.get("/notes", notesController.getNotes);
-router.post("/notes", notesController.createNote);
-router.put("/notes/:id", notesController.updateNote);
-router.delete("/notes/:id", notesController.deleteNote);
-
-router.get("/reminders", remindersController.getReminders);
-router.post("/reminders", remindersController.createReminder);
-router.put("/reminders/:id", remindersController.updateReminder);
-router.delete("/reminders/:id", remindersController.deleteReminder);
+// Unversioned /api paths. They keep their original payloads and are marked
+// deprecated (see middleware/apiVersion.js) in favour of /api/v1.
+router.use("/contacts", authenticateToken, contactsRouter);
+router.use("/notes", verifyAuthToken, notesRouter);
+router.use("/reminders", verifyAuthToken, remindersRouter);
+router.use("/user", userRouter);
+router.use("/profile", verifyProfileToken, profileRouter);
+router.use("/emails", verifyAuthToken, attachGoogleToken, emailsRouter);
+router.use("/drive", verifyAuthToken, attachGoogleToken, driveRouter);
+router.use("/photos", verifyAuthToken, attachGoogleToken, photosRouter);
 
 // ✅ Very important
 module.exports = router;
@@ -0,0 +1,10 @@
+// backend/routes/calendar.js
+
+const express = require("express");
+const router = express.Router();
+const remindersController = require("../controllers/remindersController");
+
+// Calendar app subscriptions can't log in; the secret token in the URL authorizes the feed
+router.get("/:token/reminders.ics", remindersController.serveReminderFeed);
+
+module.exports = router;
@@ -1,101 +1,59 @@
 const express = require("express");
 const router = express.Router();
-const { google } = require("googleapis");
-const pool = require("../db");
-const authMiddleware = require("../middleware/auth");
+const contactsController = require("../controllers/contactsController");
+const contactLabelsController = require("../controllers/contactLabelsController");
+const contactTransferController = require("../controllers/contactTransferController");
+const contactAttachmentsController = require("../controllers/contactAttachmentsController");
 
-router.get("/google", authMiddleware, async (req, res) => {
-  try {
-    const [users] = await pool.execute(
-      "SELECT google_access_token FROM users WHERE id = ?",
-      [req.user.id]
-    );
+// Mounted behind auth (req.user.userId and req.user.googleAccessToken) by routes/api.js and routes/v1.js
 
-    if (!users.length || !users[0].google_access_token) {
-      return res.status(401).json({ error: "Google account not connected" });
-    }
-
-    const oauth2Client = new google.auth.OAuth2();
-    oauth2Client.setCredentials({
-      access_token: users[0].google_access_token,
-    });
-
-    const peopleService = google.people({ version: "v1", auth: oauth2Client });
-
-    let allContacts = [];
-    let nextPageToken = null;
-
-    // fetch all contacts with pagination
-    do {
-      const response = await peopleService.people.connections.list({
-        resourceName: "people/me",
-        pageSize: 100,
-        pageToken: nextPageToken,
-        personFields: "names,emailAddresses,phoneNumbers,photos,organizations,biographies",
-      });
-
-      const connections = response.data.connections || [];
-      allContacts = allContacts.concat(connections);
-      nextPageToken = response.data.nextPageToken;
-    } while (nextPageToken);
-
-    // save contacts to database
-    for (const person of allContacts) {
-      const googleContactId = person.resourceName;
-      const name = person.names?.[0]?.displayName || null;
-      const email = person.emailAddresses?.[0]?.value || null;
-      const phone = person.phoneNumbers?.[0]?.value || null;
-      const photoUrl = person.photos?.[0]?.url || null;
-      const company = person.organizations?.[0]?.name || null;
-      const jobTitle = person.organizations?.[0]?.title || null;
-      const notes = person.biographies?.[0]?.value || null;
-
-      await pool.execute(
-        `INSERT INTO contacts 
-         (user_id, google_contact_id, name, email, phone, photo_url, company, job_title, notes, last_synced_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
-         ON DUPLICATE KEY UPDATE
-         name = VALUES(name),
-         email = VALUES(email),
-         phone = VALUES(phone),
-         photo_url = VALUES(photo_url),
-         company = VALUES(company),
-         job_title = VALUES(job_title),
-         notes = VALUES(notes),
-         last_synced_at = NOW()`,
-        [req.user.id, googleContactId, name, email, phone, photoUrl, company, jobTitle, notes]
-      );
-    }
-
-    // fetch saved contacts from database to return
-    const [savedContacts] = await pool.execute(
-      "SELECT * FROM contacts WHERE user_id = ? ORDER BY name ASC",
-      [req.user.id]
-    );
-
-    res.json({
-      contacts: savedContacts,
-      total: savedContacts.length,
-      synced_at: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error("Error syncing contacts:", error);
-    res.status(500).json({ error: "Failed to sync contacts" });
-  }
-});
+// kept for older clients: queues a sync job instead of syncing inline
+router.get("/google", contactsController.syncContacts);
 
 // get contacts from database (no google fetch)
-router.get("/", authMiddleware, async (req, res) => {
-  try {
-    const [contacts] = await pool.execute(
-      "SELECT * FROM contacts WHERE user_id = ? ORDER BY name ASC",
-      [req.user.id]
-    );
-    res.json({ contacts, total: contacts.length });
-  } catch (error) {
-    console.error("Error fetching contacts:", error);
-    res.status(500).json({ error: "Failed to fetch contacts" });
-  }
-});
+router.get("/", contactsController.getContacts);
+// create a contact in google and store it locally
+router.post("/", contactsController.createContact);
+
+// queue a background sync from google (incremental when a sync token is stored)
+router.post("/sync", contactsController.syncContacts);
+router.get("/sync/status", contactsController.getSyncStatus);
+router.get("/sync/jobs/:jobId", contactsController.getSyncJob);
+
+// vCard / CSV export and import (raw file body or JSON { content })
+router.get("/export", contactTransferController.exportContacts);
+router.post(
+  "/import",
+  express.text({ type: ["text/*", "application/csv"], limit: "5mb" }),
+  contactTransferController.importContacts
+);
+
+// contacts removed from google: list with GET /?removed=only, then restore or purge
+router.delete("/removed", contactsController.purgeRemovedContacts);
+router.post("/:id/restore", contactsController.restoreContact);
+router.delete("/:id/purge", contactsController.purgeContact);
+
+// duplicate detection and merging
+router.get("/duplicates", contactsController.getDuplicates);
+router.post("/merge", contactsController.mergeContacts);
+
+// labels (google contact groups and local-only labels)
+router.get("/labels", contactLabelsController.getLabels);
+router.post("/labels", contactLabelsController.createLabel);
+router.put("/labels/:labelId", contactLabelsController.updateLabel);
+router.delete("/labels/:labelId", contactLabelsController.deleteLabel);
+router.post("/:id/labels", contactLabelsController.addContactLabel);
+router.delete("/:id/labels/:labelId", contactLabelsController.removeContactLabel);
+
+// google drive files attached to a contact
+router.get("/:id/attachments", contactAttachmentsController.getAttachments);
+router.post("/:id/attachments", contactAttachmentsController.addAttachment);
+router.delete("/:id/attachments/:attachmentId", contactAttachmentsController.removeAttachment);
+
+router.get("/:id/merges", contactsController.getMergeHistory);
+router.get("/:id/timeline", contactsController.getContactTimeline);
+router.get("/:id", contactsController.getContactById);
+router.put("/:id", contactsController.updateContact);
+router.delete("/:id", contactsController.deleteContact);
 
 module.exports = router;
@@ -2,36 +2,24 @@
 
 const express = require("express");
 const router = express.Router();
-const { verifyAuthToken } = require("../middleware/authMiddleware");
 const emailsController = require("../controllers/emailsController");
+const emailTemplatesController = require("../controllers/emailTemplatesController");
+const mailMergeController = require("../controllers/mailMergeController");
 
-// Middleware to attach Google access token to req.user
-router.use(verifyAuthToken);
-
-router.use(async (req, res, next) => {
-  try {
-    const db = req.app.locals.db;
-    const userId = req.userId;
-    if (!userId) {
-      return res.status(401).json({ message: "Unauthorized: Missing user ID" });
-    }
-    const [rows] = await db.execute(
-      "SELECT google_access_token FROM users WHERE id = ?",
-      [userId]
-    );
-    if (!rows[0]?.google_access_token) {
-      return res.status(403).json({ message: "Google access token not found." });
-    }
-    req.user = req.user || {};
-    req.user.userId = userId;
-    req.user.googleAccessToken = rows[0].google_access_token;
-    next();
-  } catch (err) {
-    console.error("Emails route middleware error:", err);
-    res.status(500).json({ message: "Server error" });
-  }
-});
-
+// Mounted behind verifyAuthToken and attachGoogleToken (req.user.googleAccessToken)
+// by routes/api.js and routes/v1.js
 router.get("/", emailsController.getEmails);
+router.post("/send", emailsController.sendEmail);
+router.get("/templates", emailTemplatesController.getTemplates);
+router.post("/templates", emailTemplatesController.createTemplate);
+router.get("/templates/:templateId", emailTemplatesController.getTemplate);
+router.put("/templates/:templateId", emailTemplatesController.updateTemplate);
+router.delete("/templates/:templateId", emailTemplatesController.deleteTemplate);
+router.post("/templates/:templateId/preview", emailTemplatesController.previewTemplate);
+router.get("/merges", mailMergeController.getMerges);
+router.post("/merges", mailMergeController.startMerge);
+router.get("/merges/:jobId", mailMergeController.getMerge);
+router.get("/:id", emailsController.getEmail);
+router.get("/:id/attachments/:attachmentId", emailsController.downloadAttachment);
 
 module.exports = router;
\ No newline at end of file
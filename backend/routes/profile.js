@@ -3,10 +3,9 @@
 const express = require('express');
 const router = express.Router();
 const profileController = require('../controllers/profileController');
-const verifyAuthToken = require('../middleware/verifyAuthToken'); // Middleware to get req.user and req.app_id
+const pushController = require('../controllers/pushController');
 
-// Require auth for all profile routes
-router.use(verifyAuthToken);
+// Mounted behind verifyAuthToken (req.userId) by routes/api.js and routes/v1.js
 
 // ✅ Get user profile
 router.get('/', profileController.getUserProfile);  // <-- Added for GET /api/profile
@@ -20,6 +19,13 @@ router.delete('/account', profileController.deleteUserAccount);
 // ✅ Update notification settings
 router.post('/notifications', profileController.updateNotificationSettings);
 
+// ✅ Browser push subscriptions (VAPID)
+router.get('/push/public-key', pushController.getPublicKey);
+router.get('/push/subscriptions', pushController.getSubscriptions);
+router.post('/push/subscriptions', pushController.subscribe);
+router.delete('/push/subscriptions', pushController.unsubscribe);
+router.post('/push/test', pushController.sendTest);
+
 // ✅ End specific session (dummy)
 router.post('/sessions/end', profileController.endSession);
 
@@ -0,0 +1,39 @@
+// backend/routes/v1.js
+
+const express = require("express");
+const router = express.Router();
+const { verifyAuthToken } = require("../middleware/authMiddleware");
+const { attachGoogleToken } = require("../middleware/googleToken");
+
+const contactsRouter = require("./contacts");
+const notesRouter = require("./notes");
+const remindersRouter = require("./reminders");
+const profileRouter = require("./profile");
+const emailsRouter = require("./emails");
+const driveRouter = require("./drive");
+const photosRouter = require("./photos");
+
+// /api/v1: one auth middleware for every resource. Responses are wrapped in
+// the { success, data, error, pagination } envelope by middleware/apiVersion.js.
+router.use(verifyAuthToken);
+
+// Contacts controllers read req.user.userId, the others req.userId
+router.use((req, res, next) => {
+  req.user = { ...req.user, userId: req.userId };
+  next();
+});
+
+router.use("/contacts", attachGoogleToken, contactsRouter);
+router.use("/notes", notesRouter);
+router.use("/reminders", remindersRouter);
+router.use("/profile", profileRouter);
+router.use("/emails", attachGoogleToken, emailsRouter);
+router.use("/drive", attachGoogleToken, driveRouter);
+router.use("/photos", attachGoogleToken, photosRouter);
+
+// Unknown /api/v1 paths must not fall through to the unversioned routes
+router.use((req, res) => {
+  res.status(404).json({ message: "Not found." });
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+// backend/services/contactDetails.js
+
+// Multi-valued contact fields live in child tables keyed by contacts.id.
+// Each entry lists the columns written, in order, and how to read them off a
+// mapped Google entry.
+const DETAIL_TABLES = {
+  emails: {
+    table: "contact_emails",
+    columns: ["value", "type", "is_primary"],
+    toRow: (e) => [e.value, e.type, e.primary],
+  },
+  phones: {
+    table: "contact_phones",
+    columns: ["value", "canonical_value", "type", "is_primary"],
+    toRow: (p) => [p.value, p.canonicalValue, p.type, p.primary],
+  },
+  addresses: {
+    table: "contact_addresses",
+    columns: [
+      "formatted_value",
+      "street_address",
+      "city",
+      "region",
+      "postal_code",
+      "country",
+      "country_code",
+      "type",
+      "is_primary",
+    ],
+    toRow: (a) => [
+      a.formattedValue,
+      a.streetAddress,
+      a.city,
+      a.region,
+      a.postalCode,
+      a.country,
+      a.countryCode,
+      a.type,
+      a.primary,
+    ],
+  },
+  organizations: {
+    table: "contact_organizations",
+    columns: ["name", "title", "department", "type", "is_primary"],
+    toRow: (o) => [o.name, o.title, o.department, o.type, o.primary],
+  },
+};
+
+const isPrimary = (entry) => Boolean(entry?.metadata?.primary);
+
+/**
+ * Returns the entry Google flags as primary, falling back to the first one.
+ */
+const pickPrimary = (entries = []) => entries.find(isPrimary) || entries[0];
+
+/**
+ * Extracts every email, phone, address and organization from a Google person.
+ */
+const mapPersonDetails = (person) => ({
+  emails: (person.emailAddresses || [])
+    .filter((e) => e.value)
+    .map((e) => ({ value: e.value, type: e.type || null, primary: isPrimary(e) })),
+  phones: (person.phoneNumbers || [])
+    .filter((p) => p.value)
+    .map((p) => ({
+      value: p.value,
+      canonicalValue: p.canonicalForm || null,
+      type: p.type || null,
+      primary: isPrimary(p),
+    })),
+  addresses: (person.addresses || []).map((a) => ({
+    formattedValue: a.formattedValue || null,
+    streetAddress: a.streetAddress || null,
+    city: a.city || null,
+    region: a.region || null,
+    postalCode: a.postalCode || null,
+    country: a.country || null,
+    countryCode: a.countryCode || null,
+    type: a.type || null,
+    primary: isPrimary(a),
+  })),
+  organizations: (person.organizations || []).map((o) => ({
+    name: o.name || null,
+    title: o.title || null,
+    department: o.department || null,
+    type: o.type || null,
+    primary: isPrimary(o),
+  })),
+});
+
+/**
+ * Replaces the child rows of the given contacts.
+ * `entries` is a list of `{ contactId, details }` where details has the
+ * shape returned by mapPersonDetails.
+ */
+const replaceContactDetails = async (db, entries) => {
+  if (entries.length === 0) return;
+
+  const contactIds = entries.map((e) => e.contactId);
+  const idPlaceholders = contactIds.map(() => "?").join(", ");
+
+  for (const [key, spec] of Object.entries(DETAIL_TABLES)) {
+    await db.execute(`DELETE FROM ${spec.table} WHERE contact_id IN (${idPlaceholders})`, contactIds);
+
+    const rows = [];
+    for (const { contactId, details } of entries) {
+      (details[key] || []).forEach((item, position) => {
+        rows.push([contactId, position, ...spec.toRow(item)]);
+      });
+    }
+    if (rows.length === 0) continue;
+
+    const rowPlaceholder = `(${new Array(spec.columns.length + 2).fill("?").join(", ")})`;
+    await db.execute(
+      `INSERT INTO ${spec.table} (contact_id, position, ${spec.columns.join(", ")})
+       VALUES ${rows.map(() => rowPlaceholder).join(", ")}`,
+      rows.flat()
+    );
+  }
+};
+
+/**
+ * Loads child rows for the given contact ids.
+ * Returns a Map of contactId -> { emails, phones, addresses, organizations }.
+ */
+const loadContactDetails = async (db, contactIds) => {
+  const byContact = new Map(
+    contactIds.map((id) => [id, { emails: [], phones: [], addresses: [], organizations: [] }])
+  );
+  if (contactIds.length === 0) return byContact;
+
+  const idPlaceholders = contactIds.map(() => "?").join(", ");
+
+  for (const [key, spec] of Object.entries(DETAIL_TABLES)) {
+    const [rows] = await db.execute(
+      `SELECT contact_id, ${spec.columns.join(", ")}
+       FROM ${spec.table}
+       WHERE contact_id IN (${idPlaceholders})
+       ORDER BY contact_id, position`,
+      contactIds
+    );
+
+    for (const row of rows) {
+      const { contact_id: contactId, ...fields } = row;
+      fields.is_primary = Boolean(fields.is_primary);
+      byContact.get(contactId)?.[key].push(fields);
+    }
+  }
+
+  return byContact;
+};
+
+/**
+ * Converts loadContactDetails rows back into the mapPersonDetails shape.
+ */
+const toEntryShape = (details) => ({
+  emails: details.emails.map((e) => ({ value: e.value, type: e.type, primary: e.is_primary })),
+  phones: details.phones.map((p) => ({ value: p.value, canonicalValue: p.canonical_value, type: p.type, primary: p.is_primary })),
+  addresses: details.addresses.map((a) => ({
+    formattedValue: a.formatted_value,
+    streetAddress: a.street_address,
+    city: a.city,
+    region: a.region,
+    postalCode: a.postal_code,
+    country: a.country,
+    countryCode: a.country_code,
+    type: a.type,
+    primary: a.is_primary,
+  })),
+  organizations: details.organizations.map((o) => ({
+    name: o.name,
+    title: o.title,
+    department: o.department,
+    type: o.type,
+    primary: o.is_primary,
+  })),
+});
+
+module.exports = {
+  pickPrimary,
+  mapPersonDetails,
+  replaceContactDetails,
+  loadContactDetails,
+  toEntryShape,
+};
@@ -0,0 +1,392 @@
+// backend/services/contactDuplicates.js
+
+const { toE164, digitsOnly } = require("../utils/phone");
+const { recordContactEvents } = require("./contactEvents");
+
+// Weight each kind of match contributes to a pair's score. Scores combine as
+// independent evidence: 1 - (1 - a) * (1 - b) ...
+const EMAIL_WEIGHT = 0.9;
+const PHONE_WEIGHT = 0.8;
+const NAME_WEIGHT = 0.75;
+const MIN_NAME_SIMILARITY = 0.85;
+
+// Contacts sharing a very common value (an office switchboard, a team inbox)
+// would produce a huge number of pairs; such groups are skipped.
+const MAX_GROUP_SIZE = 50;
+const MAX_NAME_BLOCK_SIZE = 500;
+
+const HONORIFICS = new Set(["mr", "mrs", "ms", "miss", "dr", "prof", "sir"]);
+
+/**
+ * Lowercases an email; for Gmail addresses also drops dots and "+tag"
+ * suffixes, which Gmail ignores.
+ */
+const normalizeEmail = (value) => {
+  if (!value) return null;
+  const email = String(value).trim().toLowerCase();
+  const [local, domain] = email.split("@");
+  if (!local || !domain) return null;
+
+  if (domain === "gmail.com" || domain === "googlemail.com") {
+    return `${local.split("+")[0].replace(/\./g, "")}@gmail.com`;
+  }
+  return email;
+};
+
+const normalizePhone = (value) => {
+  const digits = digitsOnly(value);
+  return toE164(value) || (digits.replace("+", "").length >= 6 ? digits : null);
+};
+
+/**
+ * Lowercases, strips accents/punctuation/honorifics and sorts the tokens so
+ * "Smith, John" and "john smith" compare equal.
+ */
+const normalizeName = (value) => {
+  if (!value) return "";
+  return String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((t) => t && !HONORIFICS.has(t))
+    .sort()
+    .join(" ");
+};
+
+/**
+ * Jaro-Winkler similarity between two strings, from 0 to 1.
+ */
+const jaroWinkler = (a, b) => {
+  if (a === b) return a ? 1 : 0;
+  if (!a || !b) return 0;
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - range);
+    const end = Math.min(i + range + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = bMatches[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * Loads the user's active contacts with every normalized email and phone.
+ */
+const loadCandidates = async (db, userId) => {
+  const [contacts] = await db.execute(
+    `SELECT id, google_contact_id, name, email, phone, photo_url, company, job_title, is_favorite, updated_at
+     FROM contacts
+     WHERE user_id = ? AND merged_into_id IS NULL AND removed_upstream_at IS NULL`,
+    [userId]
+  );
+  const [emailRows] = await db.execute(
+    `SELECT ce.contact_id, ce.value
+     FROM contact_emails ce
+     JOIN contacts c ON c.id = ce.contact_id
+     WHERE c.user_id = ? AND c.merged_into_id IS NULL AND c.removed_upstream_at IS NULL`,
+    [userId]
+  );
+  const [phoneRows] = await db.execute(
+    `SELECT cp.contact_id, cp.value, cp.canonical_value
+     FROM contact_phones cp
+     JOIN contacts c ON c.id = cp.contact_id
+     WHERE c.user_id = ? AND c.merged_into_id IS NULL AND c.removed_upstream_at IS NULL`,
+    [userId]
+  );
+
+  const byId = new Map(
+    contacts.map((c) => [
+      c.id,
+      {
+        contact: c,
+        name: normalizeName(c.name),
+        emails: new Set([normalizeEmail(c.email)].filter(Boolean)),
+        phones: new Set([normalizePhone(c.phone)].filter(Boolean)),
+      },
+    ])
+  );
+
+  for (const row of emailRows) {
+    const email = normalizeEmail(row.value);
+    if (email) byId.get(row.contact_id)?.emails.add(email);
+  }
+  for (const row of phoneRows) {
+    const phone = normalizePhone(row.canonical_value || row.value);
+    if (phone) byId.get(row.contact_id)?.phones.add(phone);
+  }
+
+  return byId;
+};
+
+/**
+ * Scores a candidate pair. Returns { score, reasons }.
+ */
+const scorePair = (a, b) => {
+  const reasons = [];
+  let miss = 1;
+
+  const sharedEmails = [...a.emails].filter((e) => b.emails.has(e));
+  if (sharedEmails.length > 0) {
+    miss *= 1 - EMAIL_WEIGHT;
+    reasons.push({ type: "email", values: sharedEmails });
+  }
+
+  const sharedPhones = [...a.phones].filter((p) => b.phones.has(p));
+  if (sharedPhones.length > 0) {
+    miss *= 1 - PHONE_WEIGHT;
+    reasons.push({ type: "phone", values: sharedPhones });
+  }
+
+  const similarity = jaroWinkler(a.name, b.name);
+  if (similarity >= MIN_NAME_SIMILARITY) {
+    miss *= 1 - NAME_WEIGHT * similarity;
+    reasons.push({ type: "name", similarity: Math.round(similarity * 100) / 100 });
+  }
+
+  return { score: Math.round((1 - miss) * 100) / 100, reasons };
+};
+
+/**
+ * Adds every pair within each group to `pairs` (as "lowId:highId" keys).
+ */
+const addGroupPairs = (groups, maxSize, pairs) => {
+  for (const ids of groups.values()) {
+    if (ids.length < 2 || ids.length > maxSize) continue;
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const [lo, hi] = ids[i] < ids[j] ? [ids[i], ids[j]] : [ids[j], ids[i]];
+        pairs.add(`${lo}:${hi}`);
+      }
+    }
+  }
+};
+
+const groupBy = (candidates, keysOf) => {
+  const groups = new Map();
+  for (const [id, candidate] of candidates) {
+    for (const key of keysOf(candidate)) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(id);
+    }
+  }
+  return groups;
+};
+
+/**
+ * Finds clusters of likely duplicate contacts for a user.
+ * Candidate pairs come from shared emails, shared phones and names that
+ * share a token prefix; pairs scoring at least `minScore` are joined into
+ * clusters.
+ */
+const findDuplicateClusters = async (db, userId, { minScore = 0.75 } = {}) => {
+  const candidates = await loadCandidates(db, userId);
+  const pairs = new Set();
+
+  addGroupPairs(groupBy(candidates, (c) => c.emails), MAX_GROUP_SIZE, pairs);
+  addGroupPairs(groupBy(candidates, (c) => c.phones), MAX_GROUP_SIZE, pairs);
+  addGroupPairs(
+    groupBy(candidates, (c) => new Set(c.name.split(" ").filter((t) => t.length >= 2).map((t) => t.slice(0, 3)))),
+    MAX_NAME_BLOCK_SIZE,
+    pairs
+  );
+
+  // Union-find over the pairs that clear the threshold
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const edges = [];
+
+  for (const key of pairs) {
+    const [a, b] = key.split(":").map(Number);
+    const { score, reasons } = scorePair(candidates.get(a), candidates.get(b));
+    if (score < minScore) continue;
+
+    edges.push({ contactIds: [a, b], score, reasons });
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    parent.set(find(a), find(b));
+  }
+
+  const clusters = new Map();
+  for (const edge of edges) {
+    const root = find(edge.contactIds[0]);
+    if (!clusters.has(root)) clusters.set(root, { ids: new Set(), score: 0, matches: [] });
+    const cluster = clusters.get(root);
+    edge.contactIds.forEach((id) => cluster.ids.add(id));
+    cluster.score = Math.max(cluster.score, edge.score);
+    cluster.matches.push(edge);
+  }
+
+  return [...clusters.values()]
+    .map((cluster) => ({
+      score: cluster.score,
+      contacts: [...cluster.ids].map((id) => candidates.get(id).contact),
+      matches: cluster.matches,
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+const mergeError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+/**
+ * Merges duplicate contacts into a surviving contact.
+ * Local fields are combined (notes appended, favorite if any was a
+ * favorite), linked reminders, notes and labels are moved to the survivor, and each duplicate
+ * is marked merged_into_id so later syncs don't resurrect it. A row per
+ * duplicate is written to contact_merges.
+ */
+const mergeContacts = async (db, userId, primaryId, duplicateIds) => {
+  const ids = [primaryId, ...duplicateIds];
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      `SELECT * FROM contacts
+       WHERE user_id = ? AND merged_into_id IS NULL AND id IN (${ids.map(() => "?").join(", ")})
+       FOR UPDATE`,
+      [userId, ...ids]
+    );
+    if (rows.length !== ids.length) {
+      throw mergeError(404, "NOT_FOUND", "One or more contacts were not found or are already merged.");
+    }
+
+    const primary = rows.find((r) => r.id === primaryId);
+    const duplicates = rows.filter((r) => r.id !== primaryId);
+
+    const noteParts = [primary.notes, ...duplicates.map((d) => d.notes)]
+      .map((n) => (n || "").trim())
+      .filter((n, i, all) => n && all.indexOf(n) === i);
+    const mergedNotes = noteParts.length > 0 ? noteParts.join("\n\n") : null;
+    const mergedFavorite = rows.some((r) => Boolean(r.is_favorite));
+
+    await connection.execute(
+      `UPDATE contacts SET notes = ?, is_favorite = ? WHERE id = ? AND user_id = ?`,
+      [mergedNotes, mergedFavorite, primaryId, userId]
+    );
+
+    const dupPlaceholders = duplicateIds.map(() => "?").join(", ");
+    const summary = [];
+
+    for (const duplicate of duplicates) {
+      const [reminderResult] = await connection.execute(
+        `UPDATE reminders SET contact_id = ? WHERE contact_id = ? AND user_id = ?`,
+        [primaryId, duplicate.id, userId]
+      );
+
+      // Linked notes follow the duplicate; a note already linked to the survivor keeps that link
+      const [noteResult] = await connection.execute(
+        `INSERT IGNORE INTO note_contacts (note_id, contact_id, source, created_at)
+         SELECT note_id, ?, source, created_at FROM note_contacts WHERE contact_id = ?`,
+        [primaryId, duplicate.id]
+      );
+      await connection.execute(`DELETE FROM note_contacts WHERE contact_id = ?`, [duplicate.id]);
+
+      // Drive attachments too; files the survivor already has attached are dropped
+      const [attachmentResult] = await connection.execute(
+        `UPDATE IGNORE drive_attachments SET contact_id = ? WHERE contact_id = ?`,
+        [primaryId, duplicate.id]
+      );
+      await connection.execute(`DELETE FROM drive_attachments WHERE contact_id = ?`, [duplicate.id]);
+      await connection.execute(
+        `INSERT IGNORE INTO sent_email_contacts (sent_email_id, contact_id)
+         SELECT sent_email_id, ? FROM sent_email_contacts WHERE contact_id = ?`,
+        [primaryId, duplicate.id]
+      );
+      await connection.execute(`DELETE FROM sent_email_contacts WHERE contact_id = ?`, [duplicate.id]);
+
+      // Label memberships too, or the duplicate's labels vanish with it
+      const [labelResult] = await connection.execute(
+        `INSERT IGNORE INTO contact_label_members (label_id, contact_id, source, created_at)
+         SELECT label_id, ?, source, created_at FROM contact_label_members WHERE contact_id = ?`,
+        [primaryId, duplicate.id]
+      );
+      await connection.execute(`DELETE FROM contact_label_members WHERE contact_id = ?`, [duplicate.id]);
+
+      const fields = {
+        notes: Boolean(duplicate.notes && duplicate.notes.trim()),
+        isFavorite: Boolean(duplicate.is_favorite),
+        reminders: reminderResult.affectedRows,
+        linkedNotes: noteResult.affectedRows,
+        attachments: attachmentResult.affectedRows,
+        labels: labelResult.affectedRows,
+      };
+
+      await connection.execute(
+        `INSERT INTO contact_merges
+         (user_id, surviving_contact_id, merged_contact_id, merged_google_contact_id, merged_snapshot, fields_merged)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, primaryId, duplicate.id, duplicate.google_contact_id, JSON.stringify(duplicate), JSON.stringify(fields)]
+      );
+
+      summary.push({ contactId: duplicate.id, ...fields });
+    }
+
+    // Contacts previously merged into one of the duplicates now point at the survivor
+    await connection.execute(
+      `UPDATE contacts SET merged_into_id = ? WHERE user_id = ? AND merged_into_id IN (${dupPlaceholders})`,
+      [primaryId, userId, ...duplicateIds]
+    );
+    await connection.execute(
+      `UPDATE contacts SET merged_into_id = ?, merged_at = NOW()
+       WHERE user_id = ? AND id IN (${dupPlaceholders})`,
+      [primaryId, userId, ...duplicateIds]
+    );
+    await recordContactEvents(connection, [
+      { userId, contactId: primaryId, type: "merged", source: "local", details: { merged: summary } },
+    ]);
+
+    await connection.commit();
+
+    const [updated] = await db.execute(`SELECT * FROM contacts WHERE id = ? AND user_id = ?`, [primaryId, userId]);
+    return { contact: updated[0], merged: summary };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  normalizeName,
+  jaroWinkler,
+  loadCandidates,
+  findDuplicateClusters,
+  mergeContacts,
+};
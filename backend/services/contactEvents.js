@@ -0,0 +1,46 @@
+// backend/services/contactEvents.js
+
+// Fields compared when recording what an edit or sync changed
+const TRACKED_FIELDS = ["name", "email", "phone", "company", "job_title", "notes", "is_favorite"];
+
+/**
+ * Returns { field: { from, to } } for the tracked fields that differ
+ * between two versions of a contact row, or null if none do.
+ */
+const diffContact = (before, after, fields = TRACKED_FIELDS) => {
+  const changes = {};
+  for (const field of fields) {
+    if (!(field in after)) continue;
+    const from = field === "is_favorite" ? Boolean(before[field]) : before[field] ?? null;
+    const to = field === "is_favorite" ? Boolean(after[field]) : after[field] ?? null;
+    if (from !== to) changes[field] = { from, to };
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Appends rows to a contact's event log. Each event is
+ * { userId, contactId, type, source, details }; `type` is one of created,
+ * updated, removed_upstream, restored, merged or imported and `source` one
+ * of local, google or import.
+ */
+const recordContactEvents = async (db, events) => {
+  if (events.length === 0) return;
+
+  await db.execute(
+    `INSERT INTO contact_events (user_id, contact_id, type, source, details)
+     VALUES ${events.map(() => "(?, ?, ?, ?, ?)").join(", ")}`,
+    events.flatMap((e) => [
+      e.userId,
+      e.contactId,
+      e.type,
+      e.source,
+      e.details ? JSON.stringify(e.details) : null,
+    ])
+  );
+};
+
+module.exports = {
+  diffContact,
+  recordContactEvents,
+};
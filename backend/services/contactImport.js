@@ -0,0 +1,339 @@
+// backend/services/contactImport.js
+
+const { toE164 } = require("../utils/phone");
+const { unescapeCell } = require("../utils/csv");
+const { pickPrimary, replaceContactDetails, loadContactDetails, toEntryShape } = require("./contactDetails");
+const { normalizeEmail, normalizePhone, loadCandidates } = require("./contactDuplicates");
+const { refreshSearchIndex } = require("./contactSearch");
+const { recordContactEvents } = require("./contactEvents");
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Compared when an imported row matches an existing contact
+const COMPARED_FIELDS = ["name", "company", "job_title"];
+
+const splitMulti = (value) =>
+  String(value || "")
+    .split(/\s*(?:;|:::)\s*/)
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+/**
+ * Classifies a CSV header. Understands this app's own export, Google
+ * Contacts CSV ("E-mail 1 - Value", "Group Membership") and Outlook CSV
+ * ("Mobile Phone", "Job Title").
+ */
+const headerKind = (header) => {
+  const h = header.toLowerCase().replace(/[^a-z0-9]/g, "");
+  if (h.endsWith("type") || h.endsWith("label")) return null;
+  if (["name", "fullname", "displayname"].includes(h)) return "name";
+  if (["firstname", "givenname"].includes(h)) return "given";
+  if (["lastname", "familyname", "surname"].includes(h)) return "family";
+  if (h.includes("email")) return "email";
+  if (h.includes("phone") || h.includes("mobile") || h === "tel" || h === "telephone") return "phone";
+  if (["company", "organization", "organisation", "org", "organization1name"].includes(h)) return "company";
+  if (["jobtitle", "title", "organization1title"].includes(h)) return "title";
+  if (["notes", "note"].includes(h)) return "notes";
+  if (["labels", "groupmembership", "categories"].includes(h)) return "labels";
+  return null;
+};
+
+/**
+ * Converts parsed CSV records into the contact shape produced by parseVCards.
+ */
+const contactsFromCsv = (records) =>
+  records.map((record) => {
+    const contact = { uid: null, name: null, notes: null, emails: [], phones: [], addresses: [], organizations: [], labels: [] };
+    let given = "";
+    let family = "";
+    let company = null;
+    let title = null;
+
+    for (const [header, cell] of Object.entries(record)) {
+      // Our own exports escape formula-like cells with an apostrophe
+      const value = cell && unescapeCell(cell);
+      if (!value) continue;
+      switch (headerKind(header)) {
+        case "name":
+          contact.name = value;
+          break;
+        case "given":
+          given = value;
+          break;
+        case "family":
+          family = value;
+          break;
+        case "email":
+          splitMulti(value).forEach((v) => contact.emails.push({ value: v, type: null, primary: contact.emails.length === 0 }));
+          break;
+        case "phone":
+          splitMulti(value).forEach((v) =>
+            contact.phones.push({ value: v, canonicalValue: toE164(v), type: null, primary: contact.phones.length === 0 })
+          );
+          break;
+        case "company":
+          company = value;
+          break;
+        case "title":
+          title = value;
+          break;
+        case "notes":
+          contact.notes = value;
+          break;
+        case "labels":
+          splitMulti(value)
+            .map((l) => l.replace(/^\*\s*/, ""))
+            .filter((l) => l && l !== "myContacts")
+            .forEach((l) => contact.labels.push(l));
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (!contact.name && (given || family)) contact.name = [given, family].filter(Boolean).join(" ");
+    if (company || title) {
+      contact.organizations.push({ name: company, title, department: null, type: null, primary: true });
+    }
+    return contact;
+  });
+
+/**
+ * Flattens an imported contact into contacts-table columns.
+ */
+const flatten = (contact) => {
+  const organization = pickPrimary(contact.organizations);
+  return {
+    name: contact.name || null,
+    email: pickPrimary(contact.emails)?.value || null,
+    phone: pickPrimary(contact.phones)?.value || null,
+    company: organization?.name || null,
+    job_title: organization?.title || null,
+    notes: contact.notes || null,
+  };
+};
+
+const sameText = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+/**
+ * Matches imported contacts against the user's contacts on normalized email
+ * and E.164 phone and classifies each row:
+ *   new       - no existing contact matches
+ *   update    - matches one local contact and only fills blanks or adds
+ *               emails/phones
+ *   unchanged - matches one contact and adds nothing
+ *   conflict  - matches several contacts, disagrees with a non-empty field,
+ *               would change a Google-synced contact, or repeats an earlier
+ *               row of the same file
+ *   invalid   - has no name, email or phone
+ * Nothing is written; the plan is passed to applyImport.
+ */
+const planImport = async (db, userId, contacts) => {
+  const candidates = await loadCandidates(db, userId);
+  const byEmail = new Map();
+  const byPhone = new Map();
+  const index = (map, key, id) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(id);
+  };
+  for (const [id, candidate] of candidates) {
+    candidate.emails.forEach((e) => index(byEmail, e, id));
+    candidate.phones.forEach((p) => index(byPhone, p, id));
+  }
+
+  const seenInFile = new Map();
+  const rows = [];
+
+  contacts.forEach((contact, i) => {
+    const flat = flatten(contact);
+    const emails = [...new Set(contact.emails.map((e) => normalizeEmail(e.value)).filter(Boolean))];
+    const phones = [...new Set(contact.phones.map((p) => normalizePhone(p.canonicalValue || p.value)).filter(Boolean))];
+    const row = { row: i + 1, ...flat, contact, status: null, matchedContactIds: [], changes: {}, reason: null };
+    rows.push(row);
+
+    if (!flat.name && emails.length === 0 && phones.length === 0) {
+      row.status = "invalid";
+      row.reason = "MISSING_IDENTIFIER";
+      return;
+    }
+
+    const earlierRow = [...emails, ...phones].map((key) => seenInFile.get(key)).find(Boolean);
+    [...emails, ...phones].forEach((key) => seenInFile.has(key) || seenInFile.set(key, row.row));
+    if (earlierRow) {
+      row.status = "conflict";
+      row.reason = "DUPLICATE_IN_FILE";
+      row.duplicateOfRow = earlierRow;
+      return;
+    }
+
+    const matched = new Set();
+    emails.forEach((e) => byEmail.get(e)?.forEach((id) => matched.add(id)));
+    phones.forEach((p) => byPhone.get(p)?.forEach((id) => matched.add(id)));
+    row.matchedContactIds = [...matched];
+
+    if (matched.size === 0) {
+      row.status = "new";
+      return;
+    }
+    if (matched.size > 1) {
+      row.status = "conflict";
+      row.reason = "MULTIPLE_MATCHES";
+      return;
+    }
+
+    const existing = candidates.get(row.matchedContactIds[0]);
+    const differences = {};
+    for (const field of COMPARED_FIELDS) {
+      const current = existing.contact[field];
+      if (flat[field] && current && !sameText(flat[field], current)) {
+        differences[field] = { from: current, to: flat[field] };
+      } else if (flat[field] && !current) {
+        row.changes[field] = { from: null, to: flat[field] };
+      }
+    }
+    const addedEmails = contact.emails.filter((e) => !existing.emails.has(normalizeEmail(e.value)));
+    const addedPhones = contact.phones.filter((p) => !existing.phones.has(normalizePhone(p.canonicalValue || p.value)));
+    if (addedEmails.length) row.changes.emails = { added: addedEmails.map((e) => e.value) };
+    if (addedPhones.length) row.changes.phones = { added: addedPhones.map((p) => p.value) };
+
+    if (Object.keys(differences).length > 0) {
+      row.status = "conflict";
+      row.reason = "FIELD_MISMATCH";
+      row.differences = differences;
+    } else if (Object.keys(row.changes).length === 0) {
+      row.status = "unchanged";
+    } else if (existing.contact.google_contact_id) {
+      row.status = "conflict";
+      row.reason = "GOOGLE_MANAGED";
+    } else {
+      row.status = "update";
+    }
+  });
+
+  const summary = { new: 0, update: 0, unchanged: 0, conflict: 0, invalid: 0 };
+  rows.forEach((r) => summary[r.status]++);
+  return { rows, summary };
+};
+
+/**
+ * Finds (or creates, as local labels) the user's labels with these names.
+ * Returns their ids.
+ */
+const resolveLabelIds = async (db, userId, names) => {
+  const ids = [];
+  for (const name of [...new Set(names)]) {
+    const [rows] = await db.execute(
+      `SELECT id FROM contact_labels WHERE user_id = ? AND name = ? ORDER BY id LIMIT 1`,
+      [userId, name]
+    );
+    if (rows.length > 0) {
+      ids.push(rows[0].id);
+    } else {
+      const [result] = await db.execute(
+        `INSERT INTO contact_labels (user_id, name, source) VALUES (?, ?, 'local')`,
+        [userId, name]
+      );
+      ids.push(result.insertId);
+    }
+  }
+  return ids;
+};
+
+const addLabels = async (db, userId, contactId, names) => {
+  if (!names.length) return;
+  const labelIds = await resolveLabelIds(db, userId, names);
+  await db.execute(
+    `INSERT IGNORE INTO contact_label_members (contact_id, label_id, source)
+     VALUES ${labelIds.map(() => "(?, ?, 'local')").join(", ")}`,
+    labelIds.flatMap((labelId) => [contactId, labelId])
+  );
+};
+
+/**
+ * Writes the "new" and "update" rows of an import plan in one transaction.
+ * New rows become local contacts (no google_contact_id); updates fill blank
+ * fields and append emails/phones on existing local contacts.
+ * Returns the ids created and updated.
+ */
+const applyImport = async (db, userId, plan) => {
+  const connection = await db.getConnection();
+  const created = [];
+  const updated = [];
+
+  try {
+    await connection.beginTransaction();
+
+    for (const row of plan.rows.filter((r) => r.status === "new")) {
+      const [result] = await connection.execute(
+        `INSERT INTO contacts (user_id, name, email, phone, company, job_title, notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userId, row.name, row.email, row.phone, row.company, row.job_title, row.notes]
+      );
+      const contactId = result.insertId;
+
+      await replaceContactDetails(connection, [{ contactId, details: row.contact }]);
+      await addLabels(connection, userId, contactId, row.contact.labels);
+      created.push(contactId);
+    }
+
+    for (const row of plan.rows.filter((r) => r.status === "update")) {
+      const contactId = row.matchedContactIds[0];
+      const fills = COMPARED_FIELDS.filter((f) => row.changes[f]);
+      const emailFill = row.changes.emails ? row.email : null;
+      const phoneFill = row.changes.phones ? row.phone : null;
+
+      await connection.execute(
+        `UPDATE contacts SET
+           ${fills.map((f) => `${f} = COALESCE(NULLIF(${f}, ''), ?),`).join(" ")}
+           email = COALESCE(NULLIF(email, ''), ?),
+           phone = COALESCE(NULLIF(phone, ''), ?),
+           notes = COALESCE(NULLIF(notes, ''), ?)
+         WHERE id = ? AND user_id = ?`,
+        [...fills.map((f) => row.changes[f].to), emailFill, phoneFill, row.notes, contactId, userId]
+      );
+
+      const existing = toEntryShape((await loadContactDetails(connection, [contactId])).get(contactId));
+      const added = row.contact;
+      await replaceContactDetails(connection, [
+        {
+          contactId,
+          details: {
+            ...existing,
+            emails: [
+              ...existing.emails,
+              ...added.emails.filter((e) => row.changes.emails?.added.includes(e.value)).map((e) => ({ ...e, primary: false })),
+            ],
+            phones: [
+              ...existing.phones,
+              ...added.phones.filter((p) => row.changes.phones?.added.includes(p.value)).map((p) => ({ ...p, primary: false })),
+            ],
+            addresses: existing.addresses.length ? existing.addresses : added.addresses,
+            organizations: existing.organizations.length ? existing.organizations : added.organizations,
+          },
+        },
+      ]);
+      await addLabels(connection, userId, contactId, row.contact.labels);
+      updated.push(contactId);
+    }
+
+    await refreshSearchIndex(connection, [...created, ...updated]);
+    await recordContactEvents(connection, [
+      ...created.map((contactId) => ({ userId, contactId, type: "imported", source: "import" })),
+      ...updated.map((contactId) => ({ userId, contactId, type: "updated", source: "import" })),
+    ]);
+    await connection.commit();
+    return { created, updated };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  contactsFromCsv,
+  planImport,
+  applyImport,
+};
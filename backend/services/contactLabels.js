@@ -0,0 +1,125 @@
+// backend/services/contactLabels.js
+
+// System groups worth showing as labels; "myContacts", "all", "blocked" and
+// "chatBuddies" say nothing useful about a person.
+const SYSTEM_GROUPS = new Set([
+  "contactGroups/starred",
+  "contactGroups/friends",
+  "contactGroups/family",
+  "contactGroups/coworkers",
+]);
+
+/**
+ * Fetches the user's Google contact groups and upserts them as labels.
+ * Google labels that no longer exist are removed (with their memberships).
+ * Returns a Map of group resourceName -> label id.
+ */
+const syncContactGroups = async (people, db, userId) => {
+  const groups = [];
+  let pageToken = null;
+
+  do {
+    const response = await people.contactGroups.list({
+      pageSize: 1000,
+      pageToken: pageToken || undefined,
+      groupFields: "name,groupType",
+    });
+    groups.push(...(response.data.contactGroups || []));
+    pageToken = response.data.nextPageToken || null;
+  } while (pageToken);
+
+  const wanted = groups.filter(
+    (g) => g.groupType === "USER_CONTACT_GROUP" || SYSTEM_GROUPS.has(g.resourceName)
+  );
+
+  for (const group of wanted) {
+    await db.execute(
+      `INSERT INTO contact_labels (user_id, google_group_id, name, source)
+       VALUES (?, ?, ?, 'google')
+       ON DUPLICATE KEY UPDATE name = VALUES(name)`,
+      [userId, group.resourceName, group.formattedName || group.name]
+    );
+  }
+
+  const groupIds = wanted.map((g) => g.resourceName);
+  await db.execute(
+    `DELETE FROM contact_labels
+     WHERE user_id = ? AND source = 'google'
+     ${groupIds.length > 0 ? `AND google_group_id NOT IN (${groupIds.map(() => "?").join(", ")})` : ""}`,
+    [userId, ...groupIds]
+  );
+
+  const [rows] = await db.execute(
+    `SELECT id, google_group_id FROM contact_labels WHERE user_id = ? AND source = 'google'`,
+    [userId]
+  );
+  return new Map(rows.map((r) => [r.google_group_id, r.id]));
+};
+
+/**
+ * Returns the contact group resource names a Google person belongs to.
+ */
+const mapPersonGroups = (person) =>
+  (person.memberships || [])
+    .map((m) => m.contactGroupMembership?.contactGroupResourceName)
+    .filter(Boolean);
+
+/**
+ * Replaces the Google-sourced label memberships of the given contacts.
+ * Memberships added locally are left alone.
+ * `entries` is a list of `{ contactId, groups }`.
+ */
+const replaceGoogleMemberships = async (db, entries, labelIds) => {
+  if (entries.length === 0) return;
+
+  const contactIds = entries.map((e) => e.contactId);
+  await db.execute(
+    `DELETE FROM contact_label_members
+     WHERE source = 'google' AND contact_id IN (${contactIds.map(() => "?").join(", ")})`,
+    contactIds
+  );
+
+  const rows = [];
+  for (const { contactId, groups } of entries) {
+    for (const group of groups) {
+      if (labelIds.has(group)) rows.push([contactId, labelIds.get(group)]);
+    }
+  }
+  if (rows.length === 0) return;
+
+  await db.execute(
+    `INSERT IGNORE INTO contact_label_members (contact_id, label_id, source)
+     VALUES ${rows.map(() => "(?, ?, 'google')").join(", ")}`,
+    rows.flat()
+  );
+};
+
+/**
+ * Loads labels for the given contact ids.
+ * Returns a Map of contactId -> [{ id, name, source }].
+ */
+const loadContactLabels = async (db, contactIds) => {
+  const byContact = new Map(contactIds.map((id) => [id, []]));
+  if (contactIds.length === 0) return byContact;
+
+  const [rows] = await db.execute(
+    `SELECT clm.contact_id, cl.id, cl.name, cl.source
+     FROM contact_label_members clm
+     JOIN contact_labels cl ON cl.id = clm.label_id
+     WHERE clm.contact_id IN (${contactIds.map(() => "?").join(", ")})
+     ORDER BY cl.name`,
+    contactIds
+  );
+
+  for (const { contact_id: contactId, ...label } of rows) {
+    byContact.get(contactId)?.push(label);
+  }
+  return byContact;
+};
+
+module.exports = {
+  syncContactGroups,
+  mapPersonGroups,
+  replaceGoogleMemberships,
+  loadContactLabels,
+};
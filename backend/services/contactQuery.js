@@ -0,0 +1,112 @@
+// backend/services/contactQuery.js
+
+const { phoneCondition, buildFullTextSearch } = require("./contactSearch");
+
+/**
+ * Builds the WHERE clause shared by the contact list and export endpoints
+ * from the `q`, `search`, `favorites`, `label` and `removed` query parameters.
+ * Contacts removed from Google are hidden unless `removed` is "include"
+ * (show them too) or "only" (show nothing else).
+ * `q` is the ranked full-text search: it joins the search index as `csi`
+ * and returns the relevance expression to select and sort by.
+ * Returns { join, whereClause, params, relevance }; throws a 400
+ * INVALID_INPUT error when q, search or label isn't a single string.
+ */
+const buildContactFilter = (userId, query = {}) => {
+  // Repeated query parameters arrive as arrays
+  const invalid = ["q", "search", "label"].find((key) => query[key] !== undefined && typeof query[key] !== "string");
+  if (invalid) {
+    throw Object.assign(new Error(`${invalid} must be a single string.`), { status: 400, code: "INVALID_INPUT" });
+  }
+
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  const search = typeof query.search === "string" ? query.search.trim() : "";
+  const favoritesOnly = query.favorites === "true";
+  const label = typeof query.label === "string" ? query.label.trim() : "";
+  const removed = query.removed;
+
+  let join = "";
+  let whereClause = "WHERE user_id = ? AND merged_into_id IS NULL";
+  const params = [userId];
+  let relevance = null;
+
+  if (q) {
+    const fullText = buildFullTextSearch(q);
+    join = "JOIN contact_search_index csi ON csi.contact_id = contacts.id";
+    relevance = fullText.relevance;
+    if (fullText.condition) {
+      whereClause += ` AND ${fullText.condition.sql}`;
+      params.push(...fullText.condition.params);
+    } else {
+      whereClause += " AND FALSE";
+    }
+  }
+
+  if (search) {
+    // Also match secondary emails, phones, organizations and addresses
+    whereClause += ` AND (name LIKE ? OR email LIKE ? OR phone LIKE ? OR company LIKE ?
+      OR EXISTS (SELECT 1 FROM contact_emails ce WHERE ce.contact_id = contacts.id AND ce.value LIKE ?)
+      OR EXISTS (SELECT 1 FROM contact_phones cp WHERE cp.contact_id = contacts.id AND (cp.value LIKE ? OR cp.canonical_value LIKE ?))
+      OR EXISTS (SELECT 1 FROM contact_organizations co WHERE co.contact_id = contacts.id AND (co.name LIKE ? OR co.title LIKE ?))
+      OR EXISTS (SELECT 1 FROM contact_addresses ca WHERE ca.contact_id = contacts.id AND ca.formatted_value LIKE ?)`;
+    const searchPattern = `%${search}%`;
+    params.push(...new Array(10).fill(searchPattern));
+
+    // "+44 7398" should find "07398 ...", so phone-like terms also match normalized numbers
+    const phone = phoneCondition(search, "csp");
+    if (phone) {
+      whereClause += `
+      OR EXISTS (SELECT 1 FROM contact_search_index csp WHERE csp.contact_id = contacts.id AND ${phone.sql})`;
+      params.push(...phone.params);
+    }
+    whereClause += ")";
+  }
+
+  if (removed === "only") {
+    whereClause += " AND removed_upstream_at IS NOT NULL";
+  } else if (removed !== "include") {
+    whereClause += " AND removed_upstream_at IS NULL";
+  }
+
+  if (favoritesOnly) {
+    whereClause += " AND is_favorite = TRUE";
+  }
+
+  // label accepts a label id or name
+  if (label) {
+    whereClause += ` AND EXISTS (
+      SELECT 1 FROM contact_label_members clm
+      JOIN contact_labels cl ON cl.id = clm.label_id
+      WHERE clm.contact_id = contacts.id AND cl.user_id = ? AND (cl.id = ? OR cl.name = ?))`;
+    params.push(userId, parseInt(label) || 0, label);
+  }
+
+  return { join, whereClause, params, relevance };
+};
+
+/**
+ * Cursors are opaque to clients: base64url JSON of the sort key, the last
+ * row's sort value and its id.
+ */
+const encodeCursor = (sortKey, value, id) =>
+  Buffer.from(JSON.stringify({ s: sortKey, v: value, id })).toString("base64url");
+
+/**
+ * Decodes a cursor for the given sort key, or returns null if it's
+ * malformed or was issued for a different sort.
+ */
+const decodeCursor = (cursor, sortKey) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (decoded?.s !== sortKey || !Number.isInteger(decoded.id)) return null;
+    return decoded;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  buildContactFilter,
+  encodeCursor,
+  decodeCursor,
+};
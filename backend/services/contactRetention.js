@@ -0,0 +1,45 @@
+// backend/services/contactRetention.js
+
+// Contacts removed from Google are kept (hidden) this many days before being
+// purged. 0 keeps them until they are purged by hand.
+const RETENTION_DAYS = Math.max(0, parseInt(process.env.CONTACT_REMOVED_RETENTION_DAYS ?? "30") || 0);
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Permanently deletes contacts removed upstream more than RETENTION_DAYS ago.
+ * Returns the number of rows deleted.
+ */
+const purgeExpiredRemovedContacts = async (db) => {
+  if (RETENTION_DAYS === 0) return 0;
+
+  const [result] = await db.execute(
+    `DELETE FROM contacts
+     WHERE removed_upstream_at IS NOT NULL
+     AND removed_upstream_at < NOW() - INTERVAL ? DAY`,
+    [RETENTION_DAYS]
+  );
+
+  if (result.affectedRows > 0) {
+    console.log(`Purged ${result.affectedRows} contacts removed from Google over ${RETENTION_DAYS} days ago`);
+  }
+  return result.affectedRows;
+};
+
+/**
+ * Runs the retention purge now and then hourly.
+ */
+const startRemovedContactPurge = (db) => {
+  const run = () =>
+    purgeExpiredRemovedContacts(db).catch((error) =>
+      console.error("Failed to purge removed contacts:", error.message)
+    );
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  purgeExpiredRemovedContacts,
+  startRemovedContactPurge,
+};
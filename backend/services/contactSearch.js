@@ -0,0 +1,172 @@
+// backend/services/contactSearch.js
+
+const { parsePhoneNumberFromString } = require("libphonenumber-js");
+const { DEFAULT_REGION } = require("../utils/phone");
+const { loadContactDetails } = require("./contactDetails");
+
+// InnoDB ignores FULLTEXT tokens shorter than innodb_ft_min_token_size (3)
+const MIN_FULLTEXT_TOKEN = 3;
+const BACKFILL_BATCH_SIZE = 500;
+
+/**
+ * Returns the digit strings a stored phone number should be findable by:
+ * the E.164 digits ("447398786815"), the national number ("7398786815")
+ * and the digits as typed ("07398786815").
+ */
+const phoneTokens = (value) => {
+  const tokens = new Set();
+  const raw = String(value || "").replace(/\D/g, "");
+  if (raw) tokens.add(raw);
+
+  const parsed = parsePhoneNumberFromString(String(value || ""), DEFAULT_REGION);
+  if (parsed) {
+    tokens.add(parsed.number.replace(/\D/g, ""));
+    tokens.add(String(parsed.nationalNumber));
+  }
+  return [...tokens];
+};
+
+/**
+ * Rebuilds the search index rows of the given contacts from the contact,
+ * its child rows and its phone numbers.
+ */
+const refreshSearchIndex = async (db, contactIds) => {
+  if (contactIds.length === 0) return;
+
+  const placeholders = contactIds.map(() => "?").join(", ");
+  const [contacts] = await db.execute(
+    `SELECT id, name, email, phone, company, job_title FROM contacts WHERE id IN (${placeholders})`,
+    contactIds
+  );
+  const details = await loadContactDetails(db, contacts.map((c) => c.id));
+
+  const rows = contacts.map((c) => {
+    const d = details.get(c.id);
+    const text = [
+      c.name,
+      c.email,
+      c.company,
+      c.job_title,
+      ...d.emails.map((e) => e.value),
+      ...d.organizations.flatMap((o) => [o.name, o.title, o.department]),
+      ...d.addresses.map((a) => a.formatted_value),
+    ];
+    const phones = [c.phone, ...d.phones.flatMap((p) => [p.value, p.canonical_value])];
+
+    return [
+      c.id,
+      [...new Set(text.filter(Boolean))].join(" "),
+      [...new Set(phones.filter(Boolean).flatMap(phoneTokens))].join(" "),
+    ];
+  });
+  if (rows.length === 0) return;
+
+  await db.execute(
+    `INSERT INTO contact_search_index (contact_id, search_text, phone_digits)
+     VALUES ${rows.map(() => "(?, ?, ?)").join(", ")}
+     ON DUPLICATE KEY UPDATE search_text = VALUES(search_text), phone_digits = VALUES(phone_digits)`,
+    rows.flat()
+  );
+};
+
+/**
+ * Indexes contacts that have no search index row yet (e.g. rows that
+ * existed before the index was introduced). Runs in the background at startup.
+ */
+const backfillSearchIndex = async (db) => {
+  let total = 0;
+
+  for (;;) {
+    const [rows] = await db.execute(
+      `SELECT c.id FROM contacts c
+       LEFT JOIN contact_search_index csi ON csi.contact_id = c.id
+       WHERE csi.contact_id IS NULL
+       LIMIT ${BACKFILL_BATCH_SIZE}`
+    );
+    if (rows.length === 0) break;
+
+    await refreshSearchIndex(db, rows.map((r) => r.id));
+    total += rows.length;
+  }
+
+  if (total > 0) console.log(`Indexed ${total} contacts for search`);
+};
+
+/**
+ * Builds a SQL condition matching a phone-like search term against
+ * `${alias}.phone_digits`, or null if the term doesn't look like a phone
+ * number. "+44 7398" and "0044 7398" match on E.164 digits, "07398" on the
+ * national number, anything else as a plain digit substring.
+ */
+const phoneCondition = (term, alias) => {
+  const trimmed = term.trim();
+  if (!/^[\d\s()+\-.]+$/.test(trimmed)) return null;
+
+  const digits = trimmed.replace(/\D/g, "");
+  if (digits.length < 3) return null;
+
+  const column = `CONCAT(' ', ${alias}.phone_digits)`;
+  if (trimmed.startsWith("+")) return { sql: `${column} LIKE ?`, params: [`% ${digits}%`] };
+  if (digits.startsWith("00")) return { sql: `${column} LIKE ?`, params: [`% ${digits.slice(2)}%`] };
+  if (digits.startsWith("0")) return { sql: `${column} LIKE ?`, params: [`% ${digits.slice(1)}%`] };
+  return { sql: `${alias}.phone_digits LIKE ?`, params: [`%${digits}%`] };
+};
+
+/**
+ * Builds the ranked full-text search for `q`.
+ * Words of 3+ characters become required prefix terms of a boolean
+ * FULLTEXT query; shorter words fall back to LIKE on the indexed text.
+ * Returns { condition, relevance } SQL fragments (with params) written
+ * against the contact_search_index alias `csi`.
+ */
+const buildFullTextSearch = (q) => {
+  const words = q
+    .replace(/[+\-<>()~*"@]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+  const longWords = words.filter((w) => w.length >= MIN_FULLTEXT_TOKEN);
+  const shortWords = words.filter((w) => w.length < MIN_FULLTEXT_TOKEN);
+  const phone = phoneCondition(q, "csi");
+
+  const textParts = [];
+  const textParams = [];
+  if (longWords.length > 0) {
+    textParts.push("MATCH(csi.search_text) AGAINST (? IN BOOLEAN MODE)");
+    textParams.push(longWords.map((w) => `+${w}*`).join(" "));
+  }
+  for (const word of shortWords) {
+    textParts.push("csi.search_text LIKE ?");
+    textParams.push(`%${word}%`);
+  }
+
+  const alternatives = [];
+  const conditionParams = [];
+  if (textParts.length > 0) {
+    alternatives.push(`(${textParts.join(" AND ")})`);
+    conditionParams.push(...textParams);
+  }
+  if (phone) {
+    alternatives.push(phone.sql);
+    conditionParams.push(...phone.params);
+  }
+
+  // Natural-language score, boosted for phone hits and names starting with the query
+  const relevanceParts = ["MATCH(csi.search_text) AGAINST (? IN NATURAL LANGUAGE MODE)", "IF(contacts.name LIKE ?, 5, 0)"];
+  const relevanceParams = [q, `${q}%`];
+  if (phone) {
+    relevanceParts.push(`IF(${phone.sql}, 10, 0)`);
+    relevanceParams.push(...phone.params);
+  }
+
+  return {
+    condition: alternatives.length > 0 ? { sql: `(${alternatives.join(" OR ")})`, params: conditionParams } : null,
+    relevance: { sql: relevanceParts.join(" + "), params: relevanceParams },
+  };
+};
+
+module.exports = {
+  refreshSearchIndex,
+  backfillSearchIndex,
+  phoneCondition,
+  buildFullTextSearch,
+};
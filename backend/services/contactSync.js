@@ -0,0 +1,351 @@
+// backend/services/contactSync.js
+
+const { google } = require("googleapis");
+const { pickPrimary, mapPersonDetails, replaceContactDetails } = require("./contactDetails");
+const { syncContactGroups, mapPersonGroups, replaceGoogleMemberships } = require("./contactLabels");
+const { refreshSearchIndex } = require("./contactSearch");
+const { diffContact, recordContactEvents } = require("./contactEvents");
+
+const BATCH_SIZE = 100; // Insert contacts in batches for better performance
+const PAGE_SIZE = 1000; // Google API page size
+const PERSON_FIELDS = "names,emailAddresses,phoneNumbers,addresses,photos,organizations,biographies,memberships";
+const SYNCED_FIELDS = ["name", "email", "phone", "company", "job_title", "notes"];
+
+/**
+ * Maps a Google People API person to a contacts row. The flat email, phone
+ * and company columns hold the primary entry; `details` carries all of them.
+ */
+const mapPerson = (person) => {
+  const primaryOrg = pickPrimary(person.organizations);
+
+  return {
+    googleContactId: person.resourceName || null,
+    etag: person.etag || null,
+    name: pickPrimary(person.names)?.displayName || null,
+    email: pickPrimary(person.emailAddresses)?.value || null,
+    phone: pickPrimary(person.phoneNumbers)?.value || null,
+    photoUrl: person.photos?.[0]?.url || null,
+    company: primaryOrg?.name || null,
+    jobTitle: primaryOrg?.title || null,
+    notes: person.biographies?.[0]?.value || null,
+    details: mapPersonDetails(person),
+    groups: mapPersonGroups(person),
+  };
+};
+
+/**
+ * Google rejects a stale sync token with 410 GONE (or 400 with reason
+ * EXPIRED_SYNC_TOKEN); either way a full resync is required.
+ */
+const isExpiredSyncToken = (error) => {
+  const status = error.code || error.response?.status;
+  if (status === 410) return true;
+
+  const details = error.response?.data?.error?.details || [];
+  return (
+    status === 400 &&
+    (details.some((d) => d.reason === "EXPIRED_SYNC_TOKEN") || /sync token/i.test(error.message || ""))
+  );
+};
+
+/**
+ * Maps a sync failure to the error code/message pair reported to the client.
+ */
+const describeSyncError = (error) => {
+  if (error.code === "GOOGLE_AUTH_REQUIRED") {
+    return { code: error.code, message: "Google session expired. Please re-authenticate." };
+  }
+  const status = error.code || error.response?.status;
+
+  if (status === 401) {
+    return { code: "GOOGLE_TOKEN_EXPIRED", message: "Google access token expired. Please re-authenticate." };
+  }
+  if (status === 403) {
+    return { code: "GOOGLE_PERMISSION_DENIED", message: "Permission denied. Please grant contacts access." };
+  }
+  if (status === 429) {
+    return { code: "RATE_LIMIT_EXCEEDED", message: "Too many requests. Please try again later." };
+  }
+  return { code: "SYNC_FAILED", message: error.message || "Failed to sync contacts from Google." };
+};
+
+/**
+ * Upserts a list of mapped contacts, with their child rows and label
+ * memberships, in batches. A failing batch is recorded in `progress.errors`
+ * and skipped so the rest of the page still gets saved. New contacts and
+ * ones whose etag changed get a created/updated event.
+ * Returns the number of rows saved.
+ */
+const saveContacts = async ({ db, userId, syncTimestamp, labelIds, progress }, contacts) => {
+  let saved = 0;
+
+  for (let i = 0; i < contacts.length; i += BATCH_SIZE) {
+    const batch = contacts.slice(i, i + BATCH_SIZE);
+
+    const values = batch.map((c) => [
+      userId,
+      c.googleContactId,
+      c.name,
+      c.email,
+      c.phone,
+      c.photoUrl,
+      c.company,
+      c.jobTitle,
+      c.notes,
+      c.etag,
+      syncTimestamp,
+    ]);
+
+    const placeholders = batch.map(() => "(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)").join(", ");
+    const googleIds = batch.map((c) => c.googleContactId);
+    const googleIdPlaceholders = googleIds.map(() => "?").join(", ");
+
+    try {
+      const [previousRows] = await db.execute(
+        `SELECT google_contact_id, name, email, phone, company, job_title, notes, etag FROM contacts
+         WHERE user_id = ? AND google_contact_id IN (${googleIdPlaceholders})`,
+        [userId, ...googleIds]
+      );
+      const previousByGoogleId = new Map(previousRows.map((r) => [r.google_contact_id, r]));
+
+      await db.execute(
+        `INSERT INTO contacts
+         (user_id, google_contact_id, name, email, phone, photo_url, company, job_title, notes, etag, last_synced_at)
+         VALUES ${placeholders}
+         ON DUPLICATE KEY UPDATE
+           name = VALUES(name),
+           email = VALUES(email),
+           phone = VALUES(phone),
+           photo_url = VALUES(photo_url),
+           company = VALUES(company),
+           job_title = VALUES(job_title),
+           notes = VALUES(notes),
+           etag = VALUES(etag),
+           last_synced_at = VALUES(last_synced_at),
+           removed_upstream_at = NULL,
+           updated_at = NOW()`,
+        values.flat()
+      );
+
+      const [idRows] = await db.execute(
+        `SELECT id, google_contact_id FROM contacts
+         WHERE user_id = ? AND google_contact_id IN (${googleIdPlaceholders})`,
+        [userId, ...googleIds]
+      );
+      const idByGoogleId = new Map(idRows.map((r) => [r.google_contact_id, r.id]));
+
+      const saved = batch
+        .filter((c) => idByGoogleId.has(c.googleContactId))
+        .map((c) => ({ ...c, contactId: idByGoogleId.get(c.googleContactId) }));
+
+      await replaceContactDetails(db, saved);
+      await replaceGoogleMemberships(db, saved, labelIds);
+      await refreshSearchIndex(db, saved.map((c) => c.contactId));
+
+      // Rows synced before etags were stored have nothing to compare against
+      const events = [];
+      for (const c of saved) {
+        const previous = previousByGoogleId.get(c.googleContactId);
+        if (!previous) {
+          events.push({ userId, contactId: c.contactId, type: "created", source: "google" });
+        } else if (previous.etag && previous.etag !== c.etag) {
+          const changes = diffContact(previous, { ...c, job_title: c.jobTitle }, SYNCED_FIELDS);
+          events.push({ userId, contactId: c.contactId, type: "updated", source: "google", details: changes && { changes } });
+        }
+      }
+      await recordContactEvents(db, events);
+    } catch (error) {
+      console.error("Failed to save contact batch:", error.message);
+      progress.errors.push({ stage: "save", message: error.message, count: batch.length, at: new Date().toISOString() });
+      continue;
+    }
+
+    saved += batch.length;
+    console.log(`Saved batch: ${batch.length} contacts (total saved: ${saved})`);
+  }
+
+  return saved;
+};
+
+/**
+ * Sets removed_upstream_at on the given contact ids, in batches, and logs a
+ * removed_upstream event for each. Returns the number of rows marked.
+ */
+const markContactsRemoved = async (db, userId, contactIds, removedAt) => {
+  let removed = 0;
+
+  for (let i = 0; i < contactIds.length; i += BATCH_SIZE) {
+    const batch = contactIds.slice(i, i + BATCH_SIZE);
+
+    const [result] = await db.execute(
+      `UPDATE contacts SET removed_upstream_at = ?
+       WHERE id IN (${batch.map(() => "?").join(", ")})`,
+      [removedAt, ...batch]
+    );
+    await recordContactEvents(
+      db,
+      batch.map((contactId) => ({ userId, contactId, type: "removed_upstream", source: "google" }))
+    );
+    removed += result.affectedRows;
+  }
+
+  return removed;
+};
+
+/**
+ * Marks contacts Google reported as removed with removed_upstream_at instead
+ * of deleting them, so their local notes and favorites survive until the
+ * retention purge. Returns the number of rows marked.
+ */
+const markRemovedUpstream = async (db, userId, googleIds, removedAt) => {
+  let removed = 0;
+
+  for (let i = 0; i < googleIds.length; i += BATCH_SIZE) {
+    const batch = googleIds.slice(i, i + BATCH_SIZE);
+    const placeholders = batch.map(() => "?").join(", ");
+
+    const [rows] = await db.execute(
+      `SELECT id FROM contacts
+       WHERE user_id = ? AND google_contact_id IN (${placeholders}) AND removed_upstream_at IS NULL`,
+      [userId, ...batch]
+    );
+    removed += await markContactsRemoved(db, userId, rows.map((r) => r.id), removedAt);
+  }
+
+  return removed;
+};
+
+/**
+ * Pages through people.connections.list, saving each page as it arrives.
+ * With a syncToken only people changed since that token are returned, and
+ * removed people come back flagged with metadata.deleted.
+ */
+const fetchAndApply = async (context, syncToken) => {
+  const { people, db, userId, syncTimestamp, progress, onProgress } = context;
+  let pageToken = null;
+  let nextSyncToken = null;
+
+  do {
+    const response = await people.people.connections.list({
+      resourceName: "people/me",
+      personFields: PERSON_FIELDS,
+      pageSize: PAGE_SIZE,
+      pageToken: pageToken || undefined,
+      requestSyncToken: true,
+      syncToken: syncToken || undefined,
+    });
+
+    const connections = response.data.connections || [];
+    progress.pagesFetched += 1;
+    progress.totalFetched += connections.length;
+    pageToken = response.data.nextPageToken || null;
+    nextSyncToken = response.data.nextSyncToken || nextSyncToken;
+
+    const removedIds = connections
+      .filter((p) => p.metadata?.deleted && p.resourceName)
+      .map((p) => p.resourceName);
+    const changed = connections.filter((p) => !p.metadata?.deleted).map(mapPerson);
+
+    progress.totalSaved += await saveContacts(context, changed);
+    progress.totalDeleted += await markRemovedUpstream(db, userId, removedIds, syncTimestamp);
+
+    console.log(`Fetched page: ${connections.length} contacts (total: ${progress.totalFetched})`);
+    await onProgress(progress);
+  } while (pageToken);
+
+  return nextSyncToken;
+};
+
+/**
+ * Syncs contacts from Google People API into the database.
+ * The first sync (or one after the stored sync token expired) fetches every
+ * connection; later syncs only apply people added, changed or deleted since
+ * the last run. `onProgress` is awaited after every page.
+ *
+ * The stored sync token is only advanced when every batch was saved, so a
+ * partially failed run is retried in full next time.
+ */
+const runContactSync = async ({ db, userId, accessToken, forceFull = false, onProgress = async () => {} }) => {
+  const oauth2Client = new google.auth.OAuth2();
+  oauth2Client.setCredentials({ access_token: accessToken });
+
+  const people = google.people({
+    version: "v1",
+    auth: oauth2Client,
+  });
+
+  const [stateRows] = await db.execute(
+    `SELECT sync_token FROM contact_sync_state WHERE user_id = ?`,
+    [userId]
+  );
+  const storedToken = forceFull ? null : stateRows[0]?.sync_token || null;
+
+  // Whole seconds, so the stale-row comparison below matches what DATETIME stored
+  const syncTimestamp = new Date(Math.floor(Date.now() / 1000) * 1000);
+  const progress = {
+    mode: storedToken ? "incremental" : "full",
+    pagesFetched: 0,
+    totalFetched: 0,
+    totalSaved: 0,
+    totalDeleted: 0,
+    errors: [],
+  };
+  let nextSyncToken = null;
+
+  const labelIds = await syncContactGroups(people, db, userId);
+  const context = { people, db, userId, syncTimestamp, labelIds, progress, onProgress };
+
+  if (storedToken) {
+    try {
+      nextSyncToken = await fetchAndApply(context, storedToken);
+    } catch (error) {
+      if (!isExpiredSyncToken(error)) throw error;
+      console.warn("Stored sync token expired, falling back to full resync");
+      progress.mode = "full";
+      await onProgress(progress);
+    }
+  }
+
+  if (progress.mode === "full") {
+    nextSyncToken = await fetchAndApply(context, null);
+
+    // A full listing touches every contact still in Google, so anything
+    // not stamped by this run no longer exists there. Skipped when a batch
+    // failed, since its rows were never stamped.
+    if (progress.errors.length === 0) {
+      const [staleRows] = await db.execute(
+        `SELECT id FROM contacts
+         WHERE user_id = ?
+         AND google_contact_id IS NOT NULL
+         AND removed_upstream_at IS NULL
+         AND (last_synced_at IS NULL OR last_synced_at < ?)`,
+        [userId, syncTimestamp]
+      );
+      const removed = await markContactsRemoved(db, userId, staleRows.map((r) => r.id), syncTimestamp);
+      progress.totalDeleted += removed;
+      console.log(`Marked ${removed} stale contacts as removed upstream`);
+    }
+  }
+
+  if (progress.errors.length === 0) {
+    await db.execute(
+      `INSERT INTO contact_sync_state (user_id, sync_token, last_full_sync_at, last_sync_at)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         sync_token = VALUES(sync_token),
+         last_full_sync_at = COALESCE(VALUES(last_full_sync_at), last_full_sync_at),
+         last_sync_at = VALUES(last_sync_at)`,
+      [userId, nextSyncToken, progress.mode === "full" ? syncTimestamp : null, syncTimestamp]
+    );
+  }
+
+  console.log(`Contacts ${progress.mode} sync complete: ${progress.totalFetched} fetched`);
+  return { ...progress, syncedAt: syncTimestamp };
+};
+
+module.exports = {
+  PERSON_FIELDS,
+  mapPerson,
+  describeSyncError,
+  runContactSync,
+};
@@ -0,0 +1,212 @@
+// backend/services/contactSyncQueue.js
+
+const { runContactSync, describeSyncError } = require("./contactSync");
+const { getGoogleAccessToken } = require("./googleAuth");
+const { notifyUser } = require("./pushNotifications");
+const { leaseParams, findOrphanedJobs, failOrphanedJob, keepJobLeases } = require("./jobLease");
+
+// Jobs waiting to run in this process. Only one sync runs at a time so a
+// large account can't starve the database pool.
+const pending = [];
+let draining = false;
+
+/**
+ * Shapes a contact_sync_jobs row for API responses.
+ */
+const formatJob = (row) => {
+  let errors = [];
+  try {
+    errors = row.errors ? JSON.parse(row.errors) : [];
+  } catch (e) {
+    errors = [];
+  }
+
+  return {
+    id: row.id,
+    status: row.status,
+    mode: row.mode,
+    pagesFetched: row.pages_fetched,
+    contactsFetched: row.contacts_fetched,
+    contactsSaved: row.contacts_saved,
+    contactsDeleted: row.contacts_deleted,
+    errors,
+    error: row.error_code ? { code: row.error_code, message: row.error_message } : null,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+  };
+};
+
+const saveProgress = (db, jobId, progress) =>
+  db.execute(
+    `UPDATE contact_sync_jobs SET
+       mode = ?,
+       pages_fetched = ?,
+       contacts_fetched = ?,
+       contacts_saved = ?,
+       contacts_deleted = ?,
+       errors = ?
+     WHERE id = ?`,
+    [
+      progress.mode,
+      progress.pagesFetched,
+      progress.totalFetched,
+      progress.totalSaved,
+      progress.totalDeleted,
+      JSON.stringify(progress.errors),
+      jobId,
+    ]
+  );
+
+const runJob = async ({ jobId, db, userId, forceFull }) => {
+  console.log(`Contact sync job ${jobId}: starting for user ${userId}`);
+
+  try {
+    await db.execute(
+      `UPDATE contact_sync_jobs SET status = 'running', started_at = NOW() WHERE id = ?`,
+      [jobId]
+    );
+
+    // Resolved now rather than at enqueue time, which may be a while ago for a job that waited
+    const accessToken = await getGoogleAccessToken(db, userId);
+    const result = await runContactSync({
+      db,
+      userId,
+      accessToken,
+      forceFull,
+      onProgress: (progress) => saveProgress(db, jobId, progress),
+    });
+
+    await saveProgress(db, jobId, result);
+
+    if (result.errors.length > 0) {
+      await db.execute(
+        `UPDATE contact_sync_jobs SET
+           status = 'failed',
+           error_code = 'PARTIAL_SYNC',
+           error_message = ?,
+           finished_at = NOW()
+         WHERE id = ?`,
+        [`${result.errors.length} batch(es) could not be saved.`, jobId]
+      );
+      await notifyUser(db, userId, {
+        title: "Contact sync finished with errors",
+        body: `${result.totalSaved} contacts saved; ${result.errors.length} batch(es) could not be saved.`,
+        tag: "contact-sync",
+      });
+    } else {
+      await db.execute(
+        `UPDATE contact_sync_jobs SET status = 'succeeded', finished_at = NOW() WHERE id = ?`,
+        [jobId]
+      );
+      await notifyUser(db, userId, {
+        title: "Contacts synced",
+        body: `${result.totalSaved} contacts saved from Google.`,
+        tag: "contact-sync",
+      });
+    }
+    console.log(`Contact sync job ${jobId}: finished`);
+  } catch (error) {
+    console.error(`Contact sync job ${jobId} failed:`, error.message);
+    const { code, message } = describeSyncError(error);
+
+    try {
+      await db.execute(
+        `UPDATE contact_sync_jobs SET
+           status = 'failed',
+           error_code = ?,
+           error_message = ?,
+           finished_at = NOW()
+         WHERE id = ?`,
+        [code, message, jobId]
+      );
+    } catch (updateError) {
+      console.error(`Contact sync job ${jobId}: could not record failure:`, updateError.message);
+    }
+    await notifyUser(db, userId, { title: "Contact sync failed", body: message, tag: "contact-sync" });
+  }
+};
+
+const drain = async () => {
+  if (draining) return;
+  draining = true;
+
+  while (pending.length > 0) {
+    await runJob(pending.shift());
+  }
+
+  draining = false;
+};
+
+/**
+ * Queues a contact sync for the user and returns immediately. If the user
+ * already has a queued or running job, that job is returned instead.
+ */
+const enqueueContactSync = async (db, { userId, forceFull = false }) => {
+  const connection = await db.getConnection();
+  let jobId;
+
+  try {
+    await connection.beginTransaction();
+
+    // Locking the user row serializes enqueues for the user across instances,
+    // so two requests can't both find no active job and start two syncs
+    await connection.execute(`SELECT id FROM users WHERE id = ? FOR UPDATE`, [userId]);
+    const [active] = await connection.execute(
+      `SELECT * FROM contact_sync_jobs
+       WHERE user_id = ? AND status IN ('queued', 'running')
+       ORDER BY id DESC LIMIT 1`,
+      [userId]
+    );
+    if (active.length > 0) {
+      await connection.commit();
+      return { job: formatJob(active[0]), alreadyQueued: true };
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO contact_sync_jobs (user_id, status, mode, claimed_by, claimed_until)
+       VALUES (?, 'queued', ?, ?, NOW() + INTERVAL ? SECOND)`,
+      [userId, forceFull ? "full" : null, ...leaseParams()]
+    );
+    jobId = result.insertId;
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  pending.push({ jobId, db, userId, forceFull });
+  setImmediate(drain);
+
+  const [rows] = await db.execute(`SELECT * FROM contact_sync_jobs WHERE id = ?`, [jobId]);
+  return { job: formatJob(rows[0]), alreadyQueued: false };
+};
+
+/**
+ * Jobs still queued or running whose owning process stopped renewing their
+ * lease died with it; their in-memory state is gone, so mark them failed.
+ * Jobs of other live instances keep running.
+ */
+const recoverInterruptedJobs = async (db) => {
+  let failed = 0;
+  for (const jobId of await findOrphanedJobs(db, "contact_sync_jobs")) {
+    if (await failOrphanedJob(db, "contact_sync_jobs", jobId, "Sync was interrupted by a server restart.")) failed++;
+  }
+  if (failed > 0) {
+    console.warn(`Marked ${failed} interrupted contact sync job(s) as failed`);
+  }
+};
+
+/**
+ * Keeps this process's sync jobs leased and fails orphaned ones as they expire.
+ */
+const startSyncJobLeases = (db) => keepJobLeases(db, "contact_sync_jobs", recoverInterruptedJobs);
+
+module.exports = {
+  formatJob,
+  enqueueContactSync,
+  recoverInterruptedJobs,
+  startSyncJobLeases,
+};
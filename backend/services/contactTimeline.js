@@ -0,0 +1,223 @@
+// backend/services/contactTimeline.js
+
+const { google } = require("googleapis");
+const { describeSyncError } = require("./contactSync");
+
+const TIMELINE_TYPES = ["email", "event", "note", "reminder"];
+const MAX_EMAIL_ADDRESSES = 20;
+const MAX_GMAIL_PAGES = 5;
+
+const EVENT_TITLES = {
+  created: "Contact created",
+  updated: "Contact updated",
+  removed_upstream: "Removed from Google",
+  restored: "Restored after removal from Google",
+  merged: "Duplicates merged into this contact",
+  imported: "Imported from file",
+};
+
+/**
+ * Timeline order: newest first, ties broken by type then id, both descending.
+ */
+const compareItems = (a, b) => {
+  if (a.date.getTime() !== b.date.getTime()) return b.date - a.date;
+  if (a.type !== b.type) return a.type < b.type ? 1 : -1;
+  if (a.id === b.id) return 0;
+  return typeof a.id === "number" ? b.id - a.id : a.id < b.id ? 1 : -1;
+};
+
+const encodeCursor = (item) =>
+  Buffer.from(JSON.stringify({ d: item.date.toISOString(), t: item.type, i: item.id })).toString("base64url");
+
+/**
+ * Decodes a timeline cursor into { date, type, id }, or returns null if
+ * it is malformed.
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { d, t, i } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    const date = new Date(d);
+    if (isNaN(date) || !TIMELINE_TYPES.includes(t) || i === undefined) return null;
+    return { date, type: t, id: i };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * SQL condition selecting a source's rows that come after the cursor.
+ * Rows of a type sorting before the cursor's type may share its date.
+ */
+const afterCursor = (cursor, type, dateExpr, idExpr) => {
+  if (!cursor) return { sql: "", params: [] };
+  if (type < cursor.type) return { sql: `AND ${dateExpr} <= ?`, params: [cursor.date] };
+  if (type > cursor.type) return { sql: `AND ${dateExpr} < ?`, params: [cursor.date] };
+  return {
+    sql: `AND (${dateExpr} < ? OR (${dateExpr} = ? AND ${idExpr} < ?))`,
+    params: [cursor.date, cursor.date, cursor.id],
+  };
+};
+
+const loadNotes = async (db, { userId, contact, cursor, limit }) => {
+  const after = afterCursor(cursor, "note", "n.created_at", "n.id");
+  const [rows] = await db.execute(
+    `SELECT n.id, n.title, n.content, n.created_at, n.updated_at, nc.source
+     FROM notes n
+     JOIN note_contacts nc ON nc.note_id = n.id
+     WHERE n.user_id = ? AND nc.contact_id = ? ${after.sql}
+     ORDER BY n.created_at DESC, n.id DESC
+     LIMIT ${limit}`,
+    [userId, contact.id, ...after.params]
+  );
+
+  return rows.map((r) => ({
+    type: "note",
+    id: r.id,
+    date: new Date(r.created_at),
+    title: r.title,
+    summary: r.content,
+    data: { linkedBy: r.source, updatedAt: r.updated_at },
+  }));
+};
+
+const loadReminders = async (db, { userId, contact, cursor, limit }) => {
+  const after = afterCursor(cursor, "reminder", "COALESCE(due_date, created_at)", "id");
+  const [rows] = await db.execute(
+    `SELECT id, title, description, due_date, completed, created_at,
+       COALESCE(due_date, created_at) AS timeline_date
+     FROM reminders
+     WHERE user_id = ? AND contact_id = ? ${after.sql}
+     ORDER BY timeline_date DESC, id DESC
+     LIMIT ${limit}`,
+    [userId, contact.id, ...after.params]
+  );
+
+  return rows.map((r) => ({
+    type: "reminder",
+    id: r.id,
+    date: new Date(r.timeline_date),
+    title: r.title,
+    summary: r.description,
+    data: { dueDate: r.due_date, completed: Boolean(r.completed), createdAt: r.created_at },
+  }));
+};
+
+const loadEvents = async (db, { userId, contact, cursor, limit }) => {
+  const after = afterCursor(cursor, "event", "created_at", "id");
+  const [rows] = await db.execute(
+    `SELECT id, type, source, details, created_at
+     FROM contact_events
+     WHERE user_id = ? AND contact_id = ? ${after.sql}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${limit}`,
+    [userId, contact.id, ...after.params]
+  );
+
+  return rows.map((r) => ({
+    type: "event",
+    id: r.id,
+    date: new Date(r.created_at),
+    title: EVENT_TITLES[r.type] || r.type,
+    summary: null,
+    data: { event: r.type, source: r.source, details: r.details ? JSON.parse(r.details) : null },
+  }));
+};
+
+/**
+ * Loads Gmail messages sent to or received from any of the contact's
+ * addresses. Gmail's `before:` only has second precision, so pages are
+ * filtered against the cursor here.
+ */
+const loadEmails = async (db, { emails, accessToken, cursor, limit }) => {
+  const addresses = [...new Set(emails.map((e) => e.toLowerCase()))].slice(0, MAX_EMAIL_ADDRESSES);
+  if (addresses.length === 0) return [];
+
+  const oauth2Client = new google.auth.OAuth2();
+  oauth2Client.setCredentials({ access_token: accessToken });
+  const gmail = google.gmail({ version: "v1", auth: oauth2Client });
+
+  let q = `{${addresses.flatMap((a) => [`from:${a}`, `to:${a}`, `cc:${a}`]).join(" ")}}`;
+  if (cursor) q += ` before:${Math.floor(cursor.date.getTime() / 1000) + 1}`;
+
+  const items = [];
+  let pageToken;
+  for (let page = 0; page < MAX_GMAIL_PAGES && items.length < limit; page++) {
+    const { data } = await gmail.users.messages.list({ userId: "me", q, maxResults: limit, pageToken });
+
+    const messages = await Promise.all(
+      (data.messages || []).map(async (msg) => {
+        const { data: message } = await gmail.users.messages.get({
+          userId: "me",
+          id: msg.id,
+          format: "metadata",
+          metadataHeaders: ["From", "To", "Subject"],
+        });
+        const headers = message.payload?.headers || [];
+        const getHeader = (name) => headers.find((h) => h.name === name)?.value || "";
+
+        return {
+          type: "email",
+          id: message.id,
+          date: new Date(Number(message.internalDate)),
+          title: getHeader("Subject"),
+          summary: message.snippet || "",
+          data: {
+            threadId: message.threadId,
+            from: getHeader("From"),
+            to: getHeader("To"),
+            direction: (message.labelIds || []).includes("SENT") ? "sent" : "received",
+          },
+        };
+      })
+    );
+
+    items.push(...messages.filter((m) => !cursor || compareItems(cursor, m) < 0));
+    pageToken = data.nextPageToken;
+    if (!pageToken) break;
+  }
+
+  return items;
+};
+
+/**
+ * Builds one page of a contact's timeline: linked notes and reminders, Gmail
+ * messages exchanged with any of the contact's addresses, and the contact's
+ * edit/sync events, newest first.
+ * Returns { items, nextCursor, warnings }; a source that fails (e.g. Gmail
+ * without a valid token) is reported in `warnings` instead of failing the page.
+ */
+const loadTimeline = async (db, { userId, contact, emails, accessToken, types, cursor, limit }) => {
+  const sources = { note: loadNotes, reminder: loadReminders, event: loadEvents, email: loadEmails };
+  const warnings = [];
+  const options = { userId, contact, emails, accessToken, cursor, limit: limit + 1 };
+
+  const results = await Promise.all(
+    types.map(async (type) => {
+      if (type === "email" && !accessToken) {
+        warnings.push({ type, error: "GOOGLE_AUTH_REQUIRED", message: "Not authenticated with Google." });
+        return [];
+      }
+      try {
+        return await sources[type](db, options);
+      } catch (error) {
+        if (type !== "email") throw error;
+        console.error("Failed to load Gmail messages for timeline:", error.message);
+        const { code, message } = describeSyncError(error);
+        warnings.push({ type, error: code, message });
+        return [];
+      }
+    })
+  );
+
+  const merged = results.flat().sort(compareItems);
+  const items = merged.slice(0, limit);
+  const hasMore = merged.length > limit;
+
+  return { items, hasMore, nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null, warnings };
+};
+
+module.exports = {
+  TIMELINE_TYPES,
+  decodeCursor,
+  loadTimeline,
+};
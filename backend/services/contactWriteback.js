@@ -0,0 +1,285 @@
+// backend/services/contactWriteback.js
+
+const { google } = require("googleapis");
+const { toE164 } = require("../utils/phone");
+const { loadContactDetails, replaceContactDetails, toEntryShape } = require("./contactDetails");
+const { PERSON_FIELDS, mapPerson, describeSyncError } = require("./contactSync");
+const { refreshSearchIndex } = require("./contactSearch");
+const { recordContactEvents } = require("./contactEvents");
+
+// Contact columns that live in Google, and the person fields they map to
+const GOOGLE_FIELDS = {
+  name: "names",
+  email: "emailAddresses",
+  phone: "phoneNumbers",
+  company: "organizations",
+  job_title: "organizations",
+};
+
+const writebackError = (status, code, message, data) =>
+  Object.assign(new Error(message), { status, code, data });
+
+const peopleClient = (accessToken) => {
+  const oauth2Client = new google.auth.OAuth2();
+  oauth2Client.setCredentials({ access_token: accessToken });
+  return google.people({ version: "v1", auth: oauth2Client });
+};
+
+const googleStatus = (error) => error.code || error.response?.status;
+
+/**
+ * Google rejects a write whose etag no longer matches with 400
+ * FAILED_PRECONDITION (occasionally 409).
+ */
+const isEtagConflict = (error) => {
+  const status = googleStatus(error);
+  const apiStatus = error.response?.data?.error?.status;
+  return status === 409 || (status === 400 && (apiStatus === "FAILED_PRECONDITION" || /etag/i.test(error.message || "")));
+};
+
+/**
+ * Wraps a People API failure in an error carrying the HTTP status and error
+ * code to send to the client.
+ */
+const googleWriteError = (error) => {
+  const status = googleStatus(error);
+  const { code, message } = describeSyncError(error);
+  if ([401, 403, 429].includes(status)) return writebackError(status, code, message);
+  return writebackError(502, "GOOGLE_WRITE_FAILED", error.message || "Failed to save the contact in Google.");
+};
+
+const editableValues = (contact) => ({
+  name: contact.name ?? null,
+  email: contact.email ?? null,
+  phone: contact.phone ?? null,
+  company: contact.company ?? null,
+  job_title: contact.job_title ?? contact.jobTitle ?? null,
+});
+
+/**
+ * Replaces the primary entry of a list with `entry`, or removes it when
+ * `entry` is null. The primary entry is kept first since Google treats the
+ * first entry as primary.
+ */
+const replacePrimary = (entries, entry) => {
+  const index = Math.max(0, entries.findIndex((e) => e.primary));
+  const rest = entries.filter((_, i) => i !== index).map((e) => ({ ...e, primary: false }));
+  if (!entry) return rest.map((e, i) => ({ ...e, primary: i === 0 }));
+  return [{ type: null, ...entries[index], ...entry, primary: true }, ...rest];
+};
+
+/**
+ * Applies edits of the flat email, phone, company and job_title columns to
+ * the contact's details (mapPersonDetails shape).
+ */
+const applyEdits = (details, edits) => {
+  const next = { ...details };
+
+  if (edits.email !== undefined) {
+    next.emails = replacePrimary(details.emails, edits.email ? { value: edits.email } : null);
+  }
+  if (edits.phone !== undefined) {
+    next.phones = replacePrimary(
+      details.phones,
+      edits.phone ? { value: edits.phone, canonicalValue: toE164(edits.phone) } : null
+    );
+  }
+  if (edits.company !== undefined || edits.job_title !== undefined) {
+    const current = details.organizations.find((o) => o.primary) || details.organizations[0] || {};
+    const name = edits.company !== undefined ? edits.company : current.name;
+    const title = edits.job_title !== undefined ? edits.job_title : current.title;
+    next.organizations = replacePrimary(
+      details.organizations,
+      name || title ? { name: name || null, title: title || null, department: current.department || null } : null
+    );
+  }
+
+  return next;
+};
+
+/**
+ * Builds the People API person body for the given fields.
+ */
+const toPersonBody = (name, details) => ({
+  names: name ? [{ unstructuredName: name }] : [],
+  emailAddresses: details.emails.map((e) => ({ value: e.value, type: e.type || undefined })),
+  phoneNumbers: details.phones.map((p) => ({ value: p.value, type: p.type || undefined })),
+  organizations: details.organizations.map((o) => ({
+    name: o.name || undefined,
+    title: o.title || undefined,
+    department: o.department || undefined,
+    type: o.type || undefined,
+  })),
+});
+
+/**
+ * Stores the person Google returned after a write: flat columns, etag and
+ * child rows. Local notes and favorites are left alone.
+ */
+const saveRemotePerson = async (db, contactId, person) => {
+  const mapped = mapPerson(person);
+
+  await db.execute(
+    `UPDATE contacts SET
+       name = ?, email = ?, phone = ?, photo_url = ?, company = ?, job_title = ?,
+       etag = ?, last_synced_at = NOW(), updated_at = NOW()
+     WHERE id = ?`,
+    [mapped.name, mapped.email, mapped.phone, mapped.photoUrl, mapped.company, mapped.jobTitle, mapped.etag, contactId]
+  );
+  await replaceContactDetails(db, [{ contactId, details: mapped.details }]);
+  await refreshSearchIndex(db, [contactId]);
+};
+
+/**
+ * Builds the 409 conflict error for a contact whose Google copy changed
+ * since the last sync. The payload carries both versions and the fields
+ * that differ so the client can show them side by side.
+ */
+const conflictError = async (people, contact) => {
+  let remote = null;
+  let remoteEtag = null;
+
+  try {
+    const { data } = await people.people.get({ resourceName: contact.google_contact_id, personFields: PERSON_FIELDS });
+    remote = editableValues(mapPerson(data));
+    remoteEtag = data.etag || null;
+  } catch (error) {
+    if (googleStatus(error) !== 404) throw googleWriteError(error);
+  }
+
+  const local = editableValues(contact);
+  const data = {
+    contactId: contact.id,
+    googleContactId: contact.google_contact_id,
+    localEtag: contact.etag,
+    remoteEtag,
+    deletedUpstream: remote === null,
+    local,
+    remote,
+    conflictingFields: remote ? Object.keys(local).filter((k) => (local[k] || null) !== (remote[k] || null)) : [],
+  };
+
+  return writebackError(
+    409,
+    "CONTACT_CONFLICT",
+    remote
+      ? "This contact was changed in Google since it was last synced. Sync and try again."
+      : "This contact was deleted in Google since it was last synced.",
+    data
+  );
+};
+
+/**
+ * Creates a contact in Google and stores it locally.
+ * `fields` holds name, email, phone, company and job_title plus the local
+ * notes and is_favorite. Returns the new contact id.
+ */
+const createContact = async (db, userId, accessToken, fields) => {
+  const people = peopleClient(accessToken);
+  const details = applyEdits({ emails: [], phones: [], addresses: [], organizations: [] }, fields);
+
+  let person;
+  try {
+    ({ data: person } = await people.people.createContact({
+      personFields: PERSON_FIELDS,
+      requestBody: toPersonBody(fields.name, details),
+    }));
+  } catch (error) {
+    throw googleWriteError(error);
+  }
+
+  const [result] = await db.execute(
+    `INSERT INTO contacts (user_id, google_contact_id, notes, is_favorite)
+     VALUES (?, ?, ?, ?)`,
+    [userId, person.resourceName, fields.notes ?? null, Boolean(fields.is_favorite)]
+  );
+  await saveRemotePerson(db, result.insertId, person);
+  await recordContactEvents(db, [{ userId, contactId: result.insertId, type: "created", source: "local" }]);
+
+  return result.insertId;
+};
+
+/**
+ * Applies edits of Google-backed fields to a contact row. Google contacts
+ * are updated in Google first, using the stored etag; a stale etag raises
+ * a CONTACT_CONFLICT error and nothing is changed. Contacts that only exist
+ * locally (imported ones) are updated in place.
+ */
+const updateContact = async (db, accessToken, contact, edits) => {
+  const details = toEntryShape((await loadContactDetails(db, [contact.id])).get(contact.id));
+  const nextDetails = applyEdits(details, edits);
+  const name = edits.name !== undefined ? edits.name : contact.name;
+
+  if (!contact.google_contact_id) {
+    const values = editableValues({ ...contact, ...edits });
+    await db.execute(
+      `UPDATE contacts SET name = ?, email = ?, phone = ?, company = ?, job_title = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [name, values.email, values.phone, values.company, values.job_title, contact.id]
+    );
+    await replaceContactDetails(db, [{ contactId: contact.id, details: nextDetails }]);
+    await refreshSearchIndex(db, [contact.id]);
+    return;
+  }
+
+  if (!contact.etag) {
+    throw writebackError(409, "SYNC_REQUIRED", "Sync contacts before editing this contact.");
+  }
+
+  const people = peopleClient(accessToken);
+  const updatePersonFields = [...new Set(Object.keys(edits).map((k) => GOOGLE_FIELDS[k]))];
+
+  let person;
+  try {
+    ({ data: person } = await people.people.updateContact({
+      resourceName: contact.google_contact_id,
+      updatePersonFields: updatePersonFields.join(","),
+      personFields: PERSON_FIELDS,
+      requestBody: { etag: contact.etag, ...toPersonBody(name, nextDetails) },
+    }));
+  } catch (error) {
+    if (isEtagConflict(error) || googleStatus(error) === 404) throw await conflictError(people, contact);
+    throw googleWriteError(error);
+  }
+
+  await saveRemotePerson(db, contact.id, person);
+};
+
+/**
+ * Deletes a contact in Google (if it came from Google) and locally.
+ * Google's delete takes no etag, so the current etag is compared first and
+ * a mismatch raises CONTACT_CONFLICT. A person already gone from Google is
+ * just deleted locally.
+ */
+const deleteContact = async (db, accessToken, contact) => {
+  if (contact.google_contact_id) {
+    const people = peopleClient(accessToken);
+
+    let current = null;
+    try {
+      // Etags depend on the field mask, so read with the one the stored etag came from
+      ({ data: current } = await people.people.get({ resourceName: contact.google_contact_id, personFields: PERSON_FIELDS }));
+    } catch (error) {
+      if (googleStatus(error) !== 404) throw googleWriteError(error);
+    }
+
+    if (current) {
+      if (contact.etag && current.etag !== contact.etag) throw await conflictError(people, contact);
+
+      try {
+        await people.people.deleteContact({ resourceName: contact.google_contact_id });
+      } catch (error) {
+        if (googleStatus(error) !== 404) throw googleWriteError(error);
+      }
+    }
+  }
+
+  await db.execute(`DELETE FROM contacts WHERE id = ?`, [contact.id]);
+};
+
+module.exports = {
+  GOOGLE_FIELDS,
+  createContact,
+  updateContact,
+  deleteContact,
+};
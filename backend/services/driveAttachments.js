@@ -0,0 +1,247 @@
+// backend/services/driveAttachments.js
+
+const { google } = require("googleapis");
+const { getGoogleAccessToken } = require("./googleAuth");
+
+const DRIVE_FIELDS = "id, name, mimeType, webViewLink, iconLink, trashed";
+const ATTACHMENT_COLUMNS = `id, note_id, contact_id, drive_file_id, name, mime_type, web_view_link, icon_link,
+  status, checked_at, created_at`;
+// Attachments are re-checked against Drive when their last check is older than this
+const STALE_HOURS = 24;
+const CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const CHECK_BATCH_SIZE = 200;
+
+const driveError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+const driveClient = (accessToken) => {
+  const auth = new google.auth.OAuth2();
+  auth.setCredentials({ access_token: accessToken });
+  return google.drive({ version: "v3", auth });
+};
+
+/**
+ * Accepts a Drive file id or a Drive/Docs link ("/d/<id>/" or "?id=<id>")
+ * and returns the file id, or null.
+ */
+const parseDriveFileId = (value) => {
+  if (typeof value !== "string") return null;
+  const text = value.trim();
+  const fromLink = text.match(/\/d\/([\w-]+)/) || text.match(/[?&]id=([\w-]+)/);
+  if (fromLink) return fromLink[1];
+  return /^[\w-]+$/.test(text) ? text : null;
+};
+
+// Attachments belong to either a note ({ noteId }) or a contact ({ contactId })
+const ownerColumn = (owner) => (owner.noteId !== undefined ? ["note_id", owner.noteId] : ["contact_id", owner.contactId]);
+
+/**
+ * Maps a Drive error for one file to an attachment status. Drive answers 404
+ * both when a file was deleted and when it is no longer shared with the
+ * user, so both count as "deleted". 403s about the file itself make it
+ * "inaccessible"; rate limits, scope problems and outages return null.
+ */
+const statusFromError = (error) => {
+  const status = error.code || error.response?.status;
+  const reason = error.errors?.[0]?.reason || "";
+  if (status === 404) return "deleted";
+  if (status === 403 && !/rateLimitExceeded|insufficientPermissions/i.test(reason)) return "inaccessible";
+  return null;
+};
+
+/**
+ * Looks up a Drive file the user wants to attach. Throws
+ * DRIVE_FILE_NOT_FOUND (400) for files that don't exist or aren't shared
+ * with the user, and maps auth, permission and rate limit errors.
+ */
+const fetchDriveFile = async (accessToken, fileId) => {
+  try {
+    const { data } = await driveClient(accessToken).files.get({
+      fileId,
+      fields: DRIVE_FIELDS,
+      supportsAllDrives: true,
+    });
+    return data;
+  } catch (error) {
+    const status = error.code || error.response?.status;
+    if (status === 404) throw driveError(400, "DRIVE_FILE_NOT_FOUND", "Drive file not found or not shared with you.");
+    if (status === 401) throw driveError(401, "GOOGLE_TOKEN_EXPIRED", "Google access token expired. Please re-authenticate.");
+    if (status === 403) throw driveError(403, "DRIVE_PERMISSION_DENIED", "Permission denied. Please grant Drive access.");
+    if (status === 429) throw driveError(429, "RATE_LIMIT_EXCEEDED", "Too many requests. Please try again later.");
+    throw driveError(502, "DRIVE_FAILED", error.message || "Failed to read the file from Google Drive.");
+  }
+};
+
+/**
+ * Attaches a Drive file to a note or contact, storing its current name,
+ * type and link. Attaching the same file again refreshes those instead.
+ * Returns the attachment row.
+ */
+const addAttachment = async (db, accessToken, userId, owner, fileId) => {
+  const file = await fetchDriveFile(accessToken, fileId);
+  const [column, ownerId] = ownerColumn(owner);
+
+  await db.execute(
+    `INSERT INTO drive_attachments
+       (user_id, ${column}, drive_file_id, name, mime_type, web_view_link, icon_link, status, checked_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE
+       name = VALUES(name),
+       mime_type = VALUES(mime_type),
+       web_view_link = VALUES(web_view_link),
+       icon_link = VALUES(icon_link),
+       status = VALUES(status),
+       checked_at = VALUES(checked_at)`,
+    [
+      userId,
+      ownerId,
+      file.id,
+      file.name,
+      file.mimeType,
+      file.webViewLink || null,
+      file.iconLink || null,
+      file.trashed ? "trashed" : "ok",
+    ]
+  );
+
+  const [rows] = await db.execute(
+    `SELECT ${ATTACHMENT_COLUMNS} FROM drive_attachments WHERE ${column} = ? AND drive_file_id = ?`,
+    [ownerId, file.id]
+  );
+  return rows[0];
+};
+
+/**
+ * Removes an attachment from a note or contact. Returns false if it wasn't there.
+ */
+const removeAttachment = async (db, owner, attachmentId) => {
+  const [column, ownerId] = ownerColumn(owner);
+  const [result] = await db.execute(`DELETE FROM drive_attachments WHERE id = ? AND ${column} = ?`, [
+    attachmentId,
+    ownerId,
+  ]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Loads the attachments of the given notes ({ noteIds }) or contacts
+ * ({ contactIds }). Returns a Map of owner id -> [attachment].
+ */
+const loadAttachments = async (db, { noteIds, contactIds }) => {
+  const [column, ids] = noteIds ? ["note_id", noteIds] : ["contact_id", contactIds];
+  const byOwner = new Map(ids.map((id) => [id, []]));
+  if (ids.length === 0) return byOwner;
+
+  const [rows] = await db.execute(
+    `SELECT ${ATTACHMENT_COLUMNS} FROM drive_attachments
+     WHERE ${column} IN (${ids.map(() => "?").join(", ")})
+     ORDER BY created_at ASC`,
+    ids
+  );
+  rows.forEach((row) => byOwner.get(row[column])?.push(row));
+  return byOwner;
+};
+
+/**
+ * Re-checks attachment rows against Drive and stores their status: "ok",
+ * "trashed", "deleted" (gone or unshared) or "inaccessible". Names and
+ * links of available files are refreshed. Rows whose check fails for
+ * another reason (rate limits, outages) keep their previous status; an
+ * expired token aborts with GOOGLE_TOKEN_EXPIRED. Returns the updated rows.
+ */
+const refreshAttachments = async (db, accessToken, attachments) => {
+  const drive = driveClient(accessToken);
+  const refreshed = [];
+
+  for (const attachment of attachments) {
+    let update;
+    try {
+      const { data } = await drive.files.get({
+        fileId: attachment.drive_file_id,
+        fields: DRIVE_FIELDS,
+        supportsAllDrives: true,
+      });
+      update = {
+        name: data.name,
+        mime_type: data.mimeType,
+        web_view_link: data.webViewLink || null,
+        icon_link: data.iconLink || null,
+        status: data.trashed ? "trashed" : "ok",
+      };
+    } catch (error) {
+      if ((error.code || error.response?.status) === 401) {
+        throw driveError(401, "GOOGLE_TOKEN_EXPIRED", "Google access token expired. Please re-authenticate.");
+      }
+      const status = statusFromError(error);
+      if (!status) {
+        console.error(`Failed to check Drive attachment ${attachment.id}:`, error.message);
+        refreshed.push(attachment);
+        continue;
+      }
+      update = { status };
+    }
+
+    const checked = { ...attachment, ...update, checked_at: new Date() };
+    await db.execute(
+      `UPDATE drive_attachments SET
+         name = ?, mime_type = ?, web_view_link = ?, icon_link = ?, status = ?, checked_at = ?
+       WHERE id = ?`,
+      [checked.name, checked.mime_type, checked.web_view_link, checked.icon_link, checked.status, checked.checked_at, attachment.id]
+    );
+    refreshed.push(checked);
+  }
+
+  return refreshed;
+};
+
+/**
+ * Re-checks attachments not checked in STALE_HOURS, user by user, with
+ * tokens refreshed from the stored refresh token. Users who need to sign in
+ * again are skipped until they do.
+ */
+const checkStaleAttachments = async (db) => {
+  const [rows] = await db.execute(
+    `SELECT ${ATTACHMENT_COLUMNS}, user_id FROM drive_attachments
+     WHERE checked_at IS NULL OR checked_at < NOW() - INTERVAL ? HOUR
+     ORDER BY checked_at ASC
+     LIMIT ?`,
+    [STALE_HOURS, CHECK_BATCH_SIZE]
+  );
+
+  const byUser = new Map();
+  rows.forEach((row) => byUser.set(row.user_id, [...(byUser.get(row.user_id) || []), row]));
+
+  for (const [userId, attachments] of byUser) {
+    try {
+      await refreshAttachments(db, await getGoogleAccessToken(db, userId), attachments);
+    } catch (error) {
+      console.error(`Failed to check Drive attachments for user ${userId}:`, error.message);
+      // Push them back a full interval so they don't crowd out other users' attachments
+      await db.execute(
+        `UPDATE drive_attachments SET checked_at = NOW() WHERE id IN (${attachments.map(() => "?").join(", ")})`,
+        attachments.map((a) => a.id)
+      );
+    }
+  }
+  return rows.length;
+};
+
+/**
+ * Runs the stale attachment check now and then every CHECK_INTERVAL_MS.
+ */
+const startAttachmentCheck = (db) => {
+  const run = () =>
+    checkStaleAttachments(db).catch((error) => console.error("Failed to check Drive attachments:", error.message));
+
+  run();
+  setInterval(run, CHECK_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  STALE_HOURS,
+  parseDriveFileId,
+  addAttachment,
+  removeAttachment,
+  loadAttachments,
+  refreshAttachments,
+  startAttachmentCheck,
+};
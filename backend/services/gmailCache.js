@@ -0,0 +1,387 @@
+// backend/services/gmailCache.js
+
+const { headerValue } = require("../utils/mime");
+const { gmailClient, toGmailError } = require("./gmailMessages");
+
+// A rebuild caches this many of the newest messages; older mail is listed live from Gmail
+const CACHE_LIMIT = Number(process.env.GMAIL_CACHE_LIMIT) || 1000;
+// Lists within this long of the last sync are served without asking Gmail for changes
+const SYNC_INTERVAL_MS = 30 * 1000;
+// messages.get calls in flight at once while fetching metadata
+const FETCH_CONCURRENCY = 10;
+const LIST_PAGE_SIZE = 500;
+const INSERT_BATCH_SIZE = 200;
+const METADATA_HEADERS = ["From", "Subject", "Date"];
+
+// Syncs in progress, by user, so concurrent list requests share one
+const running = new Map();
+
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+const statusOf = (error) => error.response?.status || Number(error.code);
+
+/**
+ * Fetches the list metadata of messages by id. Messages deleted in the
+ * meantime are left out.
+ */
+const fetchMetadata = async (gmail, ids) => {
+  const messages = await mapWithConcurrency(ids, FETCH_CONCURRENCY, async (id) => {
+    try {
+      const { data } = await gmail.users.messages.get({
+        userId: "me",
+        id,
+        format: "metadata",
+        metadataHeaders: METADATA_HEADERS,
+      });
+      const headers = data.payload?.headers || [];
+      return {
+        id: data.id,
+        threadId: data.threadId,
+        labelIds: data.labelIds || [],
+        from: headerValue(headers, "From"),
+        subject: headerValue(headers, "Subject"),
+        date: headerValue(headers, "Date"),
+        snippet: data.snippet || "",
+        internalDate: Number(data.internalDate) || 0,
+      };
+    } catch (error) {
+      if (statusOf(error) === 404) return null;
+      throw error;
+    }
+  });
+  return messages.filter(Boolean);
+};
+
+const setLabels = async (db, userId, labelsById) => {
+  const ids = [...labelsById.keys()];
+  for (let i = 0; i < ids.length; i += INSERT_BATCH_SIZE) {
+    const batch = ids.slice(i, i + INSERT_BATCH_SIZE);
+    await db.execute(
+      `DELETE FROM gmail_message_labels WHERE user_id = ? AND message_id IN (${batch.map(() => "?").join(", ")})`,
+      [userId, ...batch]
+    );
+    const rows = batch.flatMap((id) => labelsById.get(id).map((labelId) => [userId, id, labelId]));
+    if (rows.length > 0) {
+      await db.execute(
+        `INSERT INTO gmail_message_labels (user_id, message_id, label_id) VALUES ${rows.map(() => "(?, ?, ?)").join(", ")}`,
+        rows.flat()
+      );
+    }
+  }
+};
+
+const saveMessages = async (db, userId, messages) => {
+  for (let i = 0; i < messages.length; i += INSERT_BATCH_SIZE) {
+    const batch = messages.slice(i, i + INSERT_BATCH_SIZE);
+    await db.execute(
+      `INSERT INTO gmail_messages (user_id, message_id, thread_id, from_header, subject, date_header, snippet, internal_date)
+       VALUES ${batch.map(() => "(?, ?, ?, ?, ?, ?, ?, ?)").join(", ")}
+       ON DUPLICATE KEY UPDATE
+         thread_id = VALUES(thread_id),
+         from_header = VALUES(from_header),
+         subject = VALUES(subject),
+         date_header = VALUES(date_header),
+         snippet = VALUES(snippet),
+         internal_date = VALUES(internal_date)`,
+      batch.flatMap((m) => [userId, m.id, m.threadId, m.from, m.subject, m.date, m.snippet, m.internalDate])
+    );
+  }
+  await setLabels(db, userId, new Map(messages.map((m) => [m.id, m.labelIds])));
+};
+
+const deleteMessages = async (db, userId, ids) => {
+  for (let i = 0; i < ids.length; i += INSERT_BATCH_SIZE) {
+    const batch = ids.slice(i, i + INSERT_BATCH_SIZE);
+    const placeholders = batch.map(() => "?").join(", ");
+    await db.execute(`DELETE FROM gmail_message_labels WHERE user_id = ? AND message_id IN (${placeholders})`, [
+      userId,
+      ...batch,
+    ]);
+    await db.execute(`DELETE FROM gmail_messages WHERE user_id = ? AND message_id IN (${placeholders})`, [
+      userId,
+      ...batch,
+    ]);
+  }
+};
+
+const saveState = (db, userId, { historyId, oldestInternalDate, complete, full }) =>
+  db.execute(
+    `INSERT INTO gmail_sync_state
+       (user_id, history_id, oldest_internal_date, complete, includes_spam_trash, last_full_sync_at, last_sync_at)
+     VALUES (?, ?, ?, ?, ${full ? "TRUE" : "FALSE"}, ${full ? "NOW()" : "NULL"}, NOW())
+     ON DUPLICATE KEY UPDATE
+       history_id = VALUES(history_id),
+       oldest_internal_date = VALUES(oldest_internal_date),
+       complete = VALUES(complete),
+       includes_spam_trash = ${full ? "TRUE" : "includes_spam_trash"},
+       last_full_sync_at = ${full ? "NOW()" : "last_full_sync_at"},
+       last_sync_at = NOW()`,
+    [userId, historyId, oldestInternalDate, complete]
+  );
+
+/**
+ * Rebuilds the user's cache from the newest CACHE_LIMIT messages. Spam and
+ * trash are cached too, so they can be listed by label and messages moved
+ * out of them are already known; unlabelled listings leave them out. The
+ * history id is read first, so changes made while listing are picked up by
+ * the next incremental sync.
+ */
+const rebuildCache = async (gmail, db, userId) => {
+  const { data: profile } = await gmail.users.getProfile({ userId: "me" });
+
+  const ids = [];
+  let pageToken;
+  let complete = false;
+  while (ids.length < CACHE_LIMIT) {
+    const { data } = await gmail.users.messages.list({
+      userId: "me",
+      maxResults: Math.min(LIST_PAGE_SIZE, CACHE_LIMIT - ids.length),
+      includeSpamTrash: true,
+      pageToken,
+    });
+    ids.push(...(data.messages || []).map((m) => m.id));
+    pageToken = data.nextPageToken;
+    if (!pageToken) {
+      complete = true;
+      break;
+    }
+  }
+
+  const messages = await fetchMetadata(gmail, ids);
+  const oldestInternalDate =
+    complete || messages.length === 0 ? null : Math.min(...messages.map((m) => m.internalDate));
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.execute(`DELETE FROM gmail_message_labels WHERE user_id = ?`, [userId]);
+    await connection.execute(`DELETE FROM gmail_messages WHERE user_id = ?`, [userId]);
+    await saveMessages(connection, userId, messages);
+    await saveState(connection, userId, { historyId: profile.historyId, oldestInternalDate, complete, full: true });
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  console.log(`Gmail cache for user ${userId}: rebuilt with ${messages.length} messages`);
+};
+
+/**
+ * Applies the mailbox history since `state.history_id`: new messages are
+ * fetched, deleted ones dropped and label changes applied in order. Throws
+ * Gmail's 404 when the history id is too old to resume from.
+ */
+const applyHistory = async (gmail, db, userId, state) => {
+  const added = new Set();
+  const deleted = new Set();
+  const labels = new Map();
+  let historyId = state.history_id;
+  let pageToken;
+
+  do {
+    const { data } = await gmail.users.history.list({
+      userId: "me",
+      startHistoryId: state.history_id,
+      historyTypes: ["messageAdded", "messageDeleted", "labelAdded", "labelRemoved"],
+      maxResults: LIST_PAGE_SIZE,
+      pageToken,
+    });
+
+    for (const record of data.history || []) {
+      for (const { message } of record.messagesAdded || []) {
+        added.add(message.id);
+        deleted.delete(message.id);
+      }
+      for (const { message } of record.messagesDeleted || []) {
+        deleted.add(message.id);
+        added.delete(message.id);
+        labels.delete(message.id);
+      }
+      for (const { message } of [...(record.labelsAdded || []), ...(record.labelsRemoved || [])]) {
+        if (!deleted.has(message.id)) labels.set(message.id, message.labelIds || []);
+      }
+    }
+    historyId = data.historyId || historyId;
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  // Relabelled messages the cache lacks (e.g. restored from a trash the
+  // cache predates) are fetched like new ones; cached ones just get the labels
+  const changedIds = [...labels.keys()].filter((id) => !added.has(id));
+  const cachedIds = new Set();
+  for (let i = 0; i < changedIds.length; i += INSERT_BATCH_SIZE) {
+    const batch = changedIds.slice(i, i + INSERT_BATCH_SIZE);
+    const [rows] = await db.execute(
+      `SELECT message_id FROM gmail_messages WHERE user_id = ? AND message_id IN (${batch.map(() => "?").join(", ")})`,
+      [userId, ...batch]
+    );
+    rows.forEach((r) => cachedIds.add(r.message_id));
+  }
+
+  // Anything older than the cached range stays out, or live listing past it would repeat it
+  const fetched = await fetchMetadata(gmail, [...added, ...changedIds.filter((id) => !cachedIds.has(id))]);
+  const messages = fetched.filter((m) => !state.oldest_internal_date || m.internalDate >= state.oldest_internal_date);
+  await saveMessages(db, userId, messages);
+  await deleteMessages(db, userId, [...deleted]);
+  await setLabels(db, userId, new Map([...cachedIds].map((id) => [id, labels.get(id)])));
+
+  await saveState(db, userId, {
+    historyId,
+    oldestInternalDate: state.oldest_internal_date,
+    complete: Boolean(state.complete),
+    full: false,
+  });
+};
+
+const runSync = async (db, userId, accessToken, { force }) => {
+  const [rows] = await db.execute(`SELECT * FROM gmail_sync_state WHERE user_id = ?`, [userId]);
+  const state = rows[0];
+  if (state && !force && new Date(state.last_sync_at).getTime() > Date.now() - SYNC_INTERVAL_MS) return;
+
+  const gmail = gmailClient(accessToken);
+  try {
+    // Caches built before spam and trash were cached can't answer those labels
+    if (state?.history_id && state.includes_spam_trash) {
+      try {
+        await applyHistory(gmail, db, userId, state);
+        return;
+      } catch (error) {
+        if (statusOf(error) !== 404) throw error;
+        console.warn(`Gmail cache for user ${userId}: history id too old, rebuilding`);
+      }
+    }
+    await rebuildCache(gmail, db, userId);
+  } catch (error) {
+    throw error.status ? error : toGmailError(error);
+  }
+};
+
+/**
+ * Brings the user's Gmail metadata cache up to date: incrementally from
+ * the stored history id, or rebuilt when there is none yet or Gmail no
+ * longer has history that old. Skipped when the last sync was under
+ * SYNC_INTERVAL_MS ago unless `force` is set.
+ */
+const syncMailbox = (db, userId, accessToken, { force = false } = {}) => {
+  if (!running.has(userId)) {
+    running.set(
+      userId,
+      runSync(db, userId, accessToken, { force }).finally(() => running.delete(userId))
+    );
+  }
+  return running.get(userId);
+};
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+const decodeCursor = (token) => {
+  try {
+    return JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Page tokens of cached lists start with "c." (a position in the cache) or
+ * "g." (a live Gmail listing of mail older than the cache). Anything else
+ * is Gmail's own page token. Returns { type, cursor } or null if malformed.
+ */
+const parsePageToken = (pageToken) => {
+  if (!pageToken) return { type: "cache", cursor: null };
+  const match = pageToken.match(/^([cg])\.(.+)$/);
+  if (!match) return { type: "raw", cursor: null };
+  const cursor = decodeCursor(match[2]);
+  return cursor && typeof cursor === "object" ? { type: match[1] === "c" ? "cache" : "gmail", cursor } : null;
+};
+
+const cachePageToken = (message) => `c.${encodeCursor({ d: message.internal_date, id: message.message_id })}`;
+
+// Continues a listing past the cache with Gmail's before: search
+const gmailPageToken = (before, token = null) => `g.${encodeCursor({ before, token })}`;
+
+/**
+ * Lists cached messages newest first. `labelIds` must all be on a message
+ * (Gmail's semantics); without labels spam and trash are left out. When
+ * the page runs past the cached range of an incomplete cache, the next
+ * page token continues the listing live from Gmail.
+ */
+const listCachedMessages = async (db, userId, { labelIds = [], maxResults, cursor }) => {
+  const [stateRows] = await db.execute(`SELECT * FROM gmail_sync_state WHERE user_id = ?`, [userId]);
+  const state = stateRows[0];
+
+  let whereClause = "WHERE m.user_id = ?";
+  const params = [userId];
+  for (const labelId of labelIds) {
+    whereClause += ` AND EXISTS (SELECT 1 FROM gmail_message_labels l
+      WHERE l.user_id = m.user_id AND l.message_id = m.message_id AND l.label_id = ?)`;
+    params.push(labelId);
+  }
+  if (labelIds.length === 0) {
+    whereClause += ` AND NOT EXISTS (SELECT 1 FROM gmail_message_labels l
+      WHERE l.user_id = m.user_id AND l.message_id = m.message_id AND l.label_id IN ('SPAM', 'TRASH'))`;
+  }
+
+  const [countRows] = await db.execute(`SELECT COUNT(*) AS total FROM gmail_messages m ${whereClause}`, params);
+
+  let pageClause = "";
+  const pageParams = [];
+  if (cursor) {
+    pageClause = " AND (m.internal_date < ? OR (m.internal_date = ? AND m.message_id < ?))";
+    pageParams.push(cursor.d, cursor.d, cursor.id);
+  }
+  const [rows] = await db.execute(
+    `SELECT m.*, (SELECT GROUP_CONCAT(l.label_id) FROM gmail_message_labels l
+       WHERE l.user_id = m.user_id AND l.message_id = m.message_id) AS label_ids
+     FROM gmail_messages m ${whereClause}${pageClause}
+     ORDER BY m.internal_date DESC, m.message_id DESC
+     LIMIT ${maxResults + 1}`,
+    [...params, ...pageParams]
+  );
+
+  const hasMoreCached = rows.length > maxResults;
+  const page = rows.slice(0, maxResults);
+  let nextPageToken = null;
+  if (hasMoreCached) {
+    nextPageToken = cachePageToken(page[page.length - 1]);
+  } else if (state && !state.complete && state.oldest_internal_date) {
+    // before: is exclusive and in whole seconds; repeating the oldest second beats skipping part of it
+    nextPageToken = gmailPageToken(Math.floor(Number(state.oldest_internal_date) / 1000) + 1);
+  }
+
+  return {
+    messages: page.map((m) => ({
+      id: m.message_id,
+      threadId: m.thread_id,
+      labelIds: m.label_ids ? m.label_ids.split(",") : [],
+      from: m.from_header || "",
+      subject: m.subject || "",
+      date: m.date_header || "",
+      snippet: m.snippet || "",
+    })),
+    nextPageToken,
+    resultSizeEstimate: countRows[0].total,
+    syncedAt: state?.last_sync_at || null,
+  };
+};
+
+module.exports = {
+  syncMailbox,
+  parsePageToken,
+  gmailPageToken,
+  listCachedMessages,
+};
@@ -0,0 +1,213 @@
+// backend/services/gmailMessages.js
+
+const { PassThrough, Transform, pipeline } = require("stream");
+const { google } = require("googleapis");
+const { headerValue, parseMessagePayload, findPart, sanitizeEmailHtml, htmlToText } = require("../utils/mime");
+
+const gmailError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+const gmailClient = (accessToken) => {
+  const auth = new google.auth.OAuth2();
+  auth.setCredentials({ access_token: accessToken });
+  return google.gmail({ version: "v1", auth });
+};
+
+/**
+ * Maps a Gmail API error to one with a status and code. Unknown and
+ * malformed message ids both come back as "not found".
+ */
+const toGmailError = (error) => {
+  const status = error.response?.status || Number(error.code);
+  if (status === 400 || status === 404) return gmailError(404, "EMAIL_NOT_FOUND", "Email not found.");
+  if (status === 401 || status === 403) {
+    return gmailError(401, "GOOGLE_AUTH_FAILED", "Google API authentication failed. Please re-authenticate.");
+  }
+  if (status === 429) return gmailError(429, "RATE_LIMIT_EXCEEDED", "Too many requests. Please try again later.");
+  return gmailError(502, "GMAIL_FAILED", error.message || "Gmail request failed.");
+};
+
+/**
+ * Fetches a full message and returns its headers, plain-text and sanitized
+ * HTML bodies and attachment list. `attachmentUrl(partId)` gives the
+ * download URL inline images ("cid:" sources) are rewritten to. Messages
+ * with only an HTML body get a text version derived from it.
+ */
+const getMessage = async (accessToken, messageId, { attachmentUrl } = {}) => {
+  let data;
+  try {
+    ({ data } = await gmailClient(accessToken).users.messages.get({ userId: "me", id: messageId, format: "full" }));
+  } catch (error) {
+    throw toGmailError(error);
+  }
+
+  const headers = data.payload?.headers || [];
+  const { text, html, attachments } = parseMessagePayload(data.payload);
+  const byContentId = new Map(attachments.filter((a) => a.contentId).map((a) => [a.contentId, a.id]));
+  const cidUrl = attachmentUrl && ((contentId) => byContentId.has(contentId) && attachmentUrl(byContentId.get(contentId)));
+
+  return {
+    id: data.id,
+    threadId: data.threadId,
+    labelIds: data.labelIds || [],
+    snippet: data.snippet || "",
+    internalDate: data.internalDate ? new Date(Number(data.internalDate)) : null,
+    from: headerValue(headers, "From"),
+    to: headerValue(headers, "To"),
+    cc: headerValue(headers, "Cc"),
+    replyTo: headerValue(headers, "Reply-To"),
+    subject: headerValue(headers, "Subject"),
+    date: headerValue(headers, "Date"),
+    messageId: headerValue(headers, "Message-ID"),
+    inReplyTo: headerValue(headers, "In-Reply-To"),
+    references: headerValue(headers, "References"),
+    text: text ?? (html ? htmlToText(html) : null),
+    html: html ? sanitizeEmailHtml(html, { cidUrl }) : null,
+    attachments,
+  };
+};
+
+/**
+ * Pulls the base64url "data" field out of a streamed attachments.get JSON
+ * response and decodes it on the fly, so attachments are never held in
+ * memory whole. Base64 and the JSON around it are ASCII, and the value has
+ * no escapes, so the first unescaped quote ends it.
+ */
+const createAttachmentDecoder = () => {
+  let state = "key";
+  let pending = "";
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (state === "done") return callback();
+      pending += chunk.toString("latin1");
+
+      if (state === "key") {
+        const match = pending.match(/"data"\s*:\s*"/);
+        if (!match) {
+          // Keep enough to match a key split across chunks
+          pending = pending.slice(-16);
+          return callback();
+        }
+        pending = pending.slice(match.index + match[0].length);
+        state = "value";
+      }
+
+      if (state === "value") {
+        const end = pending.indexOf('"');
+        const value = end === -1 ? pending : pending.slice(0, end);
+        // Decode whole 4-character groups; the rest waits for the next chunk
+        const usable = end === -1 ? value.length - (value.length % 4) : value.length;
+        if (usable > 0) this.push(Buffer.from(value.slice(0, usable), "base64url"));
+        pending = value.slice(usable);
+        if (end !== -1) {
+          state = "done";
+          pending = "";
+        }
+      }
+      callback();
+    },
+    flush(callback) {
+      callback(state === "done" ? null : new Error("Gmail response had no attachment data."));
+    },
+  });
+};
+
+/**
+ * Opens an attachment of a message for download by its part id (see
+ * parseMessagePayload). Returns { filename, mimeType, size, stream }, where
+ * `stream` yields the decoded bytes. Small attachments Gmail sends inline
+ * with the message are served from it.
+ */
+const openAttachment = async (accessToken, messageId, partId) => {
+  const gmail = gmailClient(accessToken);
+
+  let message;
+  try {
+    ({ data: message } = await gmail.users.messages.get({ userId: "me", id: messageId, format: "full" }));
+  } catch (error) {
+    throw toGmailError(error);
+  }
+
+  const attachment = parseMessagePayload(message.payload).attachments.find((a) => a.id === partId);
+  if (!attachment) throw gmailError(404, "ATTACHMENT_NOT_FOUND", "Attachment not found.");
+  const { body } = findPart(message.payload, partId);
+
+  if (!body.attachmentId) {
+    const bytes = Buffer.from(body.data, "base64url");
+    const stream = new PassThrough();
+    stream.end(bytes);
+    return { ...attachment, size: bytes.length, stream };
+  }
+
+  let response;
+  try {
+    response = await gmail.users.messages.attachments.get(
+      { userId: "me", messageId, id: body.attachmentId },
+      { responseType: "stream" }
+    );
+  } catch (error) {
+    throw toGmailError(error);
+  }
+  // Errors on either side end up on the returned stream
+  const stream = createAttachmentDecoder();
+  pipeline(response.data, stream, () => {});
+  return { ...attachment, stream };
+};
+
+/**
+ * Reads what a reply to a message needs: its thread, Message-ID (for
+ * In-Reply-To), References and subject.
+ */
+const getReplyHeaders = async (accessToken, messageId) => {
+  let data;
+  try {
+    ({ data } = await gmailClient(accessToken).users.messages.get({
+      userId: "me",
+      id: messageId,
+      format: "metadata",
+      metadataHeaders: ["Message-ID", "References", "Subject"],
+    }));
+  } catch (error) {
+    throw toGmailError(error);
+  }
+
+  const headers = data.payload?.headers || [];
+  const messageIdHeader = headerValue(headers, "Message-ID");
+  return {
+    threadId: data.threadId,
+    inReplyTo: messageIdHeader || null,
+    references: [headerValue(headers, "References"), messageIdHeader].filter(Boolean).join(" ") || null,
+    subject: headerValue(headers, "Subject"),
+  };
+};
+
+/**
+ * Sends an RFC 5322 message as the user, in `threadId` when given. The
+ * message goes up as media so it may be larger than a JSON `raw` field
+ * allows. Returns { id, threadId }.
+ */
+const sendMessage = async (accessToken, message, { threadId } = {}) => {
+  try {
+    const { data } = await gmailClient(accessToken).users.messages.send({
+      userId: "me",
+      requestBody: threadId ? { threadId } : {},
+      media: { mimeType: "message/rfc822", body: message },
+    });
+    return { id: data.id, threadId: data.threadId };
+  } catch (error) {
+    const status = error.response?.status || Number(error.code);
+    if (status === 400) {
+      throw gmailError(400, "INVALID_MESSAGE", `Gmail rejected the message: ${error.message}`);
+    }
+    throw toGmailError(error);
+  }
+};
+
+module.exports = {
+  gmailClient,
+  toGmailError,
+  getMessage,
+  openAttachment,
+  getReplyHeaders,
+  sendMessage,
+};
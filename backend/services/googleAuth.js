@@ -0,0 +1,64 @@
+// backend/services/googleAuth.js
+
+const { OAuth2Client } = require("google-auth-library");
+
+// Tokens this close to expiry are refreshed before use
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+const authRequired = (message) =>
+  Object.assign(new Error(message), { status: 401, code: "GOOGLE_AUTH_REQUIRED" });
+
+/**
+ * Returns a usable Google access token for a user outside of the Google
+ * auth middleware (background jobs, notes), refreshing it with the stored
+ * refresh token when it has expired. Throws GOOGLE_AUTH_REQUIRED when the user has to sign in again.
+ */
+const getGoogleAccessToken = async (db, userId) => {
+  const [rows] = await db.execute(
+    `SELECT google_access_token, google_refresh_token, access_token_expires_at FROM users WHERE id = ?`,
+    [userId]
+  );
+  if (rows.length === 0) throw authRequired("User not found.");
+
+  const { google_access_token, google_refresh_token, access_token_expires_at } = rows[0];
+  const expiresAt = access_token_expires_at ? new Date(access_token_expires_at).getTime() : 0;
+  if (google_access_token && expiresAt > Date.now() + EXPIRY_MARGIN_MS) {
+    return google_access_token;
+  }
+
+  if (!google_refresh_token) throw authRequired("Google session expired and no refresh token is stored.");
+
+  const client = new OAuth2Client(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+  client.setCredentials({ refresh_token: google_refresh_token });
+
+  let credentials;
+  try {
+    ({ credentials } = await client.refreshAccessToken());
+  } catch (error) {
+    throw authRequired(`Could not refresh Google token: ${error.message}`);
+  }
+
+  const newExpiry = credentials.expiry_date
+    ? new Date(credentials.expiry_date)
+    : new Date(Date.now() + (credentials.expires_in || 3600) * 1000);
+
+  await db.execute(
+    `UPDATE users SET
+       google_access_token = ?,
+       access_token_expires_at = ?,
+       google_refresh_token = COALESCE(?, google_refresh_token),
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [credentials.access_token, newExpiry, credentials.refresh_token || null, userId]
+  );
+
+  return credentials.access_token;
+};
+
+module.exports = {
+  getGoogleAccessToken,
+};
@@ -0,0 +1,72 @@
+// backend/services/jobLease.js
+
+const crypto = require("crypto");
+
+// Identifies this process as the owner of the background jobs it queued
+const INSTANCE_ID = crypto.randomUUID();
+// A job whose owner hasn't renewed its lease for this long is taken to be orphaned
+const LEASE_SECONDS = 5 * 60;
+const HEARTBEAT_SECONDS = 60;
+
+const ACTIVE = "status IN ('queued', 'running')";
+const EXPIRED = "(claimed_until IS NULL OR claimed_until < NOW())";
+
+/**
+ * Column values that claim a new job row for this process:
+ * `claimed_by = ?, claimed_until = NOW() + INTERVAL ? SECOND`.
+ */
+const leaseParams = () => [INSTANCE_ID, LEASE_SECONDS];
+
+/**
+ * Ids of queued or running jobs in `table` whose owner stopped renewing
+ * their lease, i.e. whose process died.
+ */
+const findOrphanedJobs = async (db, table) => {
+  const [rows] = await db.execute(`SELECT id FROM ${table} WHERE ${ACTIVE} AND ${EXPIRED}`);
+  return rows.map((r) => r.id);
+};
+
+/**
+ * Marks an orphaned job failed with INTERRUPTED. The lease is checked again
+ * so a job renewed in the meantime is left alone. Returns whether it was.
+ */
+const failOrphanedJob = async (db, table, jobId, message) => {
+  const [result] = await db.execute(
+    `UPDATE ${table} SET
+       status = 'failed',
+       error_code = 'INTERRUPTED',
+       error_message = ?,
+       finished_at = NOW()
+     WHERE id = ? AND ${ACTIVE} AND ${EXPIRED}`,
+    [message, jobId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Renews the leases of this process's jobs in `table` every
+ * HEARTBEAT_SECONDS, and runs `recover(db)` to fail jobs orphaned by
+ * other (or earlier) processes.
+ */
+const keepJobLeases = (db, table, recover) => {
+  const run = async () => {
+    try {
+      await db.execute(
+        `UPDATE ${table} SET claimed_until = NOW() + INTERVAL ? SECOND WHERE claimed_by = ? AND ${ACTIVE}`,
+        [LEASE_SECONDS, INSTANCE_ID]
+      );
+      await recover(db);
+    } catch (error) {
+      console.error(`Failed to renew ${table} leases:`, error.message);
+    }
+  };
+
+  setInterval(run, HEARTBEAT_SECONDS * 1000).unref();
+};
+
+module.exports = {
+  leaseParams,
+  findOrphanedJobs,
+  failOrphanedJob,
+  keepJobLeases,
+};
@@ -0,0 +1,382 @@
+// backend/services/mailMerge.js
+
+const { getGoogleAccessToken } = require("./googleAuth");
+const { sendMessage } = require("./gmailMessages");
+const { logSentEmail } = require("./sentEmails");
+const { notifyUser } = require("./pushNotifications");
+const { leaseParams, findOrphanedJobs, failOrphanedJob, keepJobLeases } = require("./jobLease");
+const { parseAddress, buildMimeMessage } = require("../utils/email");
+const { renderTemplate } = require("../utils/template");
+const { escapeHtml } = require("../utils/markdown");
+
+// Pause between two messages of a merge, to stay well inside Gmail's sending limits
+const SEND_INTERVAL_MS = Number(process.env.MAIL_MERGE_SEND_INTERVAL_MS) || 2000;
+// How long to back off when Gmail rate-limits a send, and how often to try again
+const RATE_LIMIT_PAUSE_MS = 60 * 1000;
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+// Merges waiting to run in this process, sent one at a time
+const pending = [];
+let draining = false;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const parseJson = (text, fallback) => {
+  try {
+    return text ? JSON.parse(text) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+/**
+ * The merge fields a contact provides: its name (also split into
+ * first_name and last_name), email, phone, company and job_title.
+ */
+const contactMergeValues = (contact) => {
+  const name = (contact.name || "").trim();
+  const [firstName = "", ...rest] = name.split(/\s+/);
+  return {
+    name,
+    first_name: firstName,
+    last_name: rest.join(" "),
+    email: contact.email || "",
+    phone: contact.phone || "",
+    company: contact.company || "",
+    job_title: contact.job_title || "",
+  };
+};
+
+/**
+ * Renders a template ({ subject, body_text, body_html }) for a contact.
+ * Custom `values` fill fields contacts don't have, or override theirs;
+ * values are HTML-escaped in the HTML body. Returns { subject, text,
+ * html, missing } where `missing` lists fields that had neither a value
+ * nor a fallback.
+ */
+const renderEmailTemplate = (template, contact, values = {}) => {
+  const fields = { ...contactMergeValues(contact), ...values };
+  const subject = renderTemplate(template.subject, fields);
+  const text = template.body_text ? renderTemplate(template.body_text, fields) : null;
+  const html = template.body_html ? renderTemplate(template.body_html, fields, { escape: escapeHtml }) : null;
+
+  return {
+    subject: subject.output.replace(/[\r\n]+/g, " ").trim(),
+    text: text?.output ?? null,
+    html: html?.output ?? null,
+    missing: [...new Set([...subject.missing, ...(text?.missing || []), ...(html?.missing || [])])],
+  };
+};
+
+/**
+ * Shapes an email_templates row for API responses.
+ */
+const formatTemplate = (row) => ({
+  id: row.id,
+  name: row.name,
+  subject: row.subject,
+  bodyText: row.body_text,
+  bodyHtml: row.body_html,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const formatRecipient = (row) => ({
+  id: row.id,
+  contactId: row.contact_id,
+  email: row.email,
+  status: row.status,
+  error: row.error_code ? { code: row.error_code, message: row.error_message } : null,
+  gmailMessageId: row.gmail_message_id,
+  sentAt: row.sent_at,
+});
+
+/**
+ * Shapes a mail_merge_jobs row (and optionally its recipient rows) for
+ * API responses.
+ */
+const formatMergeJob = (row, recipients) => ({
+  id: row.id,
+  templateId: row.template_id,
+  status: row.status,
+  subject: row.subject,
+  total: row.total,
+  sent: row.sent_count,
+  failed: row.failed_count,
+  skipped: row.skipped_count,
+  error: row.error_code ? { code: row.error_code, message: row.error_message } : null,
+  createdAt: row.created_at,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at,
+  ...(recipients ? { recipients: recipients.map(formatRecipient) } : {}),
+});
+
+const saveCounts = (db, jobId) =>
+  db.execute(
+    `UPDATE mail_merge_jobs j SET
+       sent_count = (SELECT COUNT(*) FROM mail_merge_recipients r WHERE r.job_id = j.id AND r.status = 'sent'),
+       failed_count = (SELECT COUNT(*) FROM mail_merge_recipients r WHERE r.job_id = j.id AND r.status = 'failed'),
+       skipped_count = (SELECT COUNT(*) FROM mail_merge_recipients r WHERE r.job_id = j.id AND r.status = 'skipped')
+     WHERE j.id = ?`,
+    [jobId]
+  );
+
+const failRecipient = (db, recipientId, code, message) =>
+  db.execute(
+    `UPDATE mail_merge_recipients SET status = 'failed', error_code = ?, error_message = ? WHERE id = ?`,
+    [code, message, recipientId]
+  );
+
+/**
+ * Sends one recipient's message, waiting out Gmail rate limits a few times
+ * before giving up. Returns the Gmail { id, threadId }.
+ */
+const sendWithRetry = async (db, userId, message) => {
+  for (let attempt = 0; ; attempt++) {
+    const accessToken = await getGoogleAccessToken(db, userId);
+    try {
+      return await sendMessage(accessToken, message);
+    } catch (error) {
+      if (error.code !== "RATE_LIMIT_EXCEEDED" || attempt >= MAX_RATE_LIMIT_RETRIES) throw error;
+      await sleep(RATE_LIMIT_PAUSE_MS);
+    }
+  }
+};
+
+const sendToRecipient = async ({ db, userId, job, from, recipient }) => {
+  const values = { ...parseJson(job.merge_values, {}), ...parseJson(recipient.merge_values, {}) };
+  const contact = {
+    name: recipient.contact_name,
+    email: recipient.email,
+    phone: recipient.contact_phone,
+    company: recipient.contact_company,
+    job_title: recipient.contact_job_title,
+  };
+  const rendered = renderEmailTemplate(job, contact, values);
+  const to = [parseAddress({ name: recipient.contact_name, email: recipient.email })];
+
+  const message = buildMimeMessage({
+    from,
+    to,
+    subject: rendered.subject,
+    text: rendered.text ?? undefined,
+    html: rendered.html ?? undefined,
+  });
+  const sent = await sendWithRetry(db, userId, message);
+
+  await db.execute(
+    `UPDATE mail_merge_recipients SET status = 'sent', gmail_message_id = ?, sent_at = NOW() WHERE id = ?`,
+    [sent.id, recipient.id]
+  );
+  try {
+    await logSentEmail(db, userId, {
+      gmailMessageId: sent.id,
+      threadId: sent.threadId,
+      subject: rendered.subject,
+      recipients: { to, cc: [], bcc: [] },
+    });
+  } catch (error) {
+    console.error(`Mail merge job ${job.id}: failed to log sent email ${sent.id}:`, error.message);
+  }
+};
+
+const runJob = async ({ jobId, db, userId }) => {
+  console.log(`Mail merge job ${jobId}: starting for user ${userId}`);
+
+  try {
+    await db.execute(`UPDATE mail_merge_jobs SET status = 'running', started_at = NOW() WHERE id = ?`, [jobId]);
+    const [jobs] = await db.execute(`SELECT * FROM mail_merge_jobs WHERE id = ?`, [jobId]);
+    const job = jobs[0];
+
+    const [users] = await db.execute(`SELECT name, email FROM users WHERE id = ?`, [userId]);
+    const from = users[0]?.email ? parseAddress({ name: users[0].name, email: users[0].email }) : null;
+
+    const [recipients] = await db.execute(
+      `SELECT r.*, c.name AS contact_name, c.phone AS contact_phone,
+              c.company AS contact_company, c.job_title AS contact_job_title
+       FROM mail_merge_recipients r
+       LEFT JOIN contacts c ON c.id = r.contact_id
+       WHERE r.job_id = ? AND r.status = 'pending'
+       ORDER BY r.id`,
+      [jobId]
+    );
+
+    for (let i = 0; i < recipients.length; i++) {
+      const recipient = recipients[i];
+      if (i > 0) await sleep(SEND_INTERVAL_MS);
+
+      // A merge whose lease lapsed (e.g. the database was unreachable) may have been failed by another instance
+      const [current] = await db.execute(`SELECT status FROM mail_merge_jobs WHERE id = ?`, [jobId]);
+      if (current[0]?.status !== "running") {
+        console.warn(`Mail merge job ${jobId}: no longer running, stopping`);
+        return;
+      }
+
+      try {
+        await sendToRecipient({ db, userId, job, from, recipient });
+      } catch (error) {
+        // Without a Google session nothing else will go out either
+        if (error.code === "GOOGLE_AUTH_REQUIRED" || error.code === "GOOGLE_AUTH_FAILED") {
+          await db.execute(
+            `UPDATE mail_merge_recipients SET status = 'failed', error_code = ?, error_message = ?
+             WHERE job_id = ? AND status = 'pending'`,
+            [error.code, error.message, jobId]
+          );
+          throw error;
+        }
+        console.error(`Mail merge job ${jobId}: sending to recipient ${recipient.id} failed:`, error.message);
+        await failRecipient(db, recipient.id, error.code || "SEND_FAILED", error.message);
+      }
+      await saveCounts(db, jobId);
+    }
+
+    await saveCounts(db, jobId);
+    const [done] = await db.execute(`SELECT * FROM mail_merge_jobs WHERE id = ?`, [jobId]);
+    const { sent_count: sent, failed_count: failed } = done[0];
+    await db.execute(
+      `UPDATE mail_merge_jobs SET status = ?, finished_at = NOW() WHERE id = ?`,
+      [failed > 0 && sent === 0 ? "failed" : "succeeded", jobId]
+    );
+    await notifyUser(db, userId, {
+      title: "Mail merge finished",
+      body: failed > 0 ? `${sent} email(s) sent; ${failed} could not be sent.` : `${sent} email(s) sent.`,
+      tag: "mail-merge",
+    });
+    console.log(`Mail merge job ${jobId}: finished`);
+  } catch (error) {
+    console.error(`Mail merge job ${jobId} failed:`, error.message);
+
+    try {
+      await saveCounts(db, jobId);
+      await db.execute(
+        `UPDATE mail_merge_jobs SET
+           status = 'failed',
+           error_code = ?,
+           error_message = ?,
+           finished_at = NOW()
+         WHERE id = ?`,
+        [error.code || "MAIL_MERGE_FAILED", error.message, jobId]
+      );
+    } catch (updateError) {
+      console.error(`Mail merge job ${jobId}: could not record failure:`, updateError.message);
+    }
+    await notifyUser(db, userId, { title: "Mail merge failed", body: error.message, tag: "mail-merge" });
+  }
+};
+
+const drain = async () => {
+  if (draining) return;
+  draining = true;
+
+  while (pending.length > 0) {
+    await runJob(pending.shift());
+  }
+
+  draining = false;
+};
+
+/**
+ * Queues a mail merge of `template` to `contacts` and returns the job
+ * immediately. The template is copied into the job, so editing it later
+ * doesn't change what goes out. `values` are custom merge values for
+ * everyone and `contactValues` ({ [contactId]: values }) per contact.
+ * Contacts without an email address, and (unless `allowMissing`) those
+ * leaving merge fields empty, are recorded as skipped.
+ */
+const enqueueMailMerge = async (
+  db,
+  { userId, template, contacts, values = {}, contactValues = {}, allowMissing = false }
+) => {
+  const [result] = await db.execute(
+    `INSERT INTO mail_merge_jobs
+       (user_id, template_id, status, subject, body_text, body_html, merge_values, total, claimed_by, claimed_until)
+     VALUES (?, ?, 'queued', ?, ?, ?, ?, ?, ?, NOW() + INTERVAL ? SECOND)`,
+    [
+      userId,
+      template.id,
+      template.subject,
+      template.body_text,
+      template.body_html,
+      JSON.stringify(values),
+      contacts.length,
+      ...leaseParams(),
+    ]
+  );
+  const jobId = result.insertId;
+
+  const rows = contacts.map((contact) => {
+    const ownValues = contactValues[contact.id] || {};
+    let status = "pending";
+    let errorCode = null;
+    let errorMessage = null;
+
+    if (!contact.email || !parseAddress(contact.email)) {
+      status = "skipped";
+      errorCode = "NO_EMAIL";
+      errorMessage = "Contact has no valid email address.";
+    } else if (!allowMissing) {
+      const { missing } = renderEmailTemplate(template, contact, { ...values, ...ownValues });
+      if (missing.length > 0) {
+        status = "skipped";
+        errorCode = "MISSING_FIELDS";
+        errorMessage = `No value for ${missing.join(", ")}.`;
+      }
+    }
+    return [jobId, contact.id, contact.email || null, status, errorCode, errorMessage, JSON.stringify(ownValues)];
+  });
+
+  if (rows.length > 0) {
+    await db.execute(
+      `INSERT INTO mail_merge_recipients (job_id, contact_id, email, status, error_code, error_message, merge_values)
+       VALUES ${rows.map(() => "(?, ?, ?, ?, ?, ?, ?)").join(", ")}`,
+      rows.flat()
+    );
+  }
+  await saveCounts(db, jobId);
+
+  pending.push({ jobId, db, userId });
+  setImmediate(drain);
+
+  const [jobs] = await db.execute(`SELECT * FROM mail_merge_jobs WHERE id = ?`, [jobId]);
+  return formatMergeJob(jobs[0]);
+};
+
+/**
+ * Merges still queued or running whose owning process stopped renewing
+ * their lease died with it. Whether the message in flight went out is
+ * unknown, so rather than resume (and risk sending twice) the unsent
+ * recipients are marked failed. Merges of other live instances keep going.
+ */
+const recoverInterruptedMerges = async (db) => {
+  const message = "Mail merge was interrupted by a server restart.";
+  let failed = 0;
+
+  for (const jobId of await findOrphanedJobs(db, "mail_merge_jobs")) {
+    if (!(await failOrphanedJob(db, "mail_merge_jobs", jobId, message))) continue;
+    await db.execute(
+      `UPDATE mail_merge_recipients SET status = 'failed', error_code = 'INTERRUPTED', error_message = ?
+       WHERE job_id = ? AND status = 'pending'`,
+      [message, jobId]
+    );
+    await saveCounts(db, jobId);
+    failed++;
+  }
+  if (failed > 0) {
+    console.warn(`Marked ${failed} interrupted mail merge job(s) as failed`);
+  }
+};
+
+/**
+ * Keeps this process's merges leased and fails orphaned ones as they expire.
+ */
+const startMergeJobLeases = (db) => keepJobLeases(db, "mail_merge_jobs", recoverInterruptedMerges);
+
+module.exports = {
+  contactMergeValues,
+  renderEmailTemplate,
+  formatTemplate,
+  formatMergeJob,
+  enqueueMailMerge,
+  recoverInterruptedMerges,
+  startMergeJobLeases,
+};
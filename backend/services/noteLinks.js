@@ -0,0 +1,144 @@
+// backend/services/noteLinks.js
+
+// @[Jane Doe](contact:42) as inserted by the mention picker
+const MARKUP_MENTION = /@\[[^\]]*\]\(contact:(\d+)\)/g;
+// @jane@example.com
+const EMAIL_MENTION = /(?:^|[^\w@])@([^\s@()[\]<>"',;]+@[^\s@()[\]<>"',;]+\.[a-z]{2,})/gi;
+// @"Jane Doe" or @Jane
+const NAME_MENTION = /(?:^|[^\w@])@(?:"([^"]+)"|([\p{L}][\p{L}\p{M}'-]*))/gu;
+
+/**
+ * Extracts @mentions from note content: contact ids from picker markup,
+ * email addresses, and quoted or single-word names.
+ */
+const parseMentions = (content) => {
+  const text = String(content || "");
+  const ids = [...text.matchAll(MARKUP_MENTION)].map((m) => parseInt(m[1]));
+  const withoutMarkup = text.replace(MARKUP_MENTION, " ");
+  const emails = [...withoutMarkup.matchAll(EMAIL_MENTION)].map((m) => m[1].toLowerCase());
+  const withoutEmails = withoutMarkup.replace(EMAIL_MENTION, " ");
+  const names = [...withoutEmails.matchAll(NAME_MENTION)].map((m) => (m[1] || m[2]).trim().toLowerCase());
+
+  return { ids: [...new Set(ids)], emails: [...new Set(emails)], names: [...new Set(names)] };
+};
+
+/**
+ * Maps contact ids to the user's active contacts, following merges to the
+ * surviving contact. Returns a Map of requested id -> contact id; ids that
+ * don't belong to the user are left out.
+ */
+const resolveContactIds = async (db, userId, ids) => {
+  if (ids.length === 0) return new Map();
+
+  const [rows] = await db.execute(
+    `SELECT id, COALESCE(merged_into_id, id) AS resolved_id FROM contacts
+     WHERE user_id = ? AND id IN (${ids.map(() => "?").join(", ")})`,
+    [userId, ...ids]
+  );
+  return new Map(rows.map((r) => [r.id, r.resolved_id]));
+};
+
+/**
+ * Resolves the @mentions in note content to contact ids. Names only link
+ * when exactly one contact has that full name (or, for a single word, that
+ * first name).
+ */
+const resolveMentions = async (db, userId, content) => {
+  const { ids, emails, names } = parseMentions(content);
+  const resolved = new Set((await resolveContactIds(db, userId, ids)).values());
+
+  if (emails.length > 0) {
+    const placeholders = emails.map(() => "?").join(", ");
+    const [rows] = await db.execute(
+      `SELECT DISTINCT c.id FROM contacts c
+       LEFT JOIN contact_emails ce ON ce.contact_id = c.id
+       WHERE c.user_id = ? AND c.merged_into_id IS NULL
+       AND (LOWER(c.email) IN (${placeholders}) OR LOWER(ce.value) IN (${placeholders}))`,
+      [userId, ...emails, ...emails]
+    );
+    rows.forEach((r) => resolved.add(r.id));
+  }
+
+  for (const name of names) {
+    const [rows] = await db.execute(
+      `SELECT id FROM contacts
+       WHERE user_id = ? AND merged_into_id IS NULL AND removed_upstream_at IS NULL
+       AND (LOWER(name) = ? OR (? NOT LIKE '% %' AND LOWER(name) LIKE CONCAT(?, ' %')))
+       LIMIT 2`,
+      [userId, name, name, name]
+    );
+    if (rows.length === 1) resolved.add(rows[0].id);
+  }
+
+  return [...resolved];
+};
+
+/**
+ * Rewrites a note's contact links from the explicitly chosen contacts and
+ * the @mentions in its content. When `explicitIds` is undefined the note's
+ * existing explicit links are kept. Returns the ids of explicit contacts
+ * that don't belong to the user (nothing is written in that case).
+ */
+const setNoteContacts = async (db, userId, noteId, { explicitIds, content }) => {
+  let explicit;
+
+  if (explicitIds === undefined) {
+    const [rows] = await db.execute(
+      `SELECT contact_id FROM note_contacts WHERE note_id = ? AND source = 'explicit'`,
+      [noteId]
+    );
+    explicit = rows.map((r) => r.contact_id);
+  } else {
+    const requested = [...new Set(explicitIds.map((id) => parseInt(id)))];
+    const resolved = await resolveContactIds(db, userId, requested.filter((id) => !isNaN(id)));
+    const unknown = requested.filter((id) => !resolved.has(id));
+    if (unknown.length > 0) return unknown;
+    explicit = [...new Set(resolved.values())];
+  }
+
+  const mentioned = (await resolveMentions(db, userId, content)).filter((id) => !explicit.includes(id));
+  const rows = [
+    ...explicit.map((contactId) => [noteId, contactId, "explicit"]),
+    ...mentioned.map((contactId) => [noteId, contactId, "mention"]),
+  ];
+
+  await db.execute(`DELETE FROM note_contacts WHERE note_id = ?`, [noteId]);
+  if (rows.length > 0) {
+    await db.execute(
+      `INSERT INTO note_contacts (note_id, contact_id, source)
+       VALUES ${rows.map(() => "(?, ?, ?)").join(", ")}`,
+      rows.flat()
+    );
+  }
+
+  return [];
+};
+
+/**
+ * Loads the contacts linked to the given notes.
+ * Returns a Map of noteId -> [{ id, name, email, photo_url, source }].
+ */
+const loadNoteContacts = async (db, noteIds) => {
+  const byNote = new Map(noteIds.map((id) => [id, []]));
+  if (noteIds.length === 0) return byNote;
+
+  const [rows] = await db.execute(
+    `SELECT nc.note_id, nc.source, c.id, c.name, c.email, c.photo_url
+     FROM note_contacts nc
+     JOIN contacts c ON c.id = nc.contact_id
+     WHERE nc.note_id IN (${noteIds.map(() => "?").join(", ")})
+     ORDER BY c.name ASC`,
+    noteIds
+  );
+
+  for (const { note_id: noteId, ...contact } of rows) {
+    byNote.get(noteId)?.push(contact);
+  }
+  return byNote;
+};
+
+module.exports = {
+  parseMentions,
+  setNoteContacts,
+  loadNoteContacts,
+};
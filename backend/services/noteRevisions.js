@@ -0,0 +1,43 @@
+// backend/services/noteRevisions.js
+
+/**
+ * Makes sure a note has a first revision holding its current text. Notes
+ * written before revisions were kept get one the first time they change.
+ */
+const ensureBaseRevision = async (db, note) => {
+  await db.execute(
+    `INSERT INTO note_revisions (note_id, user_id, revision, title, content, created_at)
+     SELECT ?, ?, 1, ?, ?, ?
+     FROM DUAL
+     WHERE NOT EXISTS (SELECT 1 FROM note_revisions WHERE note_id = ?)`,
+    [note.id, note.user_id, note.title, note.content, note.updated_at || note.created_at || new Date(), note.id]
+  );
+};
+
+/**
+ * Appends a revision with the note's new title and content, unless they
+ * match the latest revision. `restoredFrom` records the revision number a
+ * restore copied. Returns the new revision number, or null if nothing changed.
+ */
+const recordRevision = async (db, { noteId, userId, title, content, restoredFrom = null }) => {
+  const [latest] = await db.execute(
+    `SELECT revision, title, content FROM note_revisions
+     WHERE note_id = ? ORDER BY revision DESC LIMIT 1`,
+    [noteId]
+  );
+
+  if (latest[0] && latest[0].title === title && latest[0].content === content) return null;
+
+  const revision = (latest[0]?.revision || 0) + 1;
+  await db.execute(
+    `INSERT INTO note_revisions (note_id, user_id, revision, title, content, restored_from)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [noteId, userId, revision, title, content, restoredFrom]
+  );
+  return revision;
+};
+
+module.exports = {
+  ensureBaseRevision,
+  recordRevision,
+};
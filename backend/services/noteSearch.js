@@ -0,0 +1,95 @@
+// backend/services/noteSearch.js
+
+const { escapeHtml, markdownToText } = require("../utils/markdown");
+
+// InnoDB ignores FULLTEXT tokens shorter than innodb_ft_min_token_size (3)
+const MIN_FULLTEXT_TOKEN = 3;
+const SNIPPET_LENGTH = 160;
+
+const searchWords = (q) =>
+  q
+    .replace(/[+\-<>()~*"@]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+/**
+ * Builds the full-text condition and relevance expression for `q` against
+ * notes(title, content). Words of 3+ characters are required prefix terms;
+ * shorter ones fall back to LIKE. Title matches rank higher.
+ */
+const buildNoteSearch = (q) => {
+  const words = searchWords(q);
+  const longWords = words.filter((w) => w.length >= MIN_FULLTEXT_TOKEN);
+  const shortWords = words.filter((w) => w.length < MIN_FULLTEXT_TOKEN);
+
+  const parts = [];
+  const params = [];
+  if (longWords.length > 0) {
+    parts.push("MATCH(notes.title, notes.content) AGAINST (? IN BOOLEAN MODE)");
+    params.push(longWords.map((w) => `+${w}*`).join(" "));
+  }
+  for (const word of shortWords) {
+    parts.push("(notes.title LIKE ? OR notes.content LIKE ?)");
+    params.push(`%${word}%`, `%${word}%`);
+  }
+
+  return {
+    condition: parts.length > 0 ? { sql: `(${parts.join(" AND ")})`, params } : null,
+    relevance: {
+      sql: "MATCH(notes.title, notes.content) AGAINST (? IN NATURAL LANGUAGE MODE) + IF(notes.title LIKE ?, 2, 0)",
+      params: [q, `%${q}%`],
+    },
+  };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Escapes `text` as HTML and wraps every word starting with one of the
+ * search words in <mark>.
+ */
+const highlight = (text, words) => {
+  if (words.length === 0) return escapeHtml(text);
+  const pattern = new RegExp(`(${words.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*`, "giu");
+
+  let html = "";
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+};
+
+/**
+ * Returns { title, snippet } HTML for a search hit: the title with matches
+ * marked, and a window of the plain-text content around the first match.
+ */
+const highlightNote = (note, q) => {
+  const words = searchWords(q);
+  const text = markdownToText(note.content);
+  const lower = text.toLowerCase();
+
+  const first = words
+    .map((w) => lower.indexOf(w.toLowerCase()))
+    .filter((i) => i >= 0)
+    .sort((a, b) => a - b)[0];
+
+  let start = first === undefined ? 0 : Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    start = space >= 0 && space < first ? space + 1 : start;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const window = text.slice(start, end);
+
+  return {
+    title: highlight(note.title, words),
+    snippet: `${start > 0 ? "…" : ""}${highlight(window, words)}${end < text.length ? "…" : ""}`,
+  };
+};
+
+module.exports = {
+  buildNoteSearch,
+  highlightNote,
+};
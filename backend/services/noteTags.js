@@ -0,0 +1,53 @@
+// backend/services/noteTags.js
+
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalizes a list of tags: trimmed, lowercased, a leading "#" dropped,
+ * duplicates and empty values removed.
+ */
+const normalizeTags = (tags) => [
+  ...new Set(
+    tags
+      .map((t) => String(t).trim().replace(/^#/, "").toLowerCase().slice(0, MAX_TAG_LENGTH))
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * Replaces a note's tags.
+ */
+const setNoteTags = async (db, noteId, tags) => {
+  const normalized = normalizeTags(tags);
+
+  await db.execute(`DELETE FROM note_tags WHERE note_id = ?`, [noteId]);
+  if (normalized.length > 0) {
+    await db.execute(
+      `INSERT INTO note_tags (note_id, tag) VALUES ${normalized.map(() => "(?, ?)").join(", ")}`,
+      normalized.flatMap((tag) => [noteId, tag])
+    );
+  }
+};
+
+/**
+ * Loads the tags of the given notes. Returns a Map of noteId -> [tag].
+ */
+const loadNoteTags = async (db, noteIds) => {
+  const byNote = new Map(noteIds.map((id) => [id, []]));
+  if (noteIds.length === 0) return byNote;
+
+  const [rows] = await db.execute(
+    `SELECT note_id, tag FROM note_tags
+     WHERE note_id IN (${noteIds.map(() => "?").join(", ")})
+     ORDER BY tag ASC`,
+    noteIds
+  );
+  rows.forEach((r) => byNote.get(r.note_id)?.push(r.tag));
+  return byNote;
+};
+
+module.exports = {
+  normalizeTags,
+  setNoteTags,
+  loadNoteTags,
+};
@@ -0,0 +1,120 @@
+// backend/services/pushNotifications.js
+
+const crypto = require("crypto");
+const webpush = require("web-push");
+
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || null;
+// Push services drop undelivered messages after this long
+const TTL_SECONDS = 24 * 60 * 60;
+
+// Push is off unless VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT
+// (a mailto: or https: contact) are set; keys come from `npx web-push generate-vapid-keys`.
+let configured = false;
+if (VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY && process.env.VAPID_SUBJECT) {
+  try {
+    webpush.setVapidDetails(process.env.VAPID_SUBJECT, VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY);
+    configured = true;
+  } catch (error) {
+    console.error("Invalid VAPID configuration, push notifications are disabled:", error.message);
+  }
+}
+
+const isPushConfigured = () => configured;
+
+// Endpoints can be long URLs; subscriptions are looked up by a hash of them
+const hashEndpoint = (endpoint) => crypto.createHash("sha256").update(endpoint).digest("hex");
+
+/**
+ * Stores a browser PushSubscription ({ endpoint, keys: { p256dh, auth } })
+ * for the user. A subscription already registered (possibly by another user
+ * on the same browser) is moved to this user with its new keys.
+ */
+const saveSubscription = async (db, userId, { endpoint, keys }, userAgent = null) => {
+  await db.execute(
+    `INSERT INTO push_subscriptions (user_id, endpoint, endpoint_hash, p256dh, auth, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       user_id = VALUES(user_id),
+       p256dh = VALUES(p256dh),
+       auth = VALUES(auth),
+       user_agent = VALUES(user_agent)`,
+    [userId, endpoint, hashEndpoint(endpoint), keys.p256dh, keys.auth, userAgent ? userAgent.slice(0, 255) : null]
+  );
+
+  const [rows] = await db.execute(`SELECT id FROM push_subscriptions WHERE endpoint_hash = ?`, [hashEndpoint(endpoint)]);
+  return rows[0].id;
+};
+
+/**
+ * Removes one of the user's subscriptions by endpoint. Returns false if it
+ * wasn't registered.
+ */
+const deleteSubscription = async (db, userId, endpoint) => {
+  const [result] = await db.execute(
+    `DELETE FROM push_subscriptions WHERE user_id = ? AND endpoint_hash = ?`,
+    [userId, hashEndpoint(endpoint)]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Sends a notification ({ title, body, url, tag }) to every subscription of
+ * the user. Subscriptions the push service reports as gone (404/410) are
+ * deleted. Returns { sent, removed, failed, lastError }.
+ */
+const sendPushToUser = async (db, userId, notification) => {
+  const result = { sent: 0, removed: 0, failed: 0, lastError: null };
+  if (!isPushConfigured()) return result;
+
+  const [subscriptions] = await db.execute(
+    `SELECT id, endpoint, p256dh, auth FROM push_subscriptions WHERE user_id = ?`,
+    [userId]
+  );
+  const payload = JSON.stringify(notification);
+
+  for (const subscription of subscriptions) {
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+        payload,
+        { TTL: TTL_SECONDS }
+      );
+      await db.execute(`UPDATE push_subscriptions SET last_success_at = NOW() WHERE id = ?`, [subscription.id]);
+      result.sent++;
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await db.execute(`DELETE FROM push_subscriptions WHERE id = ?`, [subscription.id]);
+        result.removed++;
+      } else {
+        console.error(`Push to subscription ${subscription.id} failed:`, error.statusCode || "", error.message);
+        result.failed++;
+        result.lastError = error;
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Sends a notification only if the user has push notifications turned on.
+ * Never throws; used for best-effort notices such as finished sync jobs.
+ */
+const notifyUser = async (db, userId, notification) => {
+  try {
+    const [rows] = await db.execute(`SELECT pushNotifications FROM users WHERE id = ?`, [userId]);
+    if (!rows[0]?.pushNotifications) return;
+    await sendPushToUser(db, userId, notification);
+  } catch (error) {
+    console.error(`Failed to send push notification to user ${userId}:`, error.message);
+  }
+};
+
+module.exports = {
+  VAPID_PUBLIC_KEY,
+  isPushConfigured,
+  saveSubscription,
+  deleteSubscription,
+  sendPushToUser,
+  notifyUser,
+};
@@ -0,0 +1,198 @@
+// backend/services/reminderCalendar.js
+
+const crypto = require("crypto");
+const { parseCalendar } = require("../utils/ical");
+const { normalizeRRule, occurrenceFrom } = require("./reminderRecurrence");
+
+const MAX_TITLE_LENGTH = 255;
+const MAX_UID_LENGTH = 255;
+const BATCH_SIZE = 500;
+
+// Only a hash of the feed token is stored; the token itself is shown once
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Creates the user's calendar feed token, replacing (and so revoking) any
+ * previous one. Returns the new token.
+ */
+const rotateFeedToken = async (db, userId) => {
+  const token = crypto.randomBytes(24).toString("base64url");
+  await db.execute(
+    `INSERT INTO reminder_feed_tokens (user_id, token_hash) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE token_hash = VALUES(token_hash), created_at = CURRENT_TIMESTAMP, last_accessed_at = NULL`,
+    [userId, hashToken(token)]
+  );
+  return token;
+};
+
+/**
+ * Returns { active, createdAt, lastAccessedAt } for the user's feed.
+ */
+const getFeedStatus = async (db, userId) => {
+  const [rows] = await db.execute(
+    `SELECT created_at, last_accessed_at FROM reminder_feed_tokens WHERE user_id = ?`,
+    [userId]
+  );
+  return {
+    active: rows.length > 0,
+    createdAt: rows[0]?.created_at || null,
+    lastAccessedAt: rows[0]?.last_accessed_at || null,
+  };
+};
+
+/**
+ * Revokes the user's feed token. Returns false if there was none.
+ */
+const revokeFeedToken = async (db, userId) => {
+  const [result] = await db.execute(`DELETE FROM reminder_feed_tokens WHERE user_id = ?`, [userId]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Returns the user id a feed token belongs to (recording the access), or null.
+ */
+const findFeedUser = async (db, token) => {
+  const tokenHash = hashToken(String(token));
+  const [rows] = await db.execute(`SELECT user_id FROM reminder_feed_tokens WHERE token_hash = ?`, [tokenHash]);
+  if (rows.length === 0) return null;
+
+  await db.execute(`UPDATE reminder_feed_tokens SET last_accessed_at = NOW() WHERE token_hash = ?`, [tokenHash]);
+  return rows[0].user_id;
+};
+
+/**
+ * Returns the set of UIDs (from `uids`) the user already has a reminder
+ * for: imported reminders keep their UID, and our own exported reminders
+ * come back as "pulse-reminder-<id>".
+ */
+const findExistingUids = async (db, userId, uids) => {
+  const existing = new Set();
+
+  for (let i = 0; i < uids.length; i += BATCH_SIZE) {
+    const batch = uids.slice(i, i + BATCH_SIZE);
+    const [rows] = await db.execute(
+      `SELECT ical_uid FROM reminders WHERE user_id = ? AND ical_uid IN (${batch.map(() => "?").join(", ")})`,
+      [userId, ...batch]
+    );
+    rows.forEach((r) => existing.add(r.ical_uid));
+  }
+
+  const ownIds = new Map(
+    uids
+      .map((uid) => [parseInt(uid.match(/^pulse-reminder-(\d+)$/)?.[1]), uid])
+      .filter(([id]) => !isNaN(id))
+  );
+  const ids = [...ownIds.keys()];
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const batch = ids.slice(i, i + BATCH_SIZE);
+    const [rows] = await db.execute(
+      `SELECT id FROM reminders WHERE user_id = ? AND id IN (${batch.map(() => "?").join(", ")})`,
+      [userId, ...batch]
+    );
+    rows.forEach((r) => existing.add(ownIds.get(r.id)));
+  }
+
+  return existing;
+};
+
+/**
+ * Imports the VEVENT/VTODO entries of an iCalendar file as reminders.
+ * Entries whose UID the user already has (or that repeat earlier in the
+ * file) are counted as duplicates; cancelled entries, overrides of single
+ * recurrences and unsupported rules are skipped with a reason. Recurring
+ * entries start at their next occurrence from now (or are completed if the
+ * rule has ended); reminders already past their due date are not notified.
+ * Returns { total, imported, duplicates, skipped: [{ uid, title, reason }] }.
+ */
+const importCalendar = async (db, userId, text, { defaultTimeZone = "UTC" } = {}) => {
+  const entries = parseCalendar(text, { defaultTimeZone });
+  const summary = { total: entries.length, imported: 0, duplicates: 0, skipped: [] };
+  const skip = (entry, reason) => summary.skipped.push({ uid: entry.uid, title: entry.title, reason });
+
+  const existing = await findExistingUids(db, userId, [...new Set(entries.map((e) => e.uid).filter(Boolean))]);
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    for (const entry of entries) {
+      if (entry.recurrenceId) {
+        skip(entry, "RECURRENCE_OVERRIDE");
+        continue;
+      }
+      if (entry.uid && entry.uid.length > MAX_UID_LENGTH) {
+        skip(entry, "UID_TOO_LONG");
+        continue;
+      }
+      if (entry.cancelled) {
+        skip(entry, "CANCELLED");
+        continue;
+      }
+      if (entry.uid && existing.has(entry.uid)) {
+        summary.duplicates++;
+        continue;
+      }
+
+      let rrule = null;
+      if (entry.rrule) {
+        if (!entry.due) {
+          skip(entry, "RRULE_WITHOUT_DATE");
+          continue;
+        }
+        try {
+          rrule = normalizeRRule(entry.rrule);
+        } catch (error) {
+          skip(entry, "INVALID_RRULE");
+          continue;
+        }
+      }
+
+      const timezone = rrule ? entry.timezone || defaultTimeZone : entry.timezone;
+      let due = entry.due;
+      let completed = entry.completed;
+      if (rrule && !completed && due < new Date()) {
+        const next = occurrenceFrom({ rrule, timezone, recurrence_start: entry.due, due_date: entry.due }, new Date());
+        due = next || due;
+        completed = !next;
+      }
+      await connection.execute(
+        `INSERT INTO reminders
+           (user_id, title, description, due_date, rrule, timezone, recurrence_start,
+            completed, completed_at, notified_at, ical_uid)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, IF(? < NOW(), NOW(), NULL), ?)`,
+        [
+          userId,
+          (entry.title || "Untitled reminder").slice(0, MAX_TITLE_LENGTH),
+          entry.description,
+          due,
+          rrule,
+          timezone,
+          rrule ? entry.due : null,
+          completed,
+          completed ? entry.completedAt || new Date() : null,
+          due,
+          entry.uid,
+        ]
+      );
+      if (entry.uid) existing.add(entry.uid);
+      summary.imported++;
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return summary;
+};
+
+module.exports = {
+  rotateFeedToken,
+  getFeedStatus,
+  revokeFeedToken,
+  findFeedUser,
+  importCalendar,
+};
@@ -0,0 +1,90 @@
+// backend/services/reminderChannels.js
+
+const { google } = require("googleapis");
+const { getGoogleAccessToken } = require("./googleAuth");
+const { isPushConfigured, sendPushToUser } = require("./pushNotifications");
+const { buildRawEmail } = require("../utils/email");
+
+const DUE_FORMAT = { dateStyle: "full", timeStyle: "short" };
+
+// In the reminder's own time zone (the server's if it has none), followed by the zone name
+const formatDue = (dueDate, timeZone) => {
+  const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  try {
+    return `${new Date(dueDate).toLocaleString("en-US", { ...DUE_FORMAT, timeZone: zone })} (${zone})`;
+  } catch (error) {
+    // An unknown zone name shouldn't fail the delivery
+    return `${new Date(dueDate).toLocaleString("en-US", { ...DUE_FORMAT, timeZone: "UTC" })} (UTC)`;
+  }
+};
+
+const emailText = (reminder) =>
+  [
+    reminder.title,
+    "",
+    `Due: ${formatDue(reminder.due_date, reminder.timezone)}`,
+    reminder.contact_name ? `Contact: ${reminder.contact_name}` : null,
+    reminder.description ? `\n${reminder.description}` : null,
+    process.env.FRONTEND_URL ? `\n${process.env.FRONTEND_URL}/reminders` : null,
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+
+/**
+ * Delivery channels, in the order they are tried. `enabled` reads the owner's
+ * notification settings (NULL falls back to the profile defaults); `send`
+ * resolves to { status: "sent" } or { status: "skipped", code, message } and
+ * throws on failure. Errors with a 4xx `status` are not retried.
+ */
+const CHANNELS = [
+  {
+    name: "email",
+    enabled: (reminder) => reminder.emailNotifications ?? true,
+    send: async (db, reminder) => {
+      if (!reminder.user_email) {
+        return { status: "skipped", code: "NO_EMAIL_ADDRESS", message: "The user has no email address." };
+      }
+
+      const auth = new google.auth.OAuth2();
+      auth.setCredentials({ access_token: await getGoogleAccessToken(db, reminder.user_id) });
+      const gmail = google.gmail({ version: "v1", auth });
+
+      await gmail.users.messages.send({
+        userId: "me",
+        requestBody: {
+          raw: buildRawEmail({
+            to: reminder.user_email,
+            subject: `Reminder: ${reminder.title}`,
+            text: emailText(reminder),
+          }),
+        },
+      });
+      return { status: "sent" };
+    },
+  },
+  {
+    name: "push",
+    enabled: (reminder) => reminder.pushNotifications ?? false,
+    // Counts as sent when at least one of the user's browsers got it
+    send: async (db, reminder) => {
+      if (!isPushConfigured()) {
+        return { status: "skipped", code: "PUSH_NOT_CONFIGURED", message: "Push notifications are not configured." };
+      }
+
+      const result = await sendPushToUser(db, reminder.user_id, {
+        title: `Reminder: ${reminder.title}`,
+        body: [formatDue(reminder.due_date, reminder.timezone), reminder.contact_name].filter(Boolean).join(" · "),
+        url: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/reminders` : null,
+        tag: `reminder-${reminder.id}`,
+      });
+
+      if (result.sent > 0) return { status: "sent" };
+      if (result.failed > 0) throw result.lastError;
+      return { status: "skipped", code: "NO_PUSH_SUBSCRIPTIONS", message: "No browser is subscribed to push notifications." };
+    },
+  },
+];
+
+module.exports = {
+  CHANNELS,
+};
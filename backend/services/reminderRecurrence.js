@@ -0,0 +1,108 @@
+// backend/services/reminderRecurrence.js
+
+const { RRule } = require("rrule");
+const { toWallClock, fromWallClock } = require("../utils/timezone");
+
+// Reminders aren't meant to fire more than hourly
+const ALLOWED_FREQUENCIES = [RRule.YEARLY, RRule.MONTHLY, RRule.WEEKLY, RRule.DAILY, RRule.HOURLY];
+const MAX_RULE_LENGTH = 500;
+// Upper bound on occurrences expanded for one reminder in one request
+const MAX_OCCURRENCES = 500;
+
+const invalidRule = (message) => Object.assign(new Error(message), { status: 400, code: "INVALID_RRULE" });
+
+/**
+ * Validates an iCalendar RRULE ("FREQ=WEEKLY;BYDAY=MO", with or without the
+ * "RRULE:" prefix) and returns it normalized, without the prefix. DTSTART
+ * and TZID come from the reminder's due date and timezone instead.
+ * Throws INVALID_RRULE (400).
+ */
+const normalizeRRule = (text) => {
+  const rule = String(text).trim().replace(/^RRULE:/i, "");
+  if (rule === "" || rule.length > MAX_RULE_LENGTH || /[\r\n]/.test(rule)) {
+    throw invalidRule("rrule must be a single RRULE line.");
+  }
+  if (/(^|;)(DTSTART|TZID)=/i.test(rule)) {
+    throw invalidRule("rrule must not contain DTSTART or TZID; use due_date and timezone.");
+  }
+
+  let options;
+  try {
+    options = RRule.parseString(rule);
+  } catch (error) {
+    throw invalidRule(`Invalid rrule: ${error.message}`);
+  }
+
+  if (options.freq === undefined) throw invalidRule("rrule needs a FREQ.");
+  if (!ALLOWED_FREQUENCIES.includes(options.freq)) throw invalidRule("rrule FREQ must be HOURLY or less frequent.");
+  if (Array.isArray(options.byweekday) && options.byweekday.some((day) => day === undefined)) {
+    throw invalidRule("rrule BYDAY has an unknown weekday.");
+  }
+
+  return new RRule(options).toString().replace(/^RRULE:/, "");
+};
+
+/**
+ * Builds the rule for a reminder, anchored at its recurrence_start in its
+ * timezone. Dates going in and out of the rule are floating wall-clock
+ * times so "every Monday 09:00" stays at 09:00 across DST changes.
+ */
+const ruleFor = (reminder) => {
+  const timeZone = reminder.timezone || "UTC";
+  const rule = new RRule({
+    ...RRule.parseString(reminder.rrule),
+    dtstart: toWallClock(new Date(reminder.recurrence_start || reminder.due_date), timeZone),
+  });
+
+  return {
+    between: (from, to) =>
+      rule
+        .between(toWallClock(from, timeZone), toWallClock(to, timeZone), true, (d, i) => i < MAX_OCCURRENCES)
+        .map((d) => fromWallClock(d, timeZone)),
+    after: (date, inclusive = false) => {
+      const next = rule.after(toWallClock(date, timeZone), inclusive);
+      return next ? fromWallClock(next, timeZone) : null;
+    },
+  };
+};
+
+/**
+ * Occurrence dates of a reminder between `from` and `to` (inclusive).
+ * Occurrences before the current due_date have already been completed, so
+ * they are left out. Non-recurring reminders have at most their due date.
+ */
+const occurrencesBetween = (reminder, from, to) => {
+  if (!reminder.due_date) return [];
+  const dueDate = new Date(reminder.due_date);
+  if (!reminder.rrule) return dueDate >= from && dueDate <= to ? [dueDate] : [];
+
+  const start = dueDate > from ? dueDate : from;
+  if (start > to) return [];
+  const dates = ruleFor(reminder).between(start, to);
+  // The current due date counts even when it doesn't match the rule (e.g. a Tuesday start for BYDAY=MO)
+  if (dueDate >= from && dates[0]?.getTime() !== dueDate.getTime()) dates.unshift(dueDate);
+  return dates.slice(0, MAX_OCCURRENCES);
+};
+
+/**
+ * The occurrence after the reminder's current due_date, or null when the
+ * rule has ended (or the reminder doesn't recur).
+ */
+const nextOccurrence = (reminder) => {
+  if (!reminder.rrule || !reminder.due_date) return null;
+  return ruleFor(reminder).after(new Date(reminder.due_date));
+};
+
+/**
+ * The first occurrence at or after `date` for a recurring reminder, or null
+ * when the rule has ended by then.
+ */
+const occurrenceFrom = (reminder, date) => ruleFor(reminder).after(date, true);
+
+module.exports = {
+  MAX_OCCURRENCES,
+  normalizeRRule,
+  occurrencesBetween,
+  nextOccurrence,
+  occurrenceFrom,
+};
@@ -0,0 +1,179 @@
+// backend/services/reminderScheduler.js
+
+const crypto = require("crypto");
+const { CHANNELS } = require("./reminderChannels");
+
+// How often due reminders are picked up. 0 disables the scheduler (e.g. on
+// instances that only serve requests).
+const POLL_SECONDS = Math.max(0, parseInt(process.env.REMINDER_POLL_SECONDS ?? "60") || 0);
+// Reminders that went due longer ago than this (e.g. while the scheduler was
+// down) are not delivered any more.
+const MAX_LATENESS_HOURS = Math.max(1, parseInt(process.env.REMINDER_MAX_LATENESS_HOURS ?? "24") || 24);
+const BATCH_SIZE = 50;
+// A claimed reminder is left to its instance this long before another one may take it over
+const CLAIM_SECONDS = 5 * 60;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 60;
+
+let running = false;
+
+const describeDeliveryError = (error) => {
+  const status =
+    error.status || error.statusCode || error.response?.status || (typeof error.code === "number" ? error.code : null);
+  return {
+    code: typeof error.code === "string" ? error.code : status ? `HTTP_${status}` : "DELIVERY_FAILED",
+    message: String(error.message || "Delivery failed.").slice(0, 500),
+    permanent: status >= 400 && status < 500 && status !== 429,
+  };
+};
+
+// A snoozed reminder fires when its snooze ends instead of at its due date
+const FIRE_AT = "COALESCE(snoozed_until, due_date)";
+
+/**
+ * Atomically claims due, uncompleted reminders for this run. The claim is a
+ * lease on the reminder row, so several app instances polling at once never
+ * pick up the same reminder. Returns the claimed reminders with the owner's
+ * notification settings and `fire_at`, the time being notified.
+ */
+const claimDueReminders = async (db, claimId) => {
+  await db.execute(
+    `UPDATE reminders SET
+       delivery_claimed_by = ?,
+       delivery_claimed_until = NOW() + INTERVAL ? SECOND
+     WHERE completed = FALSE
+     AND notified_at IS NULL
+     AND ${FIRE_AT} <= NOW()
+     AND ${FIRE_AT} > NOW() - INTERVAL ? HOUR
+     AND (delivery_claimed_until IS NULL OR delivery_claimed_until < NOW())
+     ORDER BY ${FIRE_AT} ASC
+     LIMIT ?`,
+    [claimId, CLAIM_SECONDS, MAX_LATENESS_HOURS, BATCH_SIZE]
+  );
+
+  const [rows] = await db.execute(
+    `SELECT r.id, r.user_id, r.title, r.description, r.due_date, r.timezone,
+       COALESCE(r.snoozed_until, r.due_date) AS fire_at,
+       c.name AS contact_name,
+       u.email AS user_email, u.emailNotifications, u.pushNotifications
+     FROM reminders r
+     JOIN users u ON u.id = r.user_id
+     LEFT JOIN contacts c ON c.id = r.contact_id
+     WHERE r.delivery_claimed_by = ?`,
+    [claimId]
+  );
+  return rows;
+};
+
+const saveDelivery = (db, reminder, channel, { status, code = null, message = null }) =>
+  db.execute(
+    `INSERT INTO reminder_deliveries
+       (reminder_id, user_id, channel, due_date, status, attempts, error_code, error_message, last_attempt_at, sent_at)
+     VALUES (?, ?, ?, ?, ?, 1, ?, ?, NOW(), IF(? = 'sent', NOW(), NULL))
+     ON DUPLICATE KEY UPDATE
+       status = VALUES(status),
+       attempts = attempts + 1,
+       error_code = VALUES(error_code),
+       error_message = VALUES(error_message),
+       last_attempt_at = VALUES(last_attempt_at),
+       sent_at = VALUES(sent_at)`,
+    [reminder.id, reminder.user_id, channel, reminder.fire_at, status, code, message, status]
+  );
+
+/**
+ * Sends one claimed reminder through each of the owner's enabled channels.
+ * Deliveries are keyed by the fire time (the due date, or the end of a
+ * snooze). Channels already sent (or given up on) for it are not tried
+ * again. Failed channels are retried with backoff by extending the claim;
+ * once every channel is settled the reminder is marked notified.
+ */
+const deliverReminder = async (db, claimId, reminder) => {
+  const [existing] = await db.execute(
+    `SELECT channel, status, attempts FROM reminder_deliveries WHERE reminder_id = ? AND due_date = ?`,
+    [reminder.id, reminder.fire_at]
+  );
+  const previous = new Map(existing.map((row) => [row.channel, row]));
+  let retryAttempts = 0;
+
+  for (const channel of CHANNELS.filter((c) => c.enabled(reminder))) {
+    const attempts = previous.get(channel.name)?.attempts || 0;
+    if (previous.has(channel.name) && previous.get(channel.name).status !== "retrying") continue;
+
+    try {
+      await saveDelivery(db, reminder, channel.name, await channel.send(db, reminder));
+    } catch (error) {
+      const { code, message, permanent } = describeDeliveryError(error);
+      const status = permanent || attempts + 1 >= MAX_ATTEMPTS ? "failed" : "retrying";
+      console.error(`Reminder ${reminder.id}: ${channel.name} delivery failed (${status}):`, message);
+
+      await saveDelivery(db, reminder, channel.name, { status, code, message });
+      if (status === "retrying") retryAttempts = Math.max(retryAttempts, attempts + 1);
+    }
+  }
+
+  if (retryAttempts > 0) {
+    await db.execute(
+      `UPDATE reminders SET delivery_claimed_until = NOW() + INTERVAL ? SECOND
+       WHERE id = ? AND delivery_claimed_by = ?`,
+      [RETRY_BASE_SECONDS * 2 ** (retryAttempts - 1), reminder.id, claimId]
+    );
+    return;
+  }
+
+  // If the due date or snooze was changed while sending, the new time still needs its own notification
+  await db.execute(
+    `UPDATE reminders SET
+       notified_at = IF(${FIRE_AT} = ?, NOW(), notified_at),
+       delivery_claimed_by = NULL,
+       delivery_claimed_until = NULL
+     WHERE id = ? AND delivery_claimed_by = ?`,
+    [reminder.fire_at, reminder.id, claimId]
+  );
+};
+
+/**
+ * Claims and delivers one batch of due reminders. Returns how many were handled.
+ */
+const deliverDueReminders = async (db) => {
+  const claimId = crypto.randomUUID();
+  const reminders = await claimDueReminders(db, claimId);
+
+  for (const reminder of reminders) {
+    try {
+      await deliverReminder(db, claimId, reminder);
+    } catch (error) {
+      // Left claimed; another run picks it up once the claim expires
+      console.error(`Failed to deliver reminder ${reminder.id}:`, error.message);
+    }
+  }
+  return reminders.length;
+};
+
+/**
+ * Polls for due reminders every POLL_SECONDS. A run that is still going
+ * when the next one is due is not overlapped.
+ */
+const startReminderScheduler = (db) => {
+  if (POLL_SECONDS === 0) return;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      // Keep going while full batches come back so a backlog drains in one run
+      while ((await deliverDueReminders(db)) === BATCH_SIZE);
+    } catch (error) {
+      console.error("Failed to deliver due reminders:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  setInterval(run, POLL_SECONDS * 1000).unref();
+};
+
+module.exports = {
+  deliverDueReminders,
+  startReminderScheduler,
+};
@@ -0,0 +1,56 @@
+// backend/services/sentEmails.js
+
+/**
+ * Returns a Map of lowercased address -> [contact id] for the user's
+ * contacts (primary or additional addresses) matching any of `addresses`.
+ */
+const findContactsByEmail = async (db, userId, addresses) => {
+  const emails = [...new Set(addresses.map((a) => a.toLowerCase()))];
+  const byEmail = new Map();
+  if (emails.length === 0) return byEmail;
+
+  const placeholders = emails.map(() => "?").join(", ");
+  const [rows] = await db.execute(
+    `SELECT c.id, LOWER(c.email) AS address FROM contacts c
+     WHERE c.user_id = ? AND c.merged_into_id IS NULL AND LOWER(c.email) IN (${placeholders})
+     UNION
+     SELECT c.id, LOWER(ce.value) AS address FROM contacts c
+     JOIN contact_emails ce ON ce.contact_id = c.id
+     WHERE c.user_id = ? AND c.merged_into_id IS NULL AND LOWER(ce.value) IN (${placeholders})`,
+    [userId, ...emails, userId, ...emails]
+  );
+  rows.forEach((r) => byEmail.set(r.address, [...new Set([...(byEmail.get(r.address) || []), r.id])]));
+  return byEmail;
+};
+
+/**
+ * Records a message sent through Gmail and links it to the contacts among
+ * its recipients. `recipients` is { to, cc, bcc } of { name, email }.
+ * Returns { id, contactIds }.
+ */
+const logSentEmail = async (db, userId, { gmailMessageId, threadId, subject, recipients, attachmentCount = 0 }) => {
+  const addresses = [...recipients.to, ...recipients.cc, ...recipients.bcc].map((r) => r.email);
+  const byEmail = await findContactsByEmail(db, userId, addresses);
+  const contactIds = [...new Set([...byEmail.values()].flat())];
+
+  const [result] = await db.execute(
+    `INSERT INTO sent_emails (user_id, gmail_message_id, thread_id, subject, recipients, attachment_count)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, gmailMessageId, threadId, subject, JSON.stringify(recipients), attachmentCount]
+  );
+
+  if (contactIds.length > 0) {
+    await db.execute(
+      `INSERT IGNORE INTO sent_email_contacts (sent_email_id, contact_id)
+       VALUES ${contactIds.map(() => "(?, ?)").join(", ")}`,
+      contactIds.flatMap((contactId) => [result.insertId, contactId])
+    );
+  }
+
+  return { id: result.insertId, contactIds };
+};
+
+module.exports = {
+  findContactsByEmail,
+  logSentEmail,
+};
@@ -0,0 +1,110 @@
+// backend/utils/apiEnvelope.js
+
+// Error codes for responses that only carry a message
+const CODES_BY_STATUS = {
+  400: "INVALID_INPUT",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  429: "RATE_LIMIT_EXCEEDED",
+  502: "UPSTREAM_ERROR",
+  503: "SERVICE_UNAVAILABLE",
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Contacts responses send codes like "NOT_FOUND" in `error`; other controllers put messages there
+const isCode = (value) => typeof value === "string" && /^[A-Z][A-Z0-9_]*$/.test(value);
+
+const codeForStatus = (status) => CODES_BY_STATUS[status] || (status >= 500 ? "SERVER_ERROR" : "REQUEST_FAILED");
+
+/**
+ * Builds the error part of the envelope from the body a controller sent.
+ * Codes come from `error` (contacts) or `code` (service errors), otherwise
+ * from the status; fields besides the code and message go into `details`.
+ * Internal error text next to a 5xx message is dropped.
+ */
+const toError = (status, body) => {
+  const { success, error, code, message, ...details } = isPlainObject(body) ? body : {};
+  const errorText = typeof error === "string" && !isCode(error) ? error : null;
+
+  return {
+    code: isCode(error) ? error : isCode(code) ? code : codeForStatus(status),
+    message: message || errorText || (status >= 500 ? "Internal server error." : "Request failed."),
+    ...(Object.keys(details).length > 0 && status < 500 && { details }),
+  };
+};
+
+/**
+ * Reads the pagination a controller sent, either inside `data` (contacts:
+ * `{ contacts, pagination }`) or in the X-Total-Count/X-Page/X-Per-Page
+ * headers (notes). Returns { data, pagination }; a `data` object left with
+ * a single list is unwrapped to that list.
+ */
+const extractPagination = (data, getHeader) => {
+  if (isPlainObject(data) && isPlainObject(data.pagination)) {
+    const { pagination, ...rest } = data;
+    const keys = Object.keys(rest);
+    return {
+      data: keys.length === 1 && Array.isArray(rest[keys[0]]) ? rest[keys[0]] : rest,
+      pagination,
+    };
+  }
+
+  const total = getHeader("X-Total-Count");
+  if (total === undefined) return { data, pagination: null };
+
+  const page = getHeader("X-Page");
+  const limit = getHeader("X-Per-Page");
+  if (page === undefined || limit === undefined) return { data, pagination: { total: Number(total) } };
+
+  return {
+    data,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      total: Number(total),
+      totalPages: Math.ceil(Number(total) / Number(limit)),
+      hasMore: Number(page) * Number(limit) < Number(total),
+    },
+  };
+};
+
+/**
+ * Converts a controller's response body into the /api/v1 envelope:
+ * { success, data, error, pagination }, plus `message` when the controller
+ * sent one with a successful response. Accepts both the contacts envelope
+ * ({ success, error, message, data }) and the plain bodies of the other
+ * controllers (rows, objects and { message }).
+ */
+const toEnvelope = (status, body, getHeader = () => undefined) => {
+  if (status >= 400) {
+    return { success: false, data: null, error: toError(status, body), pagination: null };
+  }
+
+  let data = body === undefined ? null : body;
+  let message;
+  if (isPlainObject(body) && body.success === true) {
+    data = body.data === undefined ? null : body.data;
+    message = body.message;
+  } else if (isPlainObject(body) && typeof body.message === "string") {
+    const { message: text, ...rest } = body;
+    data = Object.keys(rest).length > 0 ? rest : null;
+    message = text;
+  }
+
+  const paginated = extractPagination(data, getHeader);
+  return {
+    success: true,
+    data: paginated.data,
+    error: null,
+    pagination: paginated.pagination,
+    ...(message && { message }),
+  };
+};
+
+module.exports = {
+  toEnvelope,
+};
@@ -0,0 +1,120 @@
+// backend/utils/contentLine.js
+
+// Content-line helpers shared by the vCard (RFC 6350) and iCalendar (RFC 5545) formats
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/,/g, "\\,")
+    .replace(/;/g, "\\;");
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\,;nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+
+/**
+ * Folds a content line at 75 octets as RFC 6350 and RFC 5545 require.
+ */
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, "utf8");
+    // Continuation lines start with a space, which counts toward the limit
+    if (currentBytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Splits a value on separators not escaped with a backslash.
+ */
+const splitUnescaped = (value, separator) => {
+  const parts = [];
+  let current = "";
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === "\\" && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === separator) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += value[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+const decodeQuotedPrintable = (value) =>
+  Buffer.from(
+    value.replace(/=\r?\n/g, "").replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+    "latin1"
+  ).toString("utf8");
+
+/**
+ * Parses one content line into { name, params, value }.
+ * Handles vCard 2.1 bare parameters (";WORK;PREF") as TYPE values.
+ */
+const parseLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ":" && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [rawName, ...rawParams] = line.slice(0, colon).split(";");
+  const params = { types: [] };
+  for (const param of rawParams) {
+    const [key, val] = param.includes("=") ? param.split(/=(.*)/s) : ["TYPE", param];
+    const upperKey = key.toUpperCase();
+    const cleaned = (val || "").replace(/^"|"$/g, "");
+    if (upperKey === "TYPE") {
+      params.types.push(...cleaned.toLowerCase().split(","));
+    } else {
+      params[upperKey] = cleaned;
+    }
+  }
+
+  let value = line.slice(colon + 1);
+  if ((params.ENCODING || "").toUpperCase() === "QUOTED-PRINTABLE") {
+    value = decodeQuotedPrintable(value);
+  }
+
+  return { name: rawName.replace(/^.*\./, "").toUpperCase(), params, value };
+};
+
+/**
+ * Splits a file into content lines, joining folded continuation lines.
+ */
+const unfoldLines = (text) =>
+  String(text)
+    .replace(/^\uFEFF/, "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  foldLine,
+  splitUnescaped,
+  parseLine,
+  unfoldLines,
+};
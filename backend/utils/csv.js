@@ -0,0 +1,95 @@
+// backend/utils/csv.js
+
+// Leading characters that make a spreadsheet treat a cell as a formula
+const FORMULA_START = /^[=@+\-\t\r]/;
+// Nothing but digits and phone punctuation, as in "+44 20 7946 0958; (555) 010-0199"
+const PHONE_ONLY = /^[+\d\s().;-]+$/;
+
+/**
+ * Quotes a CSV cell when needed. Cells that a spreadsheet would run as a
+ * formula ("=", "@", "+", "-", tab or CR first) are prefixed with an
+ * apostrophe. In phone columns, numbers like "+44..." are left as they are.
+ */
+const formatCell = (value, { phone = false } = {}) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+
+  if (FORMULA_START.test(text) && !(phone && PHONE_ONLY.test(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Undoes formatCell's formula escaping: drops one apostrophe in front of a
+ * formula character, so exported files import unchanged.
+ */
+const unescapeCell = (text) => (/^'/.test(text) && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+/**
+ * Formats rows as CSV. `columns` is a list of { key, header, phone }, where
+ * `phone` marks columns holding phone numbers.
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.map((c) => formatCell(c.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => formatCell(row[c.key], { phone: c.phone })).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+};
+
+/**
+ * Parses RFC 4180 CSV text into an array of objects keyed by the header row.
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((cell) => cell.trim() !== ""));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map((h) => h.trim());
+  return nonEmpty.slice(1).map((r) => Object.fromEntries(headers.map((h, i) => [h, (r[i] ?? "").trim()])));
+};
+
+module.exports = {
+  toCsv,
+  parseCsv,
+  unescapeCell,
+};
@@ -0,0 +1,83 @@
+// backend/utils/diff.js
+
+const splitLines = (text) => (text ? String(text).replace(/\r\n?/g, "\n").split("\n") : []);
+
+/**
+ * Myers' shortest-edit-script over two arrays of lines. Returns a list of
+ * "=", "-" and "+" operations with the line they apply to.
+ */
+const shortestEdit = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  outer: for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break outer;
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = vd[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ op: "=", oldIndex: --x, newIndex: --y });
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ op: "+", newIndex: --y });
+      else ops.push({ op: "-", oldIndex: --x });
+    }
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Line diff between two texts. Returns { lines, stats } where each line is
+ * { op: "=" | "-" | "+", text, oldLine, newLine } (1-based line numbers,
+ * null on the side the line doesn't exist).
+ */
+const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  const lines = shortestEdit(a, b).map(({ op, oldIndex, newIndex }) => ({
+    op,
+    text: op === "+" ? b[newIndex] : a[oldIndex],
+    oldLine: oldIndex === undefined ? null : oldIndex + 1,
+    newLine: newIndex === undefined ? null : newIndex + 1,
+  }));
+
+  return {
+    lines,
+    stats: {
+      added: lines.filter((l) => l.op === "+").length,
+      removed: lines.filter((l) => l.op === "-").length,
+      unchanged: lines.filter((l) => l.op === "=").length,
+    },
+  };
+};
+
+module.exports = {
+  diffLines,
+};
@@ -0,0 +1,175 @@
+// backend/utils/email.js
+
+const crypto = require("crypto");
+const { htmlToText } = require("./mime");
+
+// Pragmatic check: one @, no whitespace or characters that would break a header
+const EMAIL_PATTERN = /^[^\s@<>()",;:\\[\]]+@[^\s@<>()",;:\\[\]]+\.[^\s@<>()",;:\\[\]]+$/;
+// Bytes of UTF-8 per encoded-word, so each stays within 75 characters
+const ENCODED_WORD_BYTES = 45;
+const MIME_TYPE_PATTERN = /^[\w.+-]+\/[\w.+-]+$/;
+
+// Header values never carry their own line breaks
+const singleLine = (value) => String(value ?? "").replace(/[\r\n]+/g, " ");
+
+/**
+ * RFC 2047 encoded-words for header values that aren't plain ASCII. Long
+ * values are split into several words on separate folded lines, never
+ * inside a character.
+ */
+const encodeHeader = (value) => {
+  const text = singleLine(value);
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+
+  const words = [];
+  let chunk = "";
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char, "utf8") > ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+  return words.map((word) => `=?UTF-8?B?${Buffer.from(word, "utf8").toString("base64")}?=`).join("\r\n ");
+};
+
+// Base64 body wrapped at 76 characters per line (RFC 2045)
+const encodeBody = (content) =>
+  Buffer.from(content, typeof content === "string" ? "utf8" : undefined)
+    .toString("base64")
+    .replace(/.{1,76}/g, "$&\r\n");
+
+/**
+ * Parses one recipient given as "jane@example.com", "Jane Doe
+ * <jane@example.com>" or { name, email }. Returns { name, email } or null
+ * if the address isn't valid.
+ */
+const parseAddress = (value) => {
+  let name = null;
+  let email = value;
+  if (value && typeof value === "object") {
+    ({ name = null, email } = value);
+  } else if (typeof value === "string") {
+    const match = value.match(/^\s*(?:"?([^"<]*?)"?\s*)?<([^>]+)>\s*$/);
+    if (match) [, name, email] = match;
+  }
+  if (typeof email !== "string" || !EMAIL_PATTERN.test(email.trim())) return null;
+  return { name: name ? singleLine(name).trim() || null : null, email: email.trim() };
+};
+
+/**
+ * Splits a recipient list ("a@x.com, Jane <b@y.com>", or an array of
+ * strings and { name, email } objects) into entries for parseAddress. Commas
+ * inside quoted display names don't split.
+ */
+const splitAddressList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  if (Array.isArray(value)) return value.flatMap(splitAddressList);
+  if (typeof value !== "string") return [value];
+  return (value.match(/(?:"[^"]*"|<[^>]*>|[^,])+/g) || []).map((entry) => entry.trim()).filter(Boolean);
+};
+
+// Formats { name, email } for a header, quoting or encoding the display name
+const formatAddress = ({ name, email }) => {
+  if (!name) return email;
+  if (/^[\x20-\x7e]*$/.test(name)) return `"${name.replace(/(["\\])/g, "\\$1")}" <${email}>`;
+  return `${encodeHeader(name)} <${email}>`;
+};
+
+// An address header, folded between addresses to keep lines short
+const addressHeader = (name, addresses) =>
+  `${name}: ${addresses.map(formatAddress).join(",\r\n ")}`;
+
+// Date in RFC 5322 form, e.g. "Mon, 19 Oct 2026 17:07:29 +0000"
+const formatDate = (date) => date.toUTCString().replace(/GMT$/, "+0000");
+
+// RFC 2231 parameter for non-ASCII file names, plain quoted otherwise
+const fileNameParam = (param, filename) => {
+  const name = singleLine(filename);
+  if (/^[\x20-\x7e]*$/.test(name) && !/["\\]/.test(name)) return `${param}="${name}"`;
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${param}*=UTF-8''${encoded}`;
+};
+
+const newBoundary = () => `=_Pulse_${crypto.randomBytes(12).toString("hex")}`;
+
+const renderEntity = ({ headers, body }) => `${headers.join("\r\n")}\r\n\r\n${body}`;
+
+const textEntity = (content, subtype) => ({
+  headers: [`Content-Type: text/${subtype}; charset="UTF-8"`, "Content-Transfer-Encoding: base64"],
+  body: encodeBody(content),
+});
+
+const multipartEntity = (subtype, parts) => {
+  const boundary = newBoundary();
+  return {
+    headers: [`Content-Type: multipart/${subtype}; boundary="${boundary}"`],
+    body: `${parts.map((part) => `--${boundary}\r\n${renderEntity(part)}\r\n`).join("")}--${boundary}--\r\n`,
+  };
+};
+
+const attachmentEntity = ({ filename, mimeType, content }) => {
+  const type = MIME_TYPE_PATTERN.test(mimeType || "") ? mimeType : "application/octet-stream";
+  return {
+    headers: [
+      `Content-Type: ${type}; ${fileNameParam("name", filename)}`,
+      `Content-Disposition: attachment; ${fileNameParam("filename", filename)}`,
+      "Content-Transfer-Encoding: base64",
+    ],
+    body: encodeBody(content),
+  };
+};
+
+/**
+ * Builds an RFC 5322 message. Addresses are { name, email }; `text` and
+ * `html` become a multipart/alternative body (with a text version derived
+ * from the HTML when only HTML is given); attachments ({ filename,
+ * mimeType, content: Buffer }) wrap it in multipart/mixed. `inReplyTo` and
+ * `references` (Message-IDs) thread the message as a reply.
+ */
+const buildMimeMessage = ({
+  from,
+  to = [],
+  cc = [],
+  bcc = [],
+  subject = "",
+  text,
+  html,
+  attachments = [],
+  inReplyTo,
+  references,
+  date = new Date(),
+}) => {
+  const headers = [];
+  if (from) headers.push(addressHeader("From", [from]));
+  if (to.length > 0) headers.push(addressHeader("To", to));
+  if (cc.length > 0) headers.push(addressHeader("Cc", cc));
+  // Gmail delivers to Bcc recipients and strips the header from what others receive
+  if (bcc.length > 0) headers.push(addressHeader("Bcc", bcc));
+  headers.push(`Subject: ${encodeHeader(subject)}`, `Date: ${formatDate(date)}`);
+  if (inReplyTo) headers.push(`In-Reply-To: ${singleLine(inReplyTo)}`);
+  if (references) headers.push(`References: ${singleLine(references).trim().split(/\s+/).join("\r\n ")}`);
+  headers.push("MIME-Version: 1.0");
+
+  const plain = text ?? (html ? htmlToText(html) : "");
+  let body = html ? multipartEntity("alternative", [textEntity(plain, "plain"), textEntity(html, "html")]) : textEntity(plain, "plain");
+  if (attachments.length > 0) body = multipartEntity("mixed", [body, ...attachments.map(attachmentEntity)]);
+
+  return renderEntity({ headers: [...headers, ...body.headers], body: body.body });
+};
+
+/**
+ * Builds a plain-text UTF-8 message and returns it base64url encoded, as the
+ * Gmail API's `raw` field expects.
+ */
+const buildRawEmail = ({ to, subject, text }) =>
+  Buffer.from(buildMimeMessage({ to: [{ email: to }], subject, text }), "utf8").toString("base64url");
+
+module.exports = {
+  encodeHeader,
+  parseAddress,
+  splitAddressList,
+  buildMimeMessage,
+  buildRawEmail,
+};
@@ -0,0 +1,200 @@
+// backend/utils/ical.js
+
+const { escapeText, unescapeText, foldLine, parseLine, unfoldLines } = require("./contentLine");
+const { isValidTimeZone, toWallClock, fromWallClock } = require("./timezone");
+
+// Reminders are points in time; calendar apps get them as short events
+const EVENT_DURATION = "PT15M";
+// All-day entries (VALUE=DATE) are imported as reminders at this hour
+const ALL_DAY_HOUR = 9;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const formatLocal = (wall) =>
+  `${wall.getUTCFullYear()}${pad(wall.getUTCMonth() + 1)}${pad(wall.getUTCDate())}` +
+  `T${pad(wall.getUTCHours())}${pad(wall.getUTCMinutes())}${pad(wall.getUTCSeconds())}`;
+
+/**
+ * Formats a date property. Recurring reminders are written as wall-clock
+ * time with their TZID so calendar apps expand them across DST like we do;
+ * everything else is UTC.
+ */
+const dateProperty = (name, date, reminder) =>
+  reminder.rrule && reminder.timezone
+    ? `${name};TZID=${reminder.timezone}:${formatLocal(toWallClock(new Date(date), reminder.timezone))}`
+    : `${name}:${formatUtc(date)}`;
+
+const reminderUid = (reminder) => reminder.ical_uid || `pulse-reminder-${reminder.id}`;
+
+/**
+ * Formats reminders as an iCalendar feed, each as a VEVENT (type "event",
+ * the best supported) or a VTODO (type "todo"). Undated reminders can only
+ * be exported as to-dos.
+ */
+const formatCalendar = (reminders, { type = "event", name = "Reminders" } = {}) => {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Pulse CRM//Reminders//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+  ];
+
+  for (const reminder of reminders) {
+    if (type === "event" && !reminder.due_date) continue;
+    const component = type === "event" ? "VEVENT" : "VTODO";
+
+    lines.push(`BEGIN:${component}`, `UID:${escapeText(reminderUid(reminder))}`, `DTSTAMP:${stamp}`);
+    if (reminder.created_at) lines.push(`CREATED:${formatUtc(reminder.created_at)}`);
+    if (reminder.updated_at) lines.push(`LAST-MODIFIED:${formatUtc(reminder.updated_at)}`);
+    lines.push(`SUMMARY:${escapeText(reminder.title)}`);
+    if (reminder.description) lines.push(`DESCRIPTION:${escapeText(reminder.description)}`);
+
+    if (type === "event") {
+      lines.push(dateProperty("DTSTART", reminder.due_date, reminder), `DURATION:${EVENT_DURATION}`);
+    } else {
+      if (reminder.due_date) {
+        // RRULE on a VTODO needs a DTSTART to expand from
+        if (reminder.rrule) lines.push(dateProperty("DTSTART", reminder.due_date, reminder));
+        lines.push(dateProperty("DUE", reminder.due_date, reminder));
+      }
+      lines.push(`STATUS:${reminder.completed ? "COMPLETED" : "NEEDS-ACTION"}`);
+      if (reminder.completed && reminder.completed_at) lines.push(`COMPLETED:${formatUtc(reminder.completed_at)}`);
+    }
+    if (reminder.rrule && reminder.due_date) lines.push(`RRULE:${reminder.rrule}`);
+
+    lines.push(`END:${component}`);
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+// "/mozilla.org/20050126_1/Europe/Berlin" style TZIDs end in the IANA name
+const resolveTzid = (tzid) => {
+  if (!tzid) return null;
+  if (isValidTimeZone(tzid)) return tzid;
+  const suffix = tzid.match(/([A-Za-z_]+\/[A-Za-z_+-]+)$/)?.[1];
+  return suffix && isValidTimeZone(suffix) ? suffix : null;
+};
+
+/**
+ * Parses a DATE or DATE-TIME value. UTC ("Z") times are exact; local times
+ * use their TZID, falling back to `defaultTimeZone` for floating times and
+ * unknown zones. Returns { date, timeZone } or null.
+ */
+const parseDateValue = (value, params, defaultTimeZone) => {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, utc] = match;
+
+  if (hour === undefined) {
+    const wall = new Date(Date.UTC(year, month - 1, day, ALL_DAY_HOUR));
+    return { date: fromWallClock(wall, defaultTimeZone), timeZone: null };
+  }
+
+  const wall = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (utc) return { date: wall, timeZone: null };
+
+  const timeZone = resolveTzid(params.TZID);
+  return { date: fromWallClock(wall, timeZone || defaultTimeZone), timeZone };
+};
+
+/**
+ * Parses the VEVENT and VTODO entries of an iCalendar file into
+ * { uid, component, title, description, due, timezone, rrule, completed,
+ * completedAt, cancelled, recurrenceId }. Nested components (VALARM) and
+ * VTIMEZONE definitions are ignored.
+ */
+const parseCalendar = (text, { defaultTimeZone = "UTC" } = {}) => {
+  const entries = [];
+  const stack = [];
+  let entry = null;
+
+  for (const line of unfoldLines(text)) {
+    if (!line.trim()) continue;
+    const parsed = parseLine(line);
+    if (!parsed) continue;
+    const { name, params, value } = parsed;
+
+    if (name === "BEGIN") {
+      stack.push(value.toUpperCase());
+      if (stack.length === 2 && (stack[1] === "VEVENT" || stack[1] === "VTODO")) {
+        entry = {
+          uid: null,
+          component: stack[1],
+          title: null,
+          description: null,
+          start: null,
+          dueValue: null,
+          rrule: null,
+          completed: false,
+          completedAt: null,
+          cancelled: false,
+          recurrenceId: null,
+        };
+      }
+      continue;
+    }
+    if (name === "END") {
+      if (entry && stack.length === 2) {
+        const { start, dueValue, ...rest } = entry;
+        const due = entry.component === "VTODO" ? dueValue || start : start;
+        entries.push({ ...rest, due: due?.date || null, timezone: due?.timeZone || null });
+        entry = null;
+      }
+      stack.pop();
+      continue;
+    }
+    // Only the entry's own properties, not those of a nested VALARM
+    if (!entry || stack.length !== 2) continue;
+
+    switch (name) {
+      case "UID":
+        entry.uid = unescapeText(value).trim() || null;
+        break;
+      case "SUMMARY":
+        entry.title = unescapeText(value).trim() || null;
+        break;
+      case "DESCRIPTION":
+        entry.description = unescapeText(value) || null;
+        break;
+      case "DTSTART":
+        entry.start = parseDateValue(value, params, defaultTimeZone);
+        break;
+      case "DUE":
+        entry.dueValue = parseDateValue(value, params, defaultTimeZone);
+        break;
+      case "RRULE":
+        entry.rrule = value.trim();
+        break;
+      case "STATUS":
+        entry.completed = value.trim().toUpperCase() === "COMPLETED";
+        entry.cancelled = value.trim().toUpperCase() === "CANCELLED";
+        break;
+      case "COMPLETED":
+        entry.completed = true;
+        entry.completedAt = parseDateValue(value, params, defaultTimeZone)?.date || null;
+        break;
+      case "RECURRENCE-ID":
+        entry.recurrenceId = value.trim();
+        break;
+      default:
+        break;
+    }
+  }
+
+  return entries;
+};
+
+module.exports = {
+  reminderUid,
+  formatCalendar,
+  parseCalendar,
+};
@@ -0,0 +1,81 @@
+// backend/utils/markdown.js
+
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+const markdown = new Marked({ gfm: true, breaks: true });
+
+// @[Jane Doe](contact:42) mention markup from the note editor
+const MENTION_MARKUP = /@\[([^\]]*)\]\(contact:(\d+)\)/g;
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    "img",
+    "del",
+    "input",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel", "target"],
+    img: ["src", "alt", "title"],
+    span: ["class", "data-contact-id"],
+    code: ["class"],
+    input: ["type", "checked", "disabled"],
+    th: ["align"],
+    td: ["align"],
+  },
+  allowedClasses: {
+    span: ["mention"],
+    code: [/^language-[\w-]+$/],
+  },
+  allowedSchemes: ["http", "https", "mailto", "tel"],
+  allowedSchemesByTag: { img: ["http", "https", "data"] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "noopener noreferrer nofollow", target: "_blank" }),
+    // Only GFM task-list checkboxes survive
+    input: (tagName, attribs) =>
+      attribs.type === "checkbox"
+        ? { tagName, attribs: { type: "checkbox", disabled: "", ...(attribs.checked !== undefined && { checked: "" }) } }
+        : { tagName: "span", attribs: {} },
+  },
+};
+
+/**
+ * Renders note Markdown to sanitized HTML. Contact mentions become
+ * <span class="mention" data-contact-id="..."> elements; raw HTML in the
+ * source is filtered down to a safe subset.
+ */
+const renderMarkdown = (text) => {
+  const withMentions = String(text || "").replace(
+    MENTION_MARKUP,
+    (_, name, id) => `<span class="mention" data-contact-id="${id}">@${escapeHtml(name)}</span>`
+  );
+  return sanitizeHtml(markdown.parse(withMentions), SANITIZE_OPTIONS);
+};
+
+/**
+ * Reduces Markdown to plain text for snippets: mention markup becomes
+ * "@Name", link targets, emphasis and heading markers are dropped.
+ */
+const markdownToText = (text) =>
+  String(text || "")
+    .replace(MENTION_MARKUP, "@$1")
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, "")
+    .replace(/(\*\*|__|\*|_|~~|`)/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+module.exports = {
+  escapeHtml,
+  renderMarkdown,
+  markdownToText,
+};
@@ -0,0 +1,153 @@
+// backend/utils/mime.js
+
+const sanitizeHtml = require("sanitize-html");
+
+// Email HTML keeps its layout tables and images, but no styles, scripts or forms
+const EMAIL_SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "font", "center"],
+  allowedAttributes: {
+    a: ["href", "title", "rel", "target"],
+    img: ["src", "alt", "title", "width", "height"],
+    table: ["width", "cellpadding", "cellspacing", "border", "align"],
+    td: ["width", "colspan", "rowspan", "align", "valign"],
+    th: ["width", "colspan", "rowspan", "align", "valign"],
+    font: ["color", "size"],
+  },
+  allowedSchemes: ["http", "https", "mailto", "tel"],
+  allowedSchemesByTag: { img: ["http", "https", "data"] },
+};
+
+/**
+ * Returns the value of a header from a Gmail `headers` array
+ * ([{ name, value }]), matching the name case-insensitively.
+ */
+const headerValue = (headers, name) =>
+  (headers || []).find((h) => h.name.toLowerCase() === name.toLowerCase())?.value || "";
+
+// charset="utf-8" style parameter of a Content-Type or Content-Disposition value
+const headerParam = (value, param) =>
+  value.match(new RegExp(`;\\s*${param}\\s*=\\s*(?:"([^"]*)"|([^;\\s]*))`, "i"))?.slice(1).find(Boolean) || null;
+
+/**
+ * Decodes a Gmail part body (base64url of the bytes after transfer
+ * decoding) to text in the part's charset, falling back to UTF-8 for
+ * charsets Node doesn't know.
+ */
+const decodeBody = (data, charset) => {
+  const bytes = Buffer.from(data, "base64url");
+  try {
+    return new TextDecoder(charset || "utf-8").decode(bytes);
+  } catch (error) {
+    return bytes.toString("utf8");
+  }
+};
+
+/**
+ * Walks the MIME tree of a Gmail message payload (format "full"). Text and
+ * HTML parts that aren't attachments make up the bodies (several of one
+ * kind, as in multipart/mixed, are joined); everything else with a body is
+ * listed as an attachment. Attachments are identified by their MIME part
+ * id, which unlike Gmail's attachment ids stays the same between fetches.
+ * Returns { text, html, attachments: [{ id, filename, mimeType, size, contentId, inline }] }.
+ */
+const parseMessagePayload = (payload) => {
+  const text = [];
+  const html = [];
+  const attachments = [];
+
+  const walk = (part) => {
+    const mimeType = (part.mimeType || "").toLowerCase();
+    const disposition = headerValue(part.headers, "Content-Disposition");
+    const isAttachment = Boolean(part.filename) || /^\s*attachment/i.test(disposition);
+
+    if (part.parts?.length && !isAttachment) {
+      part.parts.forEach(walk);
+      return;
+    }
+
+    const body = part.body || {};
+    if (!isAttachment && (mimeType === "text/plain" || mimeType === "text/html")) {
+      if (!body.data) return;
+      const charset = headerParam(headerValue(part.headers, "Content-Type"), "charset");
+      (mimeType === "text/html" ? html : text).push(decodeBody(body.data, charset));
+      return;
+    }
+
+    if (!body.attachmentId && !body.data) return;
+    const contentId = headerValue(part.headers, "Content-ID").replace(/^<|>$/g, "") || null;
+    attachments.push({
+      id: part.partId,
+      filename: part.filename || headerParam(disposition, "filename") || "attachment",
+      mimeType: mimeType || "application/octet-stream",
+      size: body.size || 0,
+      contentId,
+      inline: /^\s*inline/i.test(disposition) || (Boolean(contentId) && !/^\s*attachment/i.test(disposition)),
+    });
+  };
+
+  if (payload) walk(payload);
+
+  return {
+    text: text.length > 0 ? text.join("\n") : null,
+    html: html.length > 0 ? html.join("\n") : null,
+    attachments,
+  };
+};
+
+/**
+ * Finds a part of a Gmail message payload by its part id.
+ */
+const findPart = (payload, partId) => {
+  if (!payload) return null;
+  if (payload.partId === partId) return payload;
+  for (const part of payload.parts || []) {
+    const found = findPart(part, partId);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Sanitizes an email's HTML body. Links open in a new tab; inline images
+ * ("cid:" sources) are pointed at `cidUrl(contentId)` when given, and
+ * dropped otherwise.
+ */
+const sanitizeEmailHtml = (html, { cidUrl } = {}) =>
+  sanitizeHtml(html, {
+    ...EMAIL_SANITIZE_OPTIONS,
+    transformTags: {
+      a: sanitizeHtml.simpleTransform("a", { rel: "noopener noreferrer nofollow", target: "_blank" }),
+      img: (tagName, attribs) => {
+        const contentId = attribs.src?.match(/^cid:(.+)$/i)?.[1];
+        if (!contentId) return { tagName, attribs };
+        const src = cidUrl?.(contentId);
+        return src ? { tagName, attribs: { ...attribs, src } } : { tagName: "span", attribs: {} };
+      },
+    },
+  });
+
+/**
+ * Reduces email HTML to plain text, for messages without a text part.
+ */
+const htmlToText = (html) =>
+  sanitizeHtml(
+    html.replace(/<(br|\/p|\/div|\/tr|\/h[1-6]|\/li)\b[^>]*>/gi, "$&\n"),
+    { allowedTags: [], allowedAttributes: {}, nonTextTags: ["style", "script", "textarea", "option", "noscript", "head", "title"] }
+  )
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+module.exports = {
+  headerValue,
+  parseMessagePayload,
+  findPart,
+  sanitizeEmailHtml,
+  htmlToText,
+};
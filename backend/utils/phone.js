@@ -0,0 +1,33 @@
+// backend/utils/phone.js
+
+const { parsePhoneNumberFromString } = require("libphonenumber-js");
+
+// Region used for numbers stored without a country code (e.g. "07398 786815")
+const DEFAULT_REGION = process.env.DEFAULT_PHONE_REGION || "GB";
+
+/**
+ * Normalizes a phone number to E.164 ("+447398786815").
+ * Returns null when the value can't be parsed as a phone number.
+ */
+const toE164 = (value, region = DEFAULT_REGION) => {
+  if (!value) return null;
+
+  const parsed = parsePhoneNumberFromString(String(value), region);
+  return parsed && parsed.isPossible() ? parsed.number : null;
+};
+
+/**
+ * Strips a phone number down to its digits, keeping a leading "+".
+ * Used as a fallback match key for numbers toE164 can't parse.
+ */
+const digitsOnly = (value) => {
+  if (!value) return "";
+  const trimmed = String(value).trim();
+  return (trimmed.startsWith("+") ? "+" : "") + trimmed.replace(/\D/g, "");
+};
+
+module.exports = {
+  DEFAULT_REGION,
+  toE164,
+  digitsOnly,
+};
@@ -0,0 +1,39 @@
+// backend/utils/template.js
+
+// {{field}} or {{field | fallback text}}
+const FIELD_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*(?:\|([^}]*))?\}\}/g;
+
+/**
+ * Returns the distinct merge field names used in the given texts.
+ */
+const templateFields = (...texts) => {
+  const fields = new Set();
+  for (const text of texts) {
+    for (const match of String(text || "").matchAll(FIELD_PATTERN)) fields.add(match[1]);
+  }
+  return [...fields];
+};
+
+/**
+ * Fills the merge fields of `text` from `values`. Blank values fall back to
+ * the field's fallback text; fields with neither are left empty and
+ * reported in `missing`. `escape` is applied to values (not to fallbacks,
+ * which are part of the template), e.g. HTML escaping for HTML bodies.
+ * Returns { output, missing }.
+ */
+const renderTemplate = (text, values, { escape = (value) => value } = {}) => {
+  const missing = new Set();
+  const output = String(text || "").replace(FIELD_PATTERN, (_, field, fallback) => {
+    const value = values[field];
+    if (value !== undefined && value !== null && String(value).trim() !== "") return escape(String(value));
+    if (fallback !== undefined) return fallback.trim();
+    missing.add(field);
+    return "";
+  });
+  return { output, missing: [...missing] };
+};
+
+module.exports = {
+  templateFields,
+  renderTemplate,
+};
@@ -0,0 +1,67 @@
+// backend/utils/timezone.js
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * True when `timeZone` is an IANA zone name the runtime knows (e.g. "Europe/Berlin").
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || timeZone === "") return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Returns a Date whose UTC fields are the wall-clock time of `date` in
+ * `timeZone` ("floating" time, as the rrule library expects).
+ */
+const toWallClock = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone)
+      .formatToParts(date)
+      .map((p) => [p.type, parseInt(p.value)])
+  );
+  return new Date(
+    Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getUTCMilliseconds())
+  );
+};
+
+/**
+ * Inverse of toWallClock: the instant at which the wall clock in `timeZone`
+ * shows the UTC fields of `wallClock`. Times skipped by a DST change resolve
+ * to the same offset as just before the change.
+ */
+const fromWallClock = (wallClock, timeZone) => {
+  const offsetAt = (instant) => toWallClock(instant, timeZone).getTime() - instant.getTime();
+  const guess = new Date(wallClock.getTime() - offsetAt(wallClock));
+  return new Date(wallClock.getTime() - offsetAt(guess));
+};
+
+module.exports = {
+  isValidTimeZone,
+  toWallClock,
+  fromWallClock,
+};
@@ -0,0 +1,195 @@
+// backend/utils/vcard.js
+
+const { toE164 } = require("./phone");
+const { escapeText, unescapeText, foldLine, splitUnescaped, parseLine, unfoldLines } = require("./contentLine");
+
+// Google contact field types -> vCard TYPE values (and back)
+const TO_VCARD_TYPE = { mobile: "cell", workFax: "fax", homeFax: "fax", main: "voice" };
+const FROM_VCARD_TYPE = { cell: "mobile", fax: "workFax", voice: "main" };
+
+const typeParam = (type, primary) => {
+  const params = [];
+  if (type) params.push(`TYPE=${(TO_VCARD_TYPE[type] || type).toLowerCase()}`);
+  if (primary) params.push("PREF=1");
+  return params.length > 0 ? `;${params.join(";")}` : "";
+};
+
+/**
+ * Formats a contact row (with emails, phones, addresses, organizations and
+ * labels as returned by loadContactDetails/loadContactLabels) as a vCard 4.0.
+ */
+const formatVCard = (contact) => {
+  const lines = ["BEGIN:VCARD", "VERSION:4.0"];
+  const name = contact.name || "";
+  const tokens = name.trim().split(/\s+/).filter(Boolean);
+  const family = tokens.length > 1 ? tokens[tokens.length - 1] : "";
+  const given = tokens.length > 1 ? tokens.slice(0, -1).join(" ") : tokens[0] || "";
+
+  lines.push(`UID:${escapeText(contact.google_contact_id || `pulse-contact-${contact.id}`)}`);
+  lines.push(`FN:${escapeText(name)}`);
+  lines.push(`N:${escapeText(family)};${escapeText(given)};;;`);
+
+  const emails = contact.emails?.length ? contact.emails : contact.email ? [{ value: contact.email }] : [];
+  for (const email of emails) {
+    lines.push(`EMAIL${typeParam(email.type, email.is_primary)}:${escapeText(email.value)}`);
+  }
+
+  const phones = contact.phones?.length ? contact.phones : contact.phone ? [{ value: contact.phone }] : [];
+  for (const phone of phones) {
+    const e164 = phone.canonical_value || toE164(phone.value);
+    const value = e164 ? `tel:${e164}` : escapeText(phone.value);
+    lines.push(`TEL;VALUE=${e164 ? "uri" : "text"}${typeParam(phone.type, phone.is_primary)}:${value}`);
+  }
+
+  for (const address of contact.addresses || []) {
+    const components = [
+      "",
+      "",
+      address.street_address,
+      address.city,
+      address.region,
+      address.postal_code,
+      address.country,
+    ].map(escapeText);
+    lines.push(`ADR${typeParam(address.type, address.is_primary)}:${components.join(";")}`);
+  }
+
+  const organization = contact.organizations?.[0];
+  const company = organization?.name || contact.company;
+  const title = organization?.title || contact.job_title;
+  if (company) lines.push(`ORG:${escapeText(company)}${organization?.department ? `;${escapeText(organization.department)}` : ""}`);
+  if (title) lines.push(`TITLE:${escapeText(title)}`);
+  if (contact.notes) lines.push(`NOTE:${escapeText(contact.notes)}`);
+  if (contact.labels?.length) lines.push(`CATEGORIES:${contact.labels.map((l) => escapeText(l.name)).join(",")}`);
+  if (contact.updated_at) {
+    lines.push(`REV:${new Date(contact.updated_at).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "")}`);
+  }
+
+  lines.push("END:VCARD");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+const typeFromParams = (params) => {
+  const type = params.types.find((t) => t && t !== "pref" && t !== "internet" && t !== "voice");
+  return type ? FROM_VCARD_TYPE[type] || type : null;
+};
+
+const isPreferred = (params) => params.types.includes("pref") || params.PREF === "1";
+
+/**
+ * Parses a vCard file (versions 2.1, 3.0 and 4.0) into plain contact
+ * objects: { uid, name, notes, emails, phones, addresses, organizations, labels }.
+ * Entries use the same shape as contactDetails.mapPersonDetails.
+ */
+const parseVCards = (text) => {
+  const rawLines = unfoldLines(text);
+
+  // vCard 2.1 quoted-printable values continue onto the next line after a trailing "="
+  const lines = [];
+  for (const line of rawLines) {
+    const previous = lines[lines.length - 1];
+    if (previous && /ENCODING=QUOTED-PRINTABLE/i.test(previous) && previous.endsWith("=")) {
+      lines[lines.length - 1] = previous.slice(0, -1) + line;
+    } else {
+      lines.push(line);
+    }
+  }
+
+  const cards = [];
+  let card = null;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const parsed = parseLine(line);
+    if (!parsed) continue;
+    const { name, params, value } = parsed;
+
+    if (name === "BEGIN" && value.toUpperCase() === "VCARD") {
+      card = { uid: null, name: null, structuredName: null, notes: null, emails: [], phones: [], addresses: [], organizations: [], labels: [] };
+      continue;
+    }
+    if (!card) continue;
+
+    switch (name) {
+      case "END":
+        if (!card.name && card.structuredName) card.name = card.structuredName;
+        delete card.structuredName;
+        cards.push(card);
+        card = null;
+        break;
+      case "UID":
+        card.uid = unescapeText(value);
+        break;
+      case "FN":
+        card.name = unescapeText(value).trim() || null;
+        break;
+      case "N": {
+        const [family, given, additional, prefix, suffix] = splitUnescaped(value, ";").map(unescapeText);
+        card.structuredName = [prefix, given, additional, family, suffix].filter(Boolean).join(" ") || null;
+        break;
+      }
+      case "EMAIL":
+        if (value.trim()) {
+          card.emails.push({ value: unescapeText(value).trim(), type: typeFromParams(params), primary: isPreferred(params) });
+        }
+        break;
+      case "TEL": {
+        const phone = unescapeText(value).replace(/^tel:/i, "").trim();
+        if (phone) {
+          card.phones.push({ value: phone, canonicalValue: toE164(phone), type: typeFromParams(params), primary: isPreferred(params) });
+        }
+        break;
+      }
+      case "ADR": {
+        const [, , street, city, region, postalCode, country] = splitUnescaped(value, ";").map(unescapeText);
+        const formattedValue = [street, city, region, postalCode, country].filter(Boolean).join(", ");
+        if (formattedValue) {
+          card.addresses.push({
+            formattedValue,
+            streetAddress: street || null,
+            city: city || null,
+            region: region || null,
+            postalCode: postalCode || null,
+            country: country || null,
+            countryCode: null,
+            type: typeFromParams(params),
+            primary: isPreferred(params),
+          });
+        }
+        break;
+      }
+      case "ORG": {
+        const [orgName, department] = splitUnescaped(value, ";").map(unescapeText);
+        if (card.organizations[0]) {
+          card.organizations[0].name = orgName || null;
+          card.organizations[0].department = department || null;
+        } else {
+          card.organizations.push({ name: orgName || null, title: null, department: department || null, type: null, primary: true });
+        }
+        break;
+      }
+      case "TITLE":
+        if (card.organizations[0]) {
+          card.organizations[0].title = unescapeText(value);
+        } else {
+          card.organizations.push({ name: null, title: unescapeText(value), department: null, type: null, primary: true });
+        }
+        break;
+      case "NOTE":
+        card.notes = unescapeText(value);
+        break;
+      case "CATEGORIES":
+        card.labels.push(...splitUnescaped(value, ",").map(unescapeText).map((l) => l.trim()).filter(Boolean));
+        break;
+      default:
+        break;
+    }
+  }
+
+  return cards;
+};
+
+module.exports = {
+  formatVCard,
+  parseVCards,
+};